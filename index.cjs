@@ -1,6 +1,6 @@
 #!/usr/bin/env node
 
-const { Command } = require('commander');
+const { Command, Option } = require('commander');
 const inquirer = require('inquirer');
 const chalk = require('chalk');
 const figlet = require('figlet');
@@ -17,107 +17,127 @@ const wifi = require('node-wifi');
 const geoip = require('geoip-lite');
 const termKit = require('terminal-kit').terminal;
 const { EventEmitter } = require('events');
+const { probeValidators, selectBestValidator, selectForCountries, DEFAULT_PROBE_TIMEOUT } = require('./lib/probe.cjs');
+const { countryName, parseCountryCodes, buildPreferences, preferredCountry, describePreferences } = require('./lib/countries.cjs');
+const { parseListenAddress, startMetricsServer } = require('./lib/metrics.cjs');
+const { formatBytes, createTrafficMonitor } = require('./lib/traffic.cjs');
+const { createDashboard } = require('./lib/dashboard.cjs');
+const { OUTPUT_FORMATS, EVENT_FORMATS, moveDecorationToStderr, useMachineOutput, isTextOutput, isJsonOutput, printJson, emitEvent } = require('./lib/output.cjs');
+const { GROUPINGS, appendHistory, readHistory, sessionSeconds, aggregateHistory, toCsv, flattenRecord } = require('./lib/history.cjs');
+const { CONFIG_SCHEMA, getConfigFilePath, loadConfig, setConfigValue, updateTrustedNetworks } = require('./lib/config.cjs');
+const { loadValidators, updateValidators, getRegistryUrl, getOverridesPath } = require('./lib/registry.cjs');
+const { INTERFACE_NAME, bringUp, bringDown, showInterface, syncConfig, readEndpoint, readConfigValues } = require('./lib/wireguard.cjs');
+const { isDryRun, enableDryRun, simulatedPublicIp } = require('./lib/dryrun.cjs');
+const { DEFAULT_MOCK_PORT, DEFAULT_MOCK_UID, DEFAULT_MOCK_COUNTRIES, listMockValidators, registerMockValidator, unregisterMockValidator, startMockValidator } = require('./lib/mockvalidator.cjs');
+const { FULL_TUNNEL, planRoutes, applyAllowedIps } = require('./lib/routes.cjs');
+const { createNamespace, destroyNamespace, runInNamespace } = require('./lib/netns.cjs');
+const { newSessionId, sessionConfigPath, writeConfigFile, claimConfigFile, removeConfigFile, listConfigFiles, removeStaleConfigs } = require('./lib/keyfiles.cjs');
+const { HOOK_POLICIES, sanitizeConfig } = require('./lib/wgconfig.cjs');
+const { engageKillSwitch, disengageKillSwitch, readKillSwitchState, isKillSwitchActive } = require('./lib/killswitch.cjs');
+const { writeSession, readSession, isOrphaned, clearSession, leaseRemaining } = require('./lib/session.cjs');
+const { renewalMinutes, shouldRenew } = require('./lib/lease.cjs');
+const { DEFAULT_STALE_SECONDS, startWatchdog } = require('./lib/watchdog.cjs');
+const { STATUS: CHECK_STATUS, verifyConnection } = require('./lib/verify.cjs');
+const { DEFAULT_REQUEST_TIMEOUT, getSocketPath, getLogPath, startControlServer, requestDaemon, spawnDetached, waitForDaemon } = require('./lib/daemon.cjs');
+const { DEFAULT_WATCH_INTERVAL, POLICY: NETWORK_POLICY, getNetworkSnapshot, describeNetwork, decidePolicy, startNetworkWatcher } = require('./lib/netwatch.cjs');
+const { RISK_LEVELS, RISK_THRESHOLDS, mergeRules, assessRisk } = require('./lib/risk.cjs');
+const { STEP_STATUS, PANIC_STEPS, buildPlaybook, playbookTimeout, runPlaybook, savePanicReport } = require('./lib/panic.cjs');
+const { installPackages } = require('./lib/packages.cjs');
+const { runChecks, applyFixes } = require('./lib/doctor.cjs');
+const { runHooks, hooksTimeout } = require('./lib/hooks.cjs');
 
 
 // Initialize event system
 const securityEvents = new EventEmitter();
 
+// Risk changes seen by the daemon or the watcher go to the event stream too
+securityEvents.on('risk-changed', ({ previous, current, network }) => {
+  emitEvent('risk-changed', {
+    previous: previous ? previous.level : null,
+    level: current.level,
+    score: current.score,
+    rules: current.matches.map(match => match.id),
+    network: network ? describeNetwork(network) : null
+  });
+  
+  const session = readSession();
+  runEventHooks('risk-level-changed', {
+    ...(session ? sessionHookPayload(session) : {}),
+    risk: { level: current.level, score: current.score },
+    previousRisk: previous ? previous.level : null,
+    network: network ? describeNetwork(network) : null
+  }).catch(error => console.error(chalk.yellow(`⚠ risk-level-changed hooks could not run: ${error.message}`)));
+});
+
 // Initialize wifi module
 wifi.init({
   iface: null // Use default WiFi interface
 });
 
-// Security risk levels
-const RISK_LEVELS = {
-  HIGH: 'HIGH',
-  MEDIUM: 'MEDIUM',
-  LOW: 'LOW',
-  SAFE: 'SAFE'
+// Process exit codes shared by all subcommands (scripts rely on these)
+const EXIT_CODES = {
+  OK: 0,
+  ERROR: 1,
+  USAGE: 2,
+  NOT_CONNECTED: 3,
+  UNREACHABLE: 4,
+  VERIFY_FAILED: 5,
+  NO_MATCH: 6
 };
 
-// Known secure networks - in real app, would be stored in a config file
-const KNOWN_NETWORKS = [
-  'MyHomeNetwork',
-  'MyWorkNetwork'
-];
+// Seconds to wait before retrying a failed automatic lease renewal
+const RENEW_RETRY_SECONDS = 15;
 
-// High-risk countries - simplified list for demo
-const HIGH_RISK_COUNTRIES = [
-  'CN', 'RU', 'IR', 'SA', 'VN', 'CU'
-];
+// How often the daemon re-checks WiFi and location risk
+const RISK_CHECK_INTERVAL = 60 * 1000;
+
+// Seconds before expiry at which the lease-expiring event fires
+const LEASE_EXPIRING_SECONDS = 60;
+
+// User settings (config file plus environment), loaded on first use
+let userConfig;
+
+function getUserConfig() {
+  if (!userConfig) {
+    try {
+      userConfig = loadConfig().config;
+    } catch (error) {
+      console.error(chalk.red(`Failed to load config: ${error.message}`));
+      console.log(chalk.yellow(`Fix ${getConfigFilePath()} or use "tpn-connect config set"`));
+      process.exit(EXIT_CODES.USAGE);
+    }
+  }
+  return userConfig;
+}
 
 // Connection stats
 let connectionStats = {
   totalConnections: 0,
   totalTime: 0,
   countriesVisited: new Set(),
-  dataSaved: {} // Will track how much potentially sensitive data was protected
+  dataSaved: { rxBytes: 0, txBytes: 0 } // Bytes carried through the tunnel, past sessions included
 };
 
-// Function to check WiFi security
-async function checkWifiSecurity() {
+// Function to score the current network and location with the risk engine.
+// `ip` is the address to geolocate (undefined skips the location rules).
+async function checkSecurityRisk(ip, { network, remember = true } = {}) {
   try {
-    const networks = await wifi.scan();
-    const currentConnections = await wifi.getCurrentConnections();
-    
-    if (currentConnections.length === 0) {
-      return { risk: RISK_LEVELS.MEDIUM, reason: 'Not connected to WiFi' };
-    }
-    
-    const currentNetwork = currentConnections[0];
-    
-    // Check if it's a known network
-    if (KNOWN_NETWORKS.includes(currentNetwork.ssid)) {
-      return { risk: RISK_LEVELS.SAFE, reason: 'Connected to known network' };
-    }
-    
-    // Check if it's open (no security)
-    if (!currentNetwork.security || currentNetwork.security === 'Open') {
-      return { risk: RISK_LEVELS.HIGH, reason: 'Connected to unsecured network' };
-    }
-    
-    // Check if it's a public hotspot (common names)
-    if (/public|hotel|airport|cafe|free|guest/i.test(currentNetwork.ssid)) {
-      return { risk: RISK_LEVELS.MEDIUM, reason: 'Connected to public network' };
-    }
-    
-    return { risk: RISK_LEVELS.LOW, reason: 'Connected to secured network' };
+    const current = network || await getNetworkSnapshot();
+    return await assessRisk(getUserConfig(), { network: current, ip, remember });
   } catch (error) {
-    console.error('Failed to check WiFi security:', error.message);
-    return { risk: RISK_LEVELS.MEDIUM, reason: 'Unable to determine network security' };
-  }
-}
-
-// Function to check location security based on IP
-async function checkLocationSecurity(ip) {
-  try {
-    const geo = geoip.lookup(ip);
-    
-    if (!geo) {
-      return { risk: RISK_LEVELS.MEDIUM, reason: 'Unable to determine location' };
-    }
-    
-    if (HIGH_RISK_COUNTRIES.includes(geo.country)) {
-      return { 
-        risk: RISK_LEVELS.HIGH, 
-        reason: `Located in high-risk country: ${geo.country}`,
-        location: geo
-      };
-    }
-    
-    return { 
-      risk: RISK_LEVELS.LOW, 
-      reason: 'Located in standard-risk country',
-      location: geo
+    console.error('Failed to assess security risk:', error.message);
+    return {
+      level: RISK_LEVELS.MEDIUM,
+      score: 0,
+      matches: [{ id: 'error', score: 0, reason: 'Unable to determine security risk' }],
+      network: null,
+      location: null
     };
-  } catch (error) {
-    console.error('Failed to check location security:', error.message);
-    return { risk: RISK_LEVELS.MEDIUM, reason: 'Unable to determine location security' };
   }
 }
 
 // Function to display security dashboard
-function showSecurityDashboard(wifiSecurity, locationSecurity, isConnected) {
+function showSecurityDashboard(risk, isConnected) {
   termKit.clear();
   
   // Display header
@@ -132,47 +152,42 @@ function showSecurityDashboard(wifiSecurity, locationSecurity, isConnected) {
     termKit.red('■ ').bold('VPN STATUS: ').red('DISCONNECTED\n\n');
   }
   
-  // Display WiFi security
-  termKit.bold('▸ WiFi Security: ');
-  switch(wifiSecurity.risk) {
+  // Display overall risk
+  termKit.bold('▸ Security Risk: ');
+  switch(risk.level) {
     case RISK_LEVELS.HIGH:
-      termKit.red(`${wifiSecurity.risk} - ${wifiSecurity.reason}\n`);
+      termKit.red(`${risk.level} (score ${risk.score})\n`);
       break;
     case RISK_LEVELS.MEDIUM:
-      termKit.yellow(`${wifiSecurity.risk} - ${wifiSecurity.reason}\n`);
+      termKit.yellow(`${risk.level} (score ${risk.score})\n`);
       break;
     case RISK_LEVELS.LOW:
-      termKit.green(`${wifiSecurity.risk} - ${wifiSecurity.reason}\n`);
+      termKit.green(`${risk.level} (score ${risk.score})\n`);
       break;
     case RISK_LEVELS.SAFE:
-      termKit.brightGreen(`${wifiSecurity.risk} - ${wifiSecurity.reason}\n`);
+      termKit.brightGreen(`${risk.level} (score ${risk.score})\n`);
       break;
   }
   
-  // Display location security
-  termKit.bold('▸ Location Security: ');
-  switch(locationSecurity.risk) {
-    case RISK_LEVELS.HIGH:
-      termKit.red(`${locationSecurity.risk} - ${locationSecurity.reason}\n`);
-      break;
-    case RISK_LEVELS.MEDIUM:
-      termKit.yellow(`${locationSecurity.risk} - ${locationSecurity.reason}\n`);
-      break;
-    case RISK_LEVELS.LOW:
-    case RISK_LEVELS.SAFE:
-      termKit.green(`${locationSecurity.risk} - ${locationSecurity.reason}\n`);
-      break;
-  }
+  // Display the rules behind the score
+  risk.matches.forEach(match => {
+    const sign = match.score > 0 ? '+' : '';
+    termKit(`  ${sign}${match.score}  ${match.reason}\n`);
+  });
   
-  if (locationSecurity.location) {
-    termKit(`  Location: ${locationSecurity.location.country}, ${locationSecurity.location.city}\n`);
+  if (risk.network) {
+    termKit(`  Network: ${describeNetwork(risk.network)}\n`);
+  }
+  if (risk.location) {
+    termKit(`  Location: ${risk.location.country}, ${risk.location.city}\n`);
   }
   
   // Display usage stats
   termKit.bold('\n▸ Security Statistics:\n');
   termKit(`  Total protected connections: ${connectionStats.totalConnections}\n`);
   termKit(`  Total protected time: ${Math.round(connectionStats.totalTime / 60)} minutes\n`);
-  termKit(`  Countries visited: ${Array.from(connectionStats.countriesVisited).join(', ') || 'None'}\n\n`);
+  termKit(`  Countries visited: ${Array.from(connectionStats.countriesVisited).join(', ') || 'None'}\n`);
+  termKit(`  Data protected: ↓ ${formatBytes(connectionStats.dataSaved.rxBytes)} ↑ ${formatBytes(connectionStats.dataSaved.txBytes)}\n\n`);
   
   // Display quick commands
   termKit.bold('▸ Quick Commands:\n');
@@ -180,31 +195,88 @@ function showSecurityDashboard(wifiSecurity, locationSecurity, isConnected) {
   termKit.yellow('[D] Disconnect    ');
   termKit.red('[P] Panic Button    ');
   termKit.blue('[R] Refresh    ');
+  termKit.green('[E] Extend    ');
   termKit.gray('[Q] Quit\n\n');
 }
 
-// Function to implement panic button - quickly disconnect and clear data
-async function panicButtonAction(cfgPath) {
-  const panicSpinner = ora('‼️ PANIC BUTTON ACTIVATED - Disconnecting and securing...').start();
+// Function to run the panic playbook from the config. With `preview`,
+// nothing is touched and each step says what it would do. Returns the report.
+async function panicButtonAction(cfgPath, { blockAll = false, preview = false } = {}) {
+  // Read before the playbook discards it, for the panic hooks
+  const session = readSession();
+  const playbook = buildPlaybook(getUserConfig().panicPlaybook, { blockAll });
+  const panicSpinner = ora(preview
+    ? 'Previewing the panic playbook...'
+    : '‼️ PANIC BUTTON ACTIVATED - Running the panic playbook...').start();
   
-  try {
-    // Disconnect VPN
-    await execaCommand(`wg-quick down ${cfgPath}`);
-    
-    // Clear DNS cache
-    if (os.platform() === 'darwin') {
-      await execaCommand('sudo killall -HUP mDNSResponder');
-    } else if (os.platform() === 'linux') {
-      await execaCommand('sudo systemd-resolve --flush-caches');
+  // The tunnel is ours to take down, so it is never a system step
+  const steps = {
+    ...PANIC_STEPS,
+    disconnect: {
+      system: false,
+      describe: async () => (readSession() || await showInterface(INTERFACE_NAME)
+        ? `Record the session, take down the tunnel and shred ${cfgPath}`
+        : 'Take down the tunnel (not connected)'),
+      run: async (step, { signal }) => {
+        if (!readSession() && !await showInterface(INTERFACE_NAME)) {
+          return 'Not connected';
+        }
+        await recordSessionEnd('panic');
+        await bringDown(cfgPath, { signal });
+        discardSession(cfgPath);
+        return 'Tunnel down, session config shredded';
+      }
     }
-    
-    // Clear browser cache (this would be more sophisticated in a real app)
-    console.log('Consider clearing your browser cache manually');
-    
-    panicSpinner.succeed(chalk.green('✅ Panic mode completed - Connection terminated securely'));
-  } catch (error) {
-    panicSpinner.fail(chalk.red(`Failed during panic sequence: ${error.message}`));
+  };
+  
+  const report = await runPlaybook(playbook, steps, {
+    preview,
+    skipSystem: isDryRun(),
+    onStep: result => {
+      panicSpinner.text = `Panic playbook: ${result.step} ${result.status}`;
+    }
+  });
+  
+  if (preview) {
+    panicSpinner.info(chalk.cyan('Panic playbook preview (nothing was changed):'));
+  } else if (report.completed) {
+    panicSpinner.succeed(chalk.green('✅ Panic playbook completed'));
+  } else {
+    panicSpinner.fail(chalk.red('Panic playbook finished with failures'));
+  }
+  printPanicReport(report);
+  
+  if (!preview) {
+    try {
+      console.log(chalk.gray(`Report saved to ${savePanicReport(report)}`));
+    } catch (error) {
+      console.error(chalk.red(`Could not save the panic report: ${error.message}`));
+    }
+    await runEventHooks('panic', {
+      ...(session ? sessionHookPayload(session) : {}),
+      completed: report.completed,
+      steps: report.steps
+    }).catch(error => console.error(chalk.yellow(`⚠ panic hooks could not run: ${error.message}`)));
   }
+  return report;
+}
+
+// Function to print one line per playbook step
+function printPanicReport(report) {
+  const colours = {
+    [STEP_STATUS.OK]: chalk.green,
+    [STEP_STATUS.FAILED]: chalk.red,
+    [STEP_STATUS.TIMED_OUT]: chalk.red,
+    [STEP_STATUS.SKIPPED]: chalk.gray,
+    [STEP_STATUS.PLANNED]: chalk.cyan,
+    [STEP_STATUS.NOT_RUN]: chalk.yellow
+  };
+  
+  report.steps.forEach((result, index) => {
+    const colour = colours[result.status];
+    const time = report.preview ? '' : chalk.gray(` (${result.seconds}s)`);
+    console.log(`  ${index + 1}. ${result.step.padEnd(15)} ${colour(result.status.padEnd(9))} ${result.detail}${time}`);
+  });
 }
 
 // Function to safely connect to VPN (ensures cleanup of existing connections)
@@ -212,7 +284,7 @@ async function safeConnect(cfgPath) {
   try {
     // First try to bring down any existing connection (ignore errors)
     try {
-      await execaCommand(`wg-quick down ${cfgPath}`);
+      await bringDown(cfgPath);
       console.log(chalk.gray("Cleaned up existing connection"));
     } catch (e) {
       // Ignore errors if the connection doesn't exist
@@ -224,7 +296,7 @@ async function safeConnect(cfgPath) {
     }
     
     // Now start a new connection
-    await execaCommand(`wg-quick up ${cfgPath}`);
+    await bringUp(cfgPath);
     return true;
   } catch (error) {
     console.error(chalk.red(`Failed to start WireGuard: ${error.message}`));
@@ -232,23 +304,321 @@ async function safeConnect(cfgPath) {
   }
 }
 
-// Load validators from JSON file
-let validators;
-try {
-  const validatorsPath = path.join(__dirname, 'validators.json');
-  validators = JSON.parse(fs.readFileSync(validatorsPath, 'utf8'));
-} catch (error) {
-  console.error(chalk.red('Failed to load validators.json:'), error.message);
-  console.log(chalk.yellow('Make sure validators.json exists in the same directory as index.js'));
+// Function to (re)install the kill switch for the endpoint in a config,
+// keeping validator APIs reachable so we can reconnect or fail over
+async function applyKillSwitch(cfgPath, validators) {
+  if (isDryRun()) {
+    return;
+  }
+  
+  const endpoint = readEndpoint(fs.readFileSync(cfgPath, 'utf8'));
+  if (!endpoint) {
+    throw new Error('Config has no peer Endpoint for the kill switch');
+  }
+  
+  const allow = validators.map(v => {
+    const separator = v.Axon.lastIndexOf(':');
+    return { host: v.Axon.slice(0, separator).replace(/^\[|\]$/g, ''), port: Number(v.Axon.slice(separator + 1)) };
+  });
+  
+  return engageKillSwitch({ interfaceName: INTERFACE_NAME, endpoint, allow });
+}
+
+// Function to remove the kill switch; only explicit disconnects do this
+async function releaseKillSwitch() {
+  if (!readKillSwitchState()) {
+    return;
+  }
+  
+  try {
+    await disengageKillSwitch();
+    console.log(chalk.gray('🔓 Kill switch removed'));
+  } catch (error) {
+    console.error(chalk.red(`Failed to remove kill switch: ${error.message}`));
+  }
+}
+
+// Function to append the finished session to the history store. Must run
+// before the interface goes down, while its transfer counters still exist.
+async function recordSessionEnd(reason, session = readSession()) {
+  if (!session) {
+    return;
+  }
+  
+  const live = await showInterface(session.interface);
+  const peer = live && live.peers[0];
+  const rxBytes = (session.rxBytes || 0) + (peer ? peer.rxBytes : 0);
+  const txBytes = (session.txBytes || 0) + (peer ? peer.txBytes : 0);
+  
+  emitEvent('disconnected', {
+    reason,
+    validator: session.validator.UID,
+    country: session.region,
+    startedAt: session.startedAt,
+    rxBytes,
+    txBytes
+  });
+  
+  try {
+    appendHistory({
+      validator: session.validator,
+      exitCountry: session.region,
+      startedAt: session.startedAt,
+      endedAt: new Date().toISOString(),
+      leaseMinutes: session.leaseMinutes,
+      renewals: session.renewals || 0,
+      failovers: session.failovers || 0,
+      rxBytes,
+      txBytes,
+      risk: session.risk,
+      riskScore: session.riskScore,
+      locationCountry: session.locationCountry,
+      reason
+    });
+  } catch (error) {
+    console.error(chalk.red(`Failed to record session history: ${error.message}`));
+  }
+  
+  await runEventHooks('disconnected', { ...sessionHookPayload(session), reason, rxBytes, txBytes })
+    .catch(error => console.error(chalk.yellow(`⚠ disconnected hooks could not run: ${error.message}`)));
+}
+
+// Function to describe a session to hooks
+function sessionHookPayload(session) {
+  return {
+    validator: session.validator,
+    geo: session.region,
+    interface: session.interface,
+    ipBefore: session.ipBefore,
+    risk: { level: session.risk, score: session.riskScore },
+    startedAt: session.startedAt,
+    expiresAt: session.expiresAt
+  };
+}
+
+// Function to run the user's hooks for an event and report the ones that
+// failed. Returns false when a pre-connect hook with abortOnFailure failed.
+async function runEventHooks(event, payload) {
+  const results = await runHooks(getUserConfig().hooks, event, { ...payload, dryRun: isDryRun() || undefined });
+
+  results.filter(result => !result.ok).forEach(result => {
+    const why = result.timedOut ? 'timed out' : `exited with ${result.exitCode}`;
+    console.error(chalk.yellow(`⚠ ${event} hook "${result.command}" ${why}${result.stderr ? `: ${result.stderr}` : ''}`));
+  });
+  return !results.some(result => !result.ok && result.abortOnFailure);
+}
+
+// Function to work out how long to wait for the daemon to tear down. It
+// answers only after the disconnected hooks have run and, for a panic, the
+// playbook and the panic hooks too, each possibly to its timeout.
+function teardownRequestOptions({ panic = false } = {}) {
+  const { hooks, panicPlaybook } = getUserConfig();
+  let seconds = hooksTimeout(hooks, 'disconnected');
+  if (panic) {
+    seconds += playbookTimeout(buildPlaybook(panicPlaybook, { blockAll: true })) + hooksTimeout(hooks, 'panic');
+  }
+  return { timeout: DEFAULT_REQUEST_TIMEOUT + seconds * 1000 };
+}
+
+// Seed the dashboard statistics from the session history
+function loadConnectionStats() {
+  const history = readHistory();
+  connectionStats.totalConnections = history.length;
+  connectionStats.totalTime = history.reduce((total, record) => total + sessionSeconds(record), 0);
+  connectionStats.countriesVisited = new Set(history.map(record => record.locationCountry).filter(Boolean));
+  connectionStats.dataSaved = {
+    rxBytes: history.reduce((total, record) => total + (record.rxBytes || 0), 0),
+    txBytes: history.reduce((total, record) => total + (record.txBytes || 0), 0)
+  };
+}
+
+// Function to forget the session and shred its config (keys included)
+function discardSession(cfgPath) {
+  clearSession();
+  removeConfigFile(cfgPath);
+}
+
+// Function to find a config to take the tunnel down with when no session
+// was recorded; a bare interface name makes wg-quick look in /etc/wireguard
+function fallbackConfigPath() {
+  const [file] = listConfigFiles();
+  return file ? file.path : INTERFACE_NAME;
+}
+
+// Function to deal with the recorded session before connecting. A session
+// whose process is still running is left alone and we refuse to connect over
+// it. One whose process died is resumed while its tunnel is up and the lease
+// runs (asking first unless quiet), and otherwise taken down. Returns a
+// connection like establishConnection's when resuming, else null.
+async function recoverSession({ quiet = false } = {}) {
+  const session = readSession();
+  if (!session) {
+    return null;
+  }
+  
+  const live = await showInterface(session.interface);
+  if (!isOrphaned(session)) {
+    if (live) {
+      console.error(chalk.red(`Already connected (session owned by PID ${session.pid}). Run "tpn-connect disconnect" first.`));
+      process.exit(EXIT_CODES.ERROR);
+    }
+    return null;
+  }
+  
+  const remaining = leaseRemaining(session);
+  console.log(chalk.yellow(`⚠️  Found a session left behind by PID ${session.pid || 'unknown'}: UID ${session.validator.UID}, ${session.region}, started ${session.startedAt}`));
+  
+  let resume = Boolean(live) && remaining > 0;
+  if (resume && !quiet) {
+    ({ resume } = await inquirer.prompt([{
+      type: 'list',
+      name: 'resume',
+      message: `Its tunnel is still up with ${formatDuration(remaining)} left on the lease:`,
+      choices: [
+        { name: 'Resume it', value: true },
+        { name: 'Tear it down and connect anew', value: false }
+      ]
+    }]));
+  }
+  
+  if (resume) {
+    const resumed = { ...session, pid: process.pid };
+    writeSession(resumed);
+    claimConfigFile(resumed.cfgPath);
+    loadConnectionStats();
+    console.log(chalk.green(`✅ Resumed the session (${formatDuration(remaining)} left on the lease)`));
+    return { cfgPath: resumed.cfgPath, session: resumed, risk: await checkSecurityRisk(resumed.ipBefore), resumed: true };
+  }
+  
+  if (live) {
+    try {
+      await recordSessionEnd('orphaned', session);
+      await bringDown(session.cfgPath);
+    } catch (error) {
+      console.error(chalk.red(`Failed to take down the orphaned tunnel: ${error.message}`));
+      process.exit(EXIT_CODES.ERROR);
+    }
+  }
+  discardSession(session.cfgPath);
+  console.log(chalk.gray(live
+    ? `Took down the orphaned tunnel (${remaining > 0 ? 'not resumed' : 'lease expired'})`
+    : 'Cleared the record of a session whose tunnel is gone'));
+  return null;
+}
+
+// Function to take down the tunnel this process owns before dying of an
+// unexpected error, so it is not left up with nobody minding the lease
+async function exitAfterCrash(error) {
+  // A rejection can carry anything, not only an Error
+  const message = error instanceof Error ? error.message : String(error);
+  emitEvent('error', { stage: 'internal', message, exitCode: 1 });
+  console.error(chalk.red(`An error occurred: ${message}`));
+  if (error instanceof Error) {
+    console.error(chalk.red(error.stack));
+  }
+  
+  const session = readSession();
+  if (session && session.pid === process.pid) {
+    try {
+      await recordSessionEnd('crash', session);
+      await bringDown(session.cfgPath);
+      discardSession(session.cfgPath);
+      console.error(chalk.yellow('Disconnected because of the error'));
+    } catch (teardownError) {
+      console.error(chalk.red(`Failed to disconnect: ${teardownError.message}. Run "tpn-connect disconnect".`));
+    }
+  }
   process.exit(1);
 }
 
-// Debug information
-console.log(chalk.blue('Debug: Starting TPN Connect...'));
-console.log(chalk.blue(`Debug: Found ${validators.length} validators`));
+// Function to shred configs left behind by crashed sessions, then refuse
+// to run while key files other users can read are lying around
+async function secureLeftoverConfigs() {
+  const session = readSession();
+  const live = session && await showInterface(session.interface);
+  
+  try {
+    removeStaleConfigs({ keep: live ? session.cfgPath : undefined }).forEach(removed => {
+      console.log(chalk.gray(`Shredded leftover config ${removed}`));
+    });
+  } catch (error) {
+    console.error(chalk.yellow(`Could not clean up leftover configs: ${error.message}`));
+  }
+  
+  const leftovers = listConfigFiles();
+  const insecure = leftovers.filter(file => file.insecure);
+  
+  if (insecure.length > 0) {
+    console.error(chalk.red('Refusing to run: WireGuard configs with private keys are readable by other users:'));
+    insecure.forEach(file => console.error(chalk.red(`  ${file.path} (mode ${file.mode.toString(8)})`)));
+    console.log(chalk.yellow('Run "tpn-connect cleanup" to shred them, and rotate any keys that may have leaked.'));
+    process.exit(EXIT_CODES.ERROR);
+  }
+  
+  // The recorded session's config is handled by recoverSession
+  leftovers.filter(file => file.stale && !(session && file.path === session.cfgPath)).forEach(file => {
+    console.log(chalk.yellow(`⚠️  Leftover config ${file.path}; run "tpn-connect cleanup" to shred it`));
+  });
+}
+
+// Function to bring the tunnel down, forget the session and exit.
+// Only explicit disconnects lift the kill switch; expiry leaves it blocking.
+function disconnectAndExit(cfgPath, { explicit = true, reason = 'user' } = {}) {
+  recordSessionEnd(reason)
+    .then(() => bringDown(cfgPath))
+    .then(async () => {
+      discardSession(cfgPath);
+      console.log(chalk.green('✅ Successfully disconnected'));
+      
+      if (explicit) {
+        await releaseKillSwitch();
+      } else if (readKillSwitchState()) {
+        console.log(chalk.yellow('🔒 Kill switch still engaged. Run "tpn-connect kill-switch off" to restore normal traffic.'));
+      }
+      process.exit(EXIT_CODES.OK);
+    })
+    .catch(error => {
+      console.error(chalk.red(`Failed to disconnect: ${error.message}`));
+      process.exit(EXIT_CODES.ERROR);
+    });
+}
+
+// Load validators from the registry cache, falling back to the bundled list
+function loadValidatorList(debugMode) {
+  // Rehearse against running mock validators when there are any
+  if (isDryRun()) {
+    const mocks = listMockValidators().map(({ UID, Axon, Location }) => ({ UID, Axon, Location }));
+    if (mocks.length > 0) {
+      if (debugMode) {
+        console.log(chalk.blue(`Debug: Using ${mocks.length} mock validators`));
+      }
+      return mocks;
+    }
+    console.log(chalk.gray('Dry run: no mock validators running, using the real validator list'));
+  }
+  
+  try {
+    const result = loadValidators({ maxAge: getUserConfig().registryMaxAgeHours * 60 * 60 * 1000 });
+    result.warnings.forEach(warning => console.log(chalk.yellow(`⚠ ${warning}`)));
+    
+    if (debugMode) {
+      console.log(chalk.blue(`Debug: Loaded ${result.validators.length} validators from ${result.source}${result.fetchedAt ? ` (fetched ${result.fetchedAt})` : ''}`));
+    }
+    
+    return result.validators;
+  } catch (error) {
+    console.error(chalk.red('Failed to load validators:'), error.message);
+    console.log(chalk.yellow('Run "tpn-connect validators update" or make sure validators.json exists next to index.cjs'));
+    process.exit(1);
+  }
+}
 
 // Helper function to get public IP
 async function getPublicIP() {
+  if (isDryRun()) {
+    return simulatedPublicIp();
+  }
+  
   try {
     const res = await axios.get('https://api.ipify.org?format=json');
     return res.data.ip;
@@ -258,8 +628,117 @@ async function getPublicIP() {
   }
 }
 
+// Function to print the leak verification report
+function printVerification(verification) {
+  const colours = {
+    [CHECK_STATUS.PASS]: chalk.green,
+    [CHECK_STATUS.WARN]: chalk.yellow,
+    [CHECK_STATUS.FAIL]: chalk.red,
+    [CHECK_STATUS.SKIP]: chalk.gray
+  };
+  
+  console.log(chalk.bold('\n▸ Leak verification:'));
+  verification.checks.forEach(check => {
+    const colour = colours[check.status];
+    console.log(`  ${colour(check.status.toUpperCase().padEnd(4))} ${check.name.padEnd(13)} ${check.detail}`);
+  });
+  console.log(verification.passed
+    ? chalk.green('  Result: PASS')
+    : chalk.red('  Result: FAIL'));
+}
+
+// Request a new WireGuard config (and lease) from a validator
+async function requestPeerConfig(validator, geo, leaseMinutes, debugMode) {
+  const requestUrl = `http://${validator.Axon}/api/config/new`;
+  const params = {
+    format: 'text',
+    geo,
+    lease_minutes: leaseMinutes
+  };
+  
+  if (debugMode) {
+    console.log(chalk.blue('Debug: Request URL:'), requestUrl);
+    console.log(chalk.blue('Debug: Request params:'), params);
+  }
+  
+  const response = await axios.get(requestUrl, { params });
+  
+  // Never hand wg-quick anything we have not checked; hooks would run as root
+  const hooks = getUserConfig().wireguardHooks;
+  const { text, stripped } = sanitizeConfig(response.data, { hooks });
+  
+  stripped.forEach(entry => {
+    console.log(chalk.yellow(`⚠️  Removed ${entry.key} from validator UID ${validator.UID} config: ${entry.value}`));
+  });
+  if (hooks === HOOK_POLICIES.ALLOW && /^(PreUp|PostUp|PreDown|PostDown)\s*=/m.test(text)) {
+    console.log(chalk.yellow(`⚠️  Validator UID ${validator.UID} config runs shell hooks (wireguardHooks is "allow")`));
+  }
+  
+  return text;
+}
+
+// Function to turn --country and --region into exit preference tiers
+function exitPreferences(options) {
+  try {
+    return buildPreferences({
+      countries: options.country || [],
+      region: options.region,
+      userGroups: getUserConfig().regionGroups
+    });
+  } catch (error) {
+    console.error(chalk.red(error.message));
+    process.exit(EXIT_CODES.USAGE);
+  }
+}
+
+// Function to collect a repeatable option (comma separated values allowed)
+function collectValues(value, previous) {
+  return previous.concat(value.split(',').map(v => v.trim()).filter(Boolean));
+}
+
+// Function to pick the split tunnelling settings out of command options
+function routeOptions(options) {
+  const routes = {
+    include: options.include || [],
+    exclude: options.exclude || [],
+    bypass: options.bypass || []
+  };
+  return routes.include.length + routes.exclude.length + routes.bypass.length > 0 ? routes : null;
+}
+
+// Function to work out the tunnel's AllowedIPs for a config and route settings
+function planSplitTunnel(configText, routes) {
+  const endpoint = configText ? readEndpoint(configText) : null;
+  return planRoutes({
+    base: configText ? readConfigValues(configText, 'AllowedIPs') : FULL_TUNNEL,
+    ...routes,
+    lists: getUserConfig().bypassLists,
+    // In include mode the tunnel's own DNS server must stay reachable through it
+    keep: configText ? readConfigValues(configText, 'DNS').filter(v => /^[\d.:a-fA-F]+$/.test(v)) : [],
+    endpoint: endpoint ? endpoint.host : null
+  });
+}
+
+// Function to rewrite a validator config's AllowedIPs for split tunnelling
+async function applySplitTunnel(peerConfig, routes) {
+  if (!routes) {
+    return peerConfig;
+  }
+  
+  const plan = await planSplitTunnel(peerConfig, routes);
+  if (plan.allowed.length === 0) {
+    throw new Error('Split tunnel settings leave nothing to route through the tunnel');
+  }
+  return applyAllowedIps(peerConfig, plan.allowed);
+}
+
 // Check if WireGuard is installed
 async function checkWireGuard() {
+  // The simulated driver needs no WireGuard tools
+  if (isDryRun()) {
+    return true;
+  }
+  
   try {
     await execaCommand('which wg');
     return true;
@@ -271,173 +750,189 @@ async function checkWireGuard() {
 // Install WireGuard if needed
 async function installWireGuard() {
   console.log(chalk.yellow('⚠ WireGuard not found. Installing...'));
-  const platform = os.platform();
   
   try {
-    if (platform === 'linux') {
-      await execaCommand('sudo apt update && sudo apt install -y wireguard-tools');
-    } else if (platform === 'darwin') {
-      await execaCommand('brew install wireguard-tools');
-    } else {
-      throw new Error('Unsupported OS');
-    }
-    console.log(chalk.green('✅ WireGuard installed successfully!'));
+    const { manager } = await installPackages(['wireguard-tools']);
+    console.log(chalk.green(`✅ WireGuard installed successfully with ${manager}!`));
   } catch (error) {
     console.error(chalk.red(`Failed to install WireGuard: ${error.message}`));
-    console.log(chalk.yellow('Please install WireGuard manually and try again.'));
+    console.log(chalk.yellow('Please install WireGuard manually and try again. "tpn-connect doctor" checks the rest of the setup.'));
+    emitEvent('error', { stage: 'install', message: error.message, exitCode: 1 });
     process.exit(1);
   }
 }
 
-// Main function
-async function main() {
-  // Display banner
-  console.log(gradient.pastel.multiline(figlet.textSync('TPN Connect', { horizontalLayout: 'full' })));
-  console.log(chalk.cyan('🔒 Simple and Secure Decentralized VPN Connection\n'));
-  
-  // Check WireGuard installation
-  if (!await checkWireGuard()) {
-    await installWireGuard();
-  }
-  
-  // Create command line interface
-  const program = new Command();
-  program
-    .name('tpn-connect')
-    .description('Simple CLI tool to connect to TPN VPN')
-    .option('-v, --validator <uid>', 'Validator UID')
-    .option('-r, --region <region>', 'Exit region (US, EU, ASIA)')
-    .option('-t, --time <minutes>', 'Connection time in minutes')
-    .option('-q, --quiet', 'Run in quiet mode with minimal output')
-    .option('-d, --debug', 'Show debug information')
-    .parse(process.argv);
+// Pick a validator and region, fetch a config and bring up the tunnel.
+// Shared by the foreground connect flow and the daemon.
+async function establishConnection(options) {
+  // Scripts reading JSON from stdout cannot answer prompts either
+  const quietMode = options.quiet || !isTextOutput();
   
-  const options = program.opts();
-  const quietMode = options.quiet;
+  loadConnectionStats();
   const debugMode = options.debug;
   
   if (debugMode) {
     console.log(chalk.blue('Debug: Command line options:'), options);
   }
   
-  // Select validator
-  let selectedValidator;
-  if (options.validator) {
-    selectedValidator = validators.find(v => v.UID === options.validator);
-    if (!selectedValidator) {
-      console.error(chalk.red(`Validator UID "${options.validator}" not found!`));
+  const validators = loadValidatorList(debugMode);
+  
+  let maxSessionMinutes = null;
+  if (options.maxSession !== undefined) {
+    maxSessionMinutes = parseInt(options.maxSession);
+    if (isNaN(maxSessionMinutes) || maxSessionMinutes <= 0) {
+      console.error(chalk.red('Maximum session length must be a positive number.'));
       process.exit(1);
     }
-  } else {
-    if (!quietMode) {
-      const { validator } = await inquirer.prompt([{
-        type: 'list',
-        name: 'validator',
-        message: 'Select a TPN validator:',
-        choices: validators.map(v => ({
-          name: `UID ${v.UID} - ${v.Axon} (${v.Location})`,
-          value: v
-        }))
-      }]);
-      selectedValidator = validator;
-    } else {
-      // In quiet mode, choose a random validator
-      selectedValidator = validators[Math.floor(Math.random() * validators.length)];
-    }
   }
   
-  console.log(chalk.gray(`🌐 Using validator: ${selectedValidator.Axon} (${selectedValidator.Location})`));
+  const routes = routeOptions(options);
+  if (routes && options.killSwitch) {
+    console.error(chalk.red('--kill-switch blocks everything outside the tunnel and cannot be combined with --include, --exclude or --bypass'));
+    process.exit(EXIT_CODES.USAGE);
+  }
   
-  // Get available regions from validator
-  const spinner = ora('Fetching available regions...').start();
-  let availableRegions;
+  // Validate the requested countries up front so auto selection can honour them
+  const preferences = exitPreferences(options);
+  const requested = { countries: options.country, region: options.region };
   
-  try {
-    if (debugMode) {
-      console.log(chalk.blue(`Debug: Fetching regions from http://${selectedValidator.Axon}/api/config/countries`));
-    }
-    
-    const response = await axios.get(`http://${selectedValidator.Axon}/api/config/countries`);
-    availableRegions = response.data;
-    spinner.succeed(chalk.green(`Found ${availableRegions.length} available regions`));
-    
-    if (debugMode) {
-      console.log(chalk.blue('Debug: Available regions:'), availableRegions);
-    }
-  } catch (error) {
-    spinner.fail(chalk.red('Failed to fetch regions'));
-    console.error(chalk.red(`Error: ${error.message}`));
-    
-    if (debugMode) {
-      console.log(chalk.blue('Debug: Full error:'), error);
-    }
-    
-    // Fallback to some common country codes
-    console.log(chalk.yellow('Using fallback region list...'));
-    availableRegions = ['US', 'GB', 'DE', 'FR', 'JP'];
-  }
+  // Select validator
+  let selectedValidator;
+  let availableRegions;
+  let selectedRegion;
   
-  // Region selection and lease time
-  let selectedRegion, leaseTime;
+  // Quiet mode defaults to auto selection instead of prompting, and country
+  // targeting looks at every validator rather than one picked beforehand
+  const autoSelect = options.validator === 'auto' || (!options.validator && (quietMode || preferences.length > 0));
   
-  if (options.region && options.time) {
-    // Use command line arguments
-    const regionCode = options.region.toUpperCase();
-    if (!['US', 'EU', 'ASIA'].includes(regionCode)) {
-      console.error(chalk.red('Invalid region. Please use US, EU, or ASIA.'));
+  if (autoSelect) {
+    const probeTimeout = parseInt(options.probeTimeout);
+    if (isNaN(probeTimeout) || probeTimeout <= 0) {
+      console.error(chalk.red('Probe timeout must be a positive number.'));
       process.exit(1);
     }
     
-    // Find a country code in the selected region
-    const regionCountries = {
-      'US': ['US', 'CA'],
-      'EU': ['DE', 'FR', 'GB', 'IT', 'ES'],
-      'ASIA': ['JP', 'KR', 'SG', 'IN']
-    };
+    const probeSpinner = ora(`Probing ${validators.length} validators...`).start();
+    const probeResults = await probeValidators(validators, { timeout: probeTimeout });
     
-    const possibleCountries = regionCountries[regionCode].filter(code => 
-      availableRegions.includes(code)
-    );
+    if (debugMode) {
+      probeResults.forEach(r => {
+        const status = r.healthy ? `${r.latency}ms, ${r.countries.length} countries` : `unreachable (${r.error})`;
+        console.log(chalk.blue(`Debug: Probe UID ${r.validator.UID} (${r.validator.Axon}): ${status}`));
+      });
+    }
     
-    if (possibleCountries.length === 0) {
-      console.error(chalk.red(`No available countries in ${regionCode} region.`));
-      
-      if (debugMode) {
-        console.log(chalk.blue('Debug: Region countries:'), regionCountries[regionCode]);
-        console.log(chalk.blue('Debug: Available regions:'), availableRegions);
+    let best = null;
+    let fellBack = false;
+    if (preferences.length > 0) {
+      const pick = selectForCountries(probeResults, preferences);
+      if (pick) {
+        best = pick.result;
+        selectedRegion = pick.country;
+      } else if (options.allowFallback) {
+        best = selectBestValidator(probeResults);
+        selectedRegion = best ? best.countries[0] : undefined;
+        fellBack = true;
       }
-      
-      // Fallback to first available region
-      selectedRegion = availableRegions[0];
-      console.log(chalk.yellow(`Falling back to ${selectedRegion}`));
     } else {
-      selectedRegion = possibleCountries[0];
+      best = selectBestValidator(probeResults);
     }
     
-    leaseTime = parseInt(options.time);
-    
-    if (isNaN(leaseTime) || leaseTime <= 0) {
-      console.error(chalk.red('Lease time must be a positive number.'));
+    if (!best) {
+      const healthyCount = probeResults.filter(r => r.healthy).length;
+      if (preferences.length > 0 && healthyCount > 0) {
+        const message = `No healthy validator offers ${describePreferences(requested)} (${healthyCount}/${validators.length} reachable)`;
+        probeSpinner.fail(chalk.red(message));
+        console.log(chalk.yellow('Pass --allow-fallback to accept another exit country'));
+        emitEvent('error', { stage: 'select', message, exitCode: EXIT_CODES.NO_MATCH });
+        process.exit(EXIT_CODES.NO_MATCH);
+      }
+      const message = `No healthy validators found (0/${validators.length} reachable)`;
+      probeSpinner.fail(chalk.red(message));
+      emitEvent('error', { stage: 'select', message, exitCode: 1 });
       process.exit(1);
     }
-  } else if (!quietMode) {
-    // Interactive mode
-    const regionNames = new Intl.DisplayNames(['en'], { type: 'region' });
     
-    // Try to get region names, fall back to codes if it fails
-    const regionChoices = availableRegions.map(code => {
-      try {
-        return {
-          name: regionNames.of(code),
-          value: code
-        };
-      } catch (error) {
-        return {
-          name: code,
-          value: code
-        };
+    probeSpinner.succeed(chalk.green(`Selected validator UID ${best.validator.UID} (${best.latency}ms)`));
+    if (fellBack) {
+      console.log(chalk.yellow(`⚠ No validator offers ${describePreferences(requested)}; falling back to ${selectedRegion}`));
+    }
+    selectedValidator = best.validator;
+    availableRegions = best.countries;
+  } else if (options.validator) {
+    selectedValidator = validators.find(v => v.UID === options.validator);
+    if (!selectedValidator) {
+      console.error(chalk.red(`Validator UID "${options.validator}" not found!`));
+      process.exit(1);
+    }
+  } else {
+    const { validator } = await inquirer.prompt([{
+      type: 'list',
+      name: 'validator',
+      message: 'Select a TPN validator:',
+      choices: validators.map(v => ({
+        name: `UID ${v.UID} - ${v.Axon} (${v.Location})`,
+        value: v
+      }))
+    }]);
+    selectedValidator = validator;
+  }
+  
+  console.log(chalk.gray(`🌐 Using validator: ${selectedValidator.Axon} (${selectedValidator.Location})`));
+  
+  // Get available regions from validator (already known when it was probed)
+  if (!availableRegions) {
+    const spinner = ora('Fetching available regions...').start();
+    
+    try {
+      if (debugMode) {
+        console.log(chalk.blue(`Debug: Fetching regions from http://${selectedValidator.Axon}/api/config/countries`));
       }
-    });
+      
+      const response = await axios.get(`http://${selectedValidator.Axon}/api/config/countries`);
+      availableRegions = response.data;
+      spinner.succeed(chalk.green(`Found ${availableRegions.length} available regions`));
+      
+      if (debugMode) {
+        console.log(chalk.blue('Debug: Available regions:'), availableRegions);
+      }
+    } catch (error) {
+      spinner.fail(chalk.red('Failed to fetch regions'));
+      console.error(chalk.red(`Error: ${error.message}`));
+      
+      if (debugMode) {
+        console.log(chalk.blue('Debug: Full error:'), error);
+      }
+      
+      // Fallback to the configured country codes
+      console.log(chalk.yellow('Using fallback region list...'));
+      availableRegions = getUserConfig().fallbackRegions;
+    }
+  }
+  
+  // A validator chosen by UID must offer one of the requested countries itself
+  if (!selectedRegion && preferences.length > 0) {
+    selectedRegion = preferredCountry(availableRegions, preferences);
+    
+    if (!selectedRegion && !options.allowFallback) {
+      const message = `Validator UID ${selectedValidator.UID} does not offer ${describePreferences(requested)}`;
+      console.error(chalk.red(message));
+      console.log(chalk.yellow(`It offers: ${availableRegions.join(', ')}. Pass --allow-fallback to accept one of these anyway.`));
+      emitEvent('error', { stage: 'select', message, exitCode: EXIT_CODES.NO_MATCH });
+      process.exit(EXIT_CODES.NO_MATCH);
+    }
+    if (!selectedRegion) {
+      selectedRegion = availableRegions[0];
+      console.log(chalk.yellow(`⚠ Validator UID ${selectedValidator.UID} does not offer ${describePreferences(requested)}; falling back to ${selectedRegion}`));
+    }
+  }
+  
+  if (!selectedRegion && !quietMode) {
+    // Interactive region selection
+    const regionChoices = availableRegions.map(code => ({
+      name: countryName(code),
+      value: code
+    }));
     
     const { region } = await inquirer.prompt([{
       type: 'list',
@@ -447,12 +942,25 @@ async function main() {
     }]);
     
     selectedRegion = region;
+  } else if (!selectedRegion) {
+    // Default for quiet mode
+    selectedRegion = availableRegions[0];
+  }
+  
+  let leaseTime;
+  if (options.time) {
+    leaseTime = parseInt(options.time);
     
+    if (isNaN(leaseTime) || leaseTime <= 0) {
+      console.error(chalk.red('Lease time must be a positive number.'));
+      process.exit(1);
+    }
+  } else if (!quietMode) {
     const { time } = await inquirer.prompt([{
       type: 'input',
       name: 'time',
       message: 'Connection time (minutes):',
-      default: '30',
+      default: String(getUserConfig().leaseMinutes),
       validate: value => {
         const num = parseInt(value);
         return (!isNaN(num) && num > 0) ? true : 'Please enter a positive number';
@@ -461,48 +969,63 @@ async function main() {
     
     leaseTime = parseInt(time);
   } else {
-    // Default values for quiet mode
-    selectedRegion = availableRegions[0];
-    leaseTime = 30;
+    leaseTime = getUserConfig().leaseMinutes;
   }
   
   console.log(chalk.cyan(`🌍 Selected region: ${selectedRegion}`));
+  // The first lease counts towards the session cap as well
+  if (maxSessionMinutes && leaseTime > maxSessionMinutes) {
+    leaseTime = maxSessionMinutes;
+  }
+  
   console.log(chalk.cyan(`⏱️ Connection time: ${leaseTime} minutes`));
+  emitEvent('validator-selected', {
+    validator: selectedValidator.UID,
+    axon: selectedValidator.Axon,
+    country: selectedRegion,
+    leaseMinutes: leaseTime
+  });
   
   // Get IP before connection
   const ipBefore = await getPublicIP();
   console.log(chalk.yellow(`📡 Current IP: ${ipBefore}`));
-  const wifiSecurity = await checkWifiSecurity();
-  const locationSecurity = await checkLocationSecurity(ipBefore);
+  const risk = await checkSecurityRisk(ipBefore);
   
-  // Show initial dashboard
-  showSecurityDashboard(wifiSecurity, locationSecurity, false);
+  // Show initial dashboard (the daemon has no terminal to draw on, and
+  // quiet or machine-readable runs want no decoration)
+  if (!options.daemon && !quietMode) {
+    showSecurityDashboard(risk, false);
+    
+    // High risk notification
+    if (risk.level === RISK_LEVELS.HIGH) {
+      termKit.bold.red('\n⚠️  HIGH SECURITY RISK DETECTED! VPN STRONGLY RECOMMENDED ⚠️\n\n');
+    }
+  }
   
-  // High risk notification
-  if (wifiSecurity.risk === RISK_LEVELS.HIGH || locationSecurity.risk === RISK_LEVELS.HIGH) {
-    termKit.bold.red('\n⚠️  HIGH SECURITY RISK DETECTED! VPN STRONGLY RECOMMENDED ⚠️\n\n');
+  // Hooks run before anything is requested, and may veto the connect
+  const proceed = await runEventHooks('pre-connect', {
+    validator: { UID: selectedValidator.UID, Axon: selectedValidator.Axon },
+    geo: selectedRegion,
+    interface: INTERFACE_NAME,
+    ipBefore,
+    risk: { level: risk.level, score: risk.score },
+    leaseMinutes: leaseTime
+  });
+  if (!proceed) {
+    console.error(chalk.red('Connect aborted by a pre-connect hook'));
+    emitEvent('error', { stage: 'hook', message: 'Connect aborted by a pre-connect hook', exitCode: EXIT_CODES.ERROR });
+    process.exit(EXIT_CODES.ERROR);
   }
-
+  
   // Connect to VPN
   const connectSpinner = ora(`Connecting to TPN VPN (${selectedRegion})...`).start();
   let peerConfig;
   
   try {
-    const requestUrl = `http://${selectedValidator.Axon}/api/config/new`;
-    const params = {
-      format: 'text',
-      geo: selectedRegion,
-      lease_minutes: leaseTime
-    };
-    
-    if (debugMode) {
-      console.log(chalk.blue('Debug: Request URL:'), requestUrl);
-      console.log(chalk.blue('Debug: Request params:'), params);
-    }
-    
-    const response = await axios.get(requestUrl, { params });
-    peerConfig = response.data;
+    peerConfig = await requestPeerConfig(selectedValidator, selectedRegion, leaseTime, debugMode);
+    peerConfig = await applySplitTunnel(peerConfig, routes);
     connectSpinner.succeed(chalk.green(`Successfully connected to ${selectedRegion}`));
+    emitEvent('config-received', { validator: selectedValidator.UID, country: selectedRegion, leaseMinutes: leaseTime });
     
     if (debugMode) {
       console.log(chalk.blue('Debug: Got peer config (first 100 chars):'), peerConfig.substring(0, 100) + '...');
@@ -510,6 +1033,7 @@ async function main() {
   } catch (error) {
     connectSpinner.fail(chalk.red('Connection failed'));
     console.error(chalk.red(`Error: ${error.message}`));
+    emitEvent('error', { stage: 'config', message: error.message, exitCode: 1 });
     
     if (debugMode) {
       console.log(chalk.blue('Debug: Full error:'), error);
@@ -518,19 +1042,31 @@ async function main() {
     process.exit(1);
   }
   
-  // Save WireGuard configuration
-  const cfgPath = process.getuid && process.getuid() === 0
-    ? '/etc/wireguard/tpn-connect.conf'
-    : './tpn-connect.conf';
+  // Save WireGuard configuration in a private directory of its own
+  const cfgPath = sessionConfigPath(newSessionId());
   
   try {
-    fs.writeFileSync(cfgPath, peerConfig);
+    writeConfigFile(cfgPath, peerConfig);
     console.log(chalk.gray(`📄 Configuration saved to ${cfgPath}`));
   } catch (error) {
     console.error(chalk.red(`Failed to write config file: ${error.message}`));
+    emitEvent('error', { stage: 'config', message: error.message, exitCode: 1 });
     process.exit(1);
   }
   
+  // Install the kill switch before the tunnel comes up so nothing leaks meanwhile
+  if (options.killSwitch) {
+    try {
+      await applyKillSwitch(cfgPath, validators);
+      console.log(chalk.gray(isDryRun() ? '🔒 Kill switch skipped (dry run)' : '🔒 Kill switch engaged'));
+    } catch (error) {
+      console.error(chalk.red(`Failed to engage kill switch: ${error.message}`));
+      emitEvent('error', { stage: 'kill-switch', message: error.message, exitCode: 1 });
+      removeConfigFile(cfgPath);
+      process.exit(1);
+    }
+  }
+  
   // Start WireGuard connection with safe connect
   console.log(boxen(chalk.blue(`⚙️ Activating TPN VPN connection to ${selectedRegion}`), {
     padding: 1,
@@ -550,6 +1086,8 @@ async function main() {
     }
   } catch (error) {
     console.error(chalk.red(`Failed to start WireGuard: ${error.message}`));
+    emitEvent('error', { stage: 'tunnel', message: error.message, exitCode: 1 });
+    removeConfigFile(cfgPath);
     
     if (debugMode) {
       console.log(chalk.blue('Debug: Full error:'), error);
@@ -558,100 +1096,1937 @@ async function main() {
     process.exit(1);
   }
   
+  // Remember the session so `status` and `disconnect` can find it
+  const connectedAt = new Date();
+  const session = {
+    pid: process.pid,
+    interface: INTERFACE_NAME,
+    cfgPath,
+    validator: { UID: selectedValidator.UID, Axon: selectedValidator.Axon },
+    region: selectedRegion,
+    leaseMinutes: leaseTime,
+    autoRenew: Boolean(options.autoRenew),
+    maxSessionMinutes,
+    renewals: 0,
+    failovers: 0,
+    killSwitch: Boolean(options.killSwitch),
+    routes,
+    ipBefore,
+    risk: risk.level,
+    riskScore: risk.score,
+    locationCountry: risk.location ? risk.location.country : null,
+    rxBytes: 0,
+    txBytes: 0,
+    startedAt: connectedAt.toISOString(),
+    expiresAt: new Date(connectedAt.getTime() + leaseTime * 60 * 1000).toISOString()
+  };
+  writeSession(session);
+  emitEvent('tunnel-up', {
+    interface: INTERFACE_NAME,
+    validator: selectedValidator.UID,
+    country: selectedRegion,
+    endpoint: readEndpoint(peerConfig),
+    routes,
+    expiresAt: session.expiresAt
+  });
+  
   // Get IP after connection
   const ipAfter = await getPublicIP();
   console.log(chalk.green(`📡 New IP: ${ipAfter}`));
+  
+  // Prove the tunnel works: exit IP, exit country, DNS and IPv6. With
+  // --include the IP-echo services are meant to stay outside, so skip it;
+  // a dry run has no tunnel to check.
+  let skipVerification = null;
+  if (isDryRun()) {
+    skipVerification = 'dry run, nothing is tunnelled';
+  } else if (routes && routes.include.length > 0) {
+    skipVerification = 'only --include ranges use the tunnel';
+  }
+  const verification = skipVerification
+    ? { passed: true, skipped: true }
+    : await verifyConnection({
+      configText: peerConfig,
+      interfaceName: INTERFACE_NAME,
+      expectedCountry: selectedRegion,
+      ipBefore
+    });
+  
+  if (verification.skipped) {
+    console.log(chalk.gray(`Leak verification skipped: ${skipVerification}`));
+  } else {
+    printVerification(verification);
+  }
+  emitEvent('ip-verified', {
+    ipBefore,
+    ipAfter,
+    passed: verification.passed,
+    skipped: Boolean(verification.skipped),
+    checks: verification.checks || []
+  });
+  
+  if (!verification.passed && options.disconnectOnLeak) {
+    console.error(chalk.red('Leak verification failed. Disconnecting...'));
+    emitEvent('error', { stage: 'verify', message: 'Leak verification failed', exitCode: EXIT_CODES.VERIFY_FAILED });
+    await recordSessionEnd('leak');
+    await bringDown(cfgPath).catch(() => {});
+    discardSession(cfgPath);
+    process.exit(EXIT_CODES.VERIFY_FAILED);
+  }
+  
   console.log(chalk.green('\n✅ Connection established! You are now connected to TPN VPN.'));
-  console.log(chalk.gray('⚠️ Press Ctrl+C to disconnect\n'));
+  await runEventHooks('post-connect', { ...sessionHookPayload(session), ipAfter, verified: verification.passed })
+    .catch(error => console.error(chalk.yellow(`⚠ post-connect hooks could not run: ${error.message}`)));
   
-  if (locationSecurity.location) {
-    connectionStats.countriesVisited.add(locationSecurity.location.country);
+  if (risk.location) {
+    connectionStats.countriesVisited.add(risk.location.country);
   }
   connectionStats.totalConnections++;
   
-  // Create progress bar for lease time
-  const totalSeconds = leaseTime * 60;
-  const progressBar = new cliProgress.SingleBar({
-    format: chalk.cyan('Connection time: [{bar}] {percentage}% | {value}/{total}s'),
-    hideCursor: true
-  }, cliProgress.Presets.shades_classic);
+  return {
+    cfgPath,
+    session,
+    validator: selectedValidator,
+    region: selectedRegion,
+    leaseTime,
+    ipBefore,
+    ipAfter,
+    risk
+  };
+}
+
+// Function to describe a session for the metrics endpoint
+async function metricsSnapshot(session, risk) {
+  const interfaceName = session ? session.interface : INTERFACE_NAME;
+  const live = await showInterface(interfaceName);
+  const peer = live && live.peers[0];
+  
+  return {
+    up: Boolean(live),
+    interface: interfaceName,
+    session: session ? {
+      validator: session.validator.UID,
+      axon: session.validator.Axon,
+      country: session.region,
+      startedAt: session.startedAt,
+      expiresAt: session.expiresAt,
+      leaseRemaining: leaseRemaining(session),
+      renewals: session.renewals || 0,
+      failovers: session.failovers || 0
+    } : null,
+    // Counters restart with the interface, so add what earlier ones carried
+    tunnel: peer ? {
+      endpoint: peer.endpoint,
+      latestHandshake: peer.latestHandshake || null,
+      handshakeAge: peer.latestHandshake ? Math.round(Date.now() / 1000 - peer.latestHandshake) : null,
+      rxBytes: (session && session.rxBytes || 0) + peer.rxBytes,
+      txBytes: (session && session.txBytes || 0) + peer.txBytes
+    } : null,
+    risk: risk ? { level: risk.level, score: risk.score, rules: risk.matches.map(match => match.id) } : null
+  };
+}
+
+// Function to serve /status and /metrics when --metrics-listen is given.
+// `getState` returns the current { session, risk }.
+async function startMetricsEndpoint(options, getState) {
+  if (!options.metricsListen) {
+    return null;
+  }
+  
+  let address;
+  try {
+    address = parseListenAddress(options.metricsListen);
+  } catch (error) {
+    console.error(chalk.red(error.message));
+    process.exit(EXIT_CODES.USAGE);
+  }
+  
+  try {
+    const server = await startMetricsServer({
+      ...address,
+      getStatus: () => {
+        const { session, risk } = getState();
+        return metricsSnapshot(session, risk);
+      }
+    });
+    const host = address.host.includes(':') ? `[${address.host}]` : address.host;
+    console.log(chalk.gray(`📈 Metrics at http://${host}:${address.port}/metrics and /status`));
+    return server;
+  } catch (error) {
+    console.error(chalk.red(`Cannot serve metrics on ${options.metricsListen}: ${error.message}`));
+    process.exit(EXIT_CODES.ERROR);
+  }
+}
+
+// Function returning a check that emits lease-expiring once per lease
+// when it gets within LEASE_EXPIRING_SECONDS of the end
+function leaseExpiryNotifier() {
+  let announced = null;
+  
+  return (session, remaining) => {
+    if (remaining > LEASE_EXPIRING_SECONDS || announced === session.expiresAt) {
+      return;
+    }
+    announced = session.expiresAt;
+    emitEvent('lease-expiring', {
+      validator: session.validator.UID,
+      country: session.region,
+      expiresAt: session.expiresAt,
+      secondsRemaining: remaining,
+      autoRenew: session.autoRenew
+    });
+    runEventHooks('lease-expiring', { ...sessionHookPayload(session), secondsRemaining: remaining, autoRenew: session.autoRenew })
+      .catch(error => console.error(chalk.yellow(`⚠ lease-expiring hooks could not run: ${error.message}`)));
+  };
+}
+
+// Connect flow: bring up the tunnel, then show the lease timer and dashboard keys
+async function connectCommand(options) {
+  const interactive = !options.quiet && isTextOutput();
+  
+  // Display banner
+  if (interactive) {
+    console.log(gradient.pastel.multiline(figlet.textSync('TPN Connect', { horizontalLayout: 'full' })));
+    console.log(chalk.cyan('🔒 Simple and Secure Decentralized VPN Connection\n'));
+  }
+  
+  // Check WireGuard installation
+  if (!await checkWireGuard()) {
+    await installWireGuard();
+  }
+  
+  const watchdog = watchdogOptions(options);
+  
+  // Serve metrics from the start so a failed connect shows as a down tunnel
+  let session = null;
+  let risk = null;
+  await startMetricsEndpoint(options, () => ({ session, risk }));
+  
+  const connection = await recoverSession({ quiet: !interactive }) || await establishConnection(options);
+  const { cfgPath } = connection;
+  ({ session, risk } = connection);
+  console.log(chalk.gray('⚠️ Press Ctrl+C to disconnect\n'));
+  
+  // Full-screen dashboard when a person is at a terminal, otherwise a plain
+  // lease bar (not drawn for scripts)
+  let totalSeconds = session.leaseMinutes * 60;
+  const dashboard = interactive && process.stdout.isTTY ? createDashboard(termKit) : null;
+  const progressBar = isTextOutput() && !dashboard
+    ? new cliProgress.SingleBar({
+      format: chalk.cyan('Connection time: [{bar}] {percentage}% | {value}/{total}s'),
+      hideCursor: true
+    }, cliProgress.Presets.shades_classic)
+    : { start: () => {}, update: () => {}, stop: () => {} };
+  const checkLeaseExpiry = leaseExpiryNotifier();
+  
+  // A resumed session is part way through its lease
+  let elapsed = connection.resumed ? Math.max(0, totalSeconds - leaseRemaining(session)) : 0;
+  progressBar.start(totalSeconds, elapsed);
+  let renewing = false;
+  let nextRenewAttempt = 0;
+  
+  // While the dashboard is up, console output lands in its activity panel
+  const { log: consoleLog, error: consoleError } = console;
+  const closeDashboard = () => {
+    if (dashboard) {
+      dashboard.close();
+      console.log = consoleLog;
+      console.error = consoleError;
+    }
+  };
+  if (dashboard) {
+    console.log = (...args) => dashboard.log(args.join(' '));
+    console.error = console.log;
+    process.once('exit', closeDashboard);
+  }
+  
+  const traffic = createTrafficMonitor();
+  const dataSavedBefore = { ...connectionStats.dataSaved };
+  let sampling = false;
+  let sampleError = null;
+  
+  // Read the tunnel counters (one `wg show` at a time) and redraw. When that
+  // fails the last frame stays up and the error is logged once.
+  const refreshDashboard = async () => {
+    if (!dashboard || sampling) {
+      return;
+    }
+    sampling = true;
+    
+    try {
+      const base = { rxBytes: session.rxBytes || 0, txBytes: session.txBytes || 0 };
+      const current = traffic.sample(await showInterface(session.interface), { base });
+      connectionStats.dataSaved = {
+        rxBytes: dataSavedBefore.rxBytes + current.rxBytes,
+        txBytes: dataSavedBefore.txBytes + current.txBytes
+      };
+      dashboard.render({
+        session,
+        lease: { remaining: Math.max(0, totalSeconds - elapsed), total: totalSeconds },
+        traffic: current,
+        risk,
+        stats: connectionStats
+      });
+      sampleError = null;
+    } catch (error) {
+      if (error.message !== sampleError) {
+        sampleError = error.message;
+        dashboard.log(chalk.yellow(`⚠ Could not refresh the dashboard: ${error.message}`));
+      }
+    } finally {
+      sampling = false;
+    }
+  };
+  refreshDashboard();
+  
+  // Swap in a fresh lease for the same validator and geo, then restart the bar
+  const renew = async (minutes) => {
+    if (renewing) {
+      return;
+    }
+    renewing = true;
+    
+    try {
+      session = await renewLease(session, minutes, options.debug);
+      totalSeconds = session.leaseMinutes * 60;
+      elapsed = 0;
+      progressBar.start(totalSeconds, 0);
+    } catch (error) {
+      nextRenewAttempt = elapsed + RENEW_RETRY_SECONDS;
+      progressBar.stop();
+      console.error(chalk.red(`Failed to renew lease: ${error.message}`));
+      emitEvent('error', { stage: 'renew', message: error.message });
+      progressBar.start(totalSeconds, elapsed);
+    } finally {
+      renewing = false;
+    }
+  };
   
-  progressBar.start(totalSeconds, 0);
-  let elapsed = 0;
+  // Watch the tunnel and fail over to another validator when it goes stale
+  if (watchdog) {
+    startWatchdog({
+      interfaceName: session.interface,
+      ...watchdog,
+      onStale: async (assessment) => {
+        renewing = true;
+        progressBar.stop();
+        console.log(chalk.yellow(`\n⚠ Tunnel looks dead (${assessment.reason}). Failing over...`));
+        
+        try {
+          session = await failoverSession(session, assessment.reason, options);
+          totalSeconds = session.leaseMinutes * 60;
+          elapsed = 0;
+        } catch (error) {
+          console.error(chalk.red(`Failover failed: ${error.message}`));
+          emitEvent('error', { stage: 'failover', message: error.message });
+        } finally {
+          renewing = false;
+          progressBar.start(totalSeconds, elapsed);
+        }
+      }
+    });
+  }
   
   const timer = setInterval(() => {
     elapsed++;
     progressBar.update(elapsed);
+    refreshDashboard();
     connectionStats.totalTime++; // Update total time
+    checkLeaseExpiry(session, totalSeconds - elapsed);
+    
+    if (elapsed >= nextRenewAttempt && shouldRenew(session, totalSeconds - elapsed)) {
+      renew(session.leaseMinutes);
+    }
     
-    if (elapsed >= totalSeconds) {
+    if (elapsed >= totalSeconds && !renewing) {
       clearInterval(timer);
       progressBar.stop();
+      closeDashboard();
       console.log(chalk.yellow('\n⏰ Connection time expired. Disconnecting...'));
       
-      // Disconnect
-      execaCommand(`wg-quick down ${cfgPath}`)
-        .then(() => {
-          console.log(chalk.green('✅ Successfully disconnected'));
-          process.exit(0);
-        })
-        .catch(error => {
-          console.error(chalk.red(`Failed to disconnect: ${error.message}`));
-          process.exit(1);
-        });
+      // Disconnect (an expired lease is not an explicit disconnect)
+      disconnectAndExit(cfgPath, { explicit: false, reason: 'expired' });
     }
   }, 1000);
   
+  // Disconnect cleanly on SIGTERM, on SIGHUP when the terminal goes away,
+  // and on SIGINT when no keyboard is grabbed
+  let signalled = false;
+  ['SIGINT', 'SIGTERM', 'SIGHUP'].forEach(signal => {
+    process.on(signal, () => {
+      if (signalled) {
+        return;
+      }
+      signalled = true;
+      if (signal === 'SIGHUP') {
+        // Nobody is left to read our output, and writing to it may fail
+        [process.stdout, process.stderr].forEach(stream => stream.on('error', () => {}));
+      }
+      clearInterval(timer);
+      progressBar.stop();
+      closeDashboard();
+      disconnectAndExit(cfgPath, { reason: 'signal' });
+    });
+  });
+  
+  // Without a human at the keyboard, signals are the way to disconnect
+  if (!isTextOutput()) {
+    return;
+  }
+  
   // Add keyboard controls for dashboard
   termKit.grabInput();
   termKit.on('key', async (key) => {
     if (key === 'p' || key === 'P') {
       // Panic button
-      await panicButtonAction(cfgPath);
+      closeDashboard();
+      await panicButtonAction(cfgPath, { blockAll: session.killSwitch });
       process.exit(0);
     } else if (key === 'r' || key === 'R') {
-      // Refresh dashboard with updated security info
-      const currentIp = await getPublicIP();
-      const refreshedWifiSecurity = await checkWifiSecurity();
-      const refreshedLocationSecurity = await checkLocationSecurity(currentIp);
-      showSecurityDashboard(refreshedWifiSecurity, refreshedLocationSecurity, true);
+      // Refresh dashboard with updated security info (located by the pre-tunnel IP)
+      risk = await checkSecurityRisk(session.ipBefore);
+      if (dashboard) {
+        await refreshDashboard();
+      } else {
+        showSecurityDashboard(risk, true);
+      }
+    } else if (key === 'c' || key === 'C') {
+      console.log(chalk.gray('Already connected. Press D to disconnect first.'));
+    } else if (key === 'e' || key === 'E') {
+      // Extend the lease now
+      await renew(session.leaseMinutes);
     } else if (key === 'd' || key === 'D') {
       // Disconnect
       termKit.grabInput(false);
       progressBar.stop();
+      closeDashboard();
       console.log(chalk.yellow('\n\nDisconnecting from TPN VPN...'));
       
-      execaCommand(`wg-quick down ${cfgPath}`)
-        .then(() => {
-          console.log(chalk.green('✅ Successfully disconnected'));
-          process.exit(0);
-        })
-        .catch(error => {
-          console.error(chalk.red(`Failed to disconnect: ${error.message}`));
-          process.exit(1);
-        });
+      disconnectAndExit(cfgPath);
     } else if (key === 'q' || key === 'Q' || key === 'CTRL_C') {
       // Quit
       termKit.grabInput(false);
       progressBar.stop();
+      closeDashboard();
       console.log(chalk.yellow('\n\nDisconnecting from TPN VPN...'));
       
-      execaCommand(`wg-quick down ${cfgPath}`)
-        .then(() => {
-          console.log(chalk.green('✅ Successfully disconnected'));
-          process.exit(0);
+      disconnectAndExit(cfgPath);
+    }
+  });
+}
+
+// Function to request a fresh lease for the current session and swap it in
+// without taking the interface down
+async function renewLease(session, requestedMinutes, debugMode) {
+  const minutes = renewalMinutes(session, requestedMinutes);
+  if (minutes <= 0) {
+    throw new Error(`Session length cap of ${session.maxSessionMinutes} minutes reached`);
+  }
+  
+  const previousConfig = fs.readFileSync(session.cfgPath, 'utf8');
+  const peerConfig = await applySplitTunnel(
+    await requestPeerConfig(session.validator, session.region, minutes, debugMode),
+    session.routes
+  );
+  writeConfigFile(session.cfgPath, peerConfig);
+  
+  try {
+    if (session.killSwitch) {
+      await applyKillSwitch(session.cfgPath, loadValidatorList(false));
+    }
+    await syncConfig(session.interface, session.cfgPath, previousConfig);
+  } catch (error) {
+    writeConfigFile(session.cfgPath, previousConfig);
+    throw error;
+  }
+  
+  const renewed = {
+    ...session,
+    leaseMinutes: minutes,
+    expiresAt: new Date(Date.now() + minutes * 60 * 1000).toISOString(),
+    renewals: (session.renewals || 0) + 1
+  };
+  writeSession(renewed);
+  return renewed;
+}
+
+// Function to move the session to the next-best validator serving the same
+// country after its tunnel went stale
+async function failoverSession(session, reason, options) {
+  const minutes = renewalMinutes(session, session.leaseMinutes);
+  if (minutes <= 0) {
+    throw new Error(`Session length cap of ${session.maxSessionMinutes} minutes reached`);
+  }
+  
+  const validators = loadValidatorList(options.debug)
+    .filter(v => v.UID !== session.validator.UID);
+  const probeTimeout = parseInt(options.probeTimeout) || DEFAULT_PROBE_TIMEOUT;
+  const best = selectBestValidator(await probeValidators(validators, { timeout: probeTimeout }), [session.region]);
+  
+  if (!best) {
+    throw new Error(`No other healthy validator offers ${session.region}`);
+  }
+  
+  const peerConfig = await applySplitTunnel(
+    await requestPeerConfig(best.validator, session.region, minutes, options.debug),
+    session.routes
+  );
+  writeConfigFile(session.cfgPath, peerConfig);
+  
+  if (session.killSwitch) {
+    await applyKillSwitch(session.cfgPath, validators);
+  }
+  
+  // Reconnecting resets the interface counters, so carry them in the session
+  const live = await showInterface(session.interface);
+  const peer = live && live.peers[0];
+  const rxBytes = (session.rxBytes || 0) + (peer ? peer.rxBytes : 0);
+  const txBytes = (session.txBytes || 0) + (peer ? peer.txBytes : 0);
+  
+  if (!await safeConnect(session.cfgPath)) {
+    throw new Error(`Failed to connect to validator UID ${best.validator.UID}`);
+  }
+  
+  const moved = {
+    ...session,
+    validator: { UID: best.validator.UID, Axon: best.validator.Axon },
+    leaseMinutes: minutes,
+    expiresAt: new Date(Date.now() + minutes * 60 * 1000).toISOString(),
+    failovers: (session.failovers || 0) + 1,
+    rxBytes,
+    txBytes
+  };
+  writeSession(moved);
+  await runEventHooks('failover', { ...sessionHookPayload(moved), previousValidator: session.validator, reason })
+    .catch(error => console.error(chalk.yellow(`⚠ failover hooks could not run: ${error.message}`)));
+  
+  console.log(chalk.yellow(`⇄ Failover at ${new Date().toISOString()}: UID ${session.validator.UID} → UID ${best.validator.UID} (${reason})`));
+  return moved;
+}
+
+// Parse the watchdog options shared by connect and daemon, or null if disabled
+function watchdogOptions(options) {
+  if (!options.watchdog) {
+    return null;
+  }
+  
+  const staleSeconds = parseInt(options.staleAfter);
+  if (isNaN(staleSeconds) || staleSeconds <= 0) {
+    console.error(chalk.red('Stale threshold must be a positive number of seconds.'));
+    process.exit(EXIT_CODES.USAGE);
+  }
+  
+  return { staleSeconds, probeUrl: options.watchdogProbe };
+}
+
+// Daemon body: connect, then own the lease (timer, expiry, risk checks)
+// and answer control requests until told to stop
+async function runDaemon(options) {
+  const debugMode = options.debug;
+  const watchdog = watchdogOptions(options);
+  
+  if (!await checkWireGuard()) {
+    console.error(chalk.red('WireGuard not found. Run "tpn-connect connect" once to install it.'));
+    process.exit(EXIT_CODES.ERROR);
+  }
+  
+  let session = null;
+  let risk = null;
+  const metricsServer = await startMetricsEndpoint(options, () => ({ session, risk }));
+  
+  const connection = await recoverSession({ quiet: true }) || await establishConnection({ ...options, quiet: true, daemon: true });
+  session = connection.session;
+  risk = connection.risk;
+  let server;
+  let stopping = false;
+  
+  // Tear down (or run the panic sequence) once; the caller decides when to exit
+  const stop = async (reason, { panic = false, explicit = false, blockAll = false } = {}) => {
+    if (stopping) {
+      return;
+    }
+    stopping = true;
+    clearInterval(leaseTimer);
+    clearInterval(riskTimer);
+    stopWatchdog();
+    console.log(chalk.yellow(`Daemon stopping (${reason})`));
+    
+    let report;
+    if (panic) {
+      report = await panicButtonAction(session.cfgPath, { blockAll: blockAll || session.killSwitch });
+    } else {
+      try {
+        await recordSessionEnd(reason, session);
+        await bringDown(session.cfgPath);
+        discardSession(session.cfgPath);
+        console.log(chalk.green('✅ Successfully disconnected'));
+      } catch (error) {
+        console.error(chalk.red(`Failed to disconnect: ${error.message}`));
+      }
+      
+      if (explicit) {
+        await releaseKillSwitch();
+      }
+    }
+    
+    server.close();
+    if (metricsServer) {
+      metricsServer.close();
+    }
+    fs.rmSync(getSocketPath(), { force: true });
+    return report;
+  };
+  
+  // Give the control reply a moment to flush before exiting
+  const exitSoon = () => setTimeout(() => process.exit(EXIT_CODES.OK), 100);
+  
+  let renewing = false;
+  let nextRenewAttempt = 0;
+  const checkLeaseExpiry = leaseExpiryNotifier();
+  
+  const leaseTimer = setInterval(() => {
+    connectionStats.totalTime++;
+    const remaining = leaseRemaining(session);
+    checkLeaseExpiry(session, remaining);
+    
+    if (!renewing && Date.now() >= nextRenewAttempt && shouldRenew(session, remaining)) {
+      renewing = true;
+      renewLease(session, session.leaseMinutes, debugMode)
+        .then(renewed => {
+          session = renewed;
+          console.log(chalk.green(`Lease renewed for ${session.leaseMinutes} minutes (expires ${session.expiresAt})`));
         })
         .catch(error => {
-          console.error(chalk.red(`Failed to disconnect: ${error.message}`));
-          process.exit(1);
+          nextRenewAttempt = Date.now() + RENEW_RETRY_SECONDS * 1000;
+          console.error(chalk.red(`Failed to renew lease: ${error.message}`));
+          emitEvent('error', { stage: 'renew', message: error.message });
+        })
+        .finally(() => {
+          renewing = false;
         });
+    } else if (!renewing && remaining === 0) {
+      console.log(chalk.yellow('⏰ Connection time expired. Disconnecting...'));
+      stop('expired').then(exitSoon);
+    }
+  }, 1000);
+  
+  const riskTimer = setInterval(async () => {
+    // Through the tunnel our IP is the exit's, so locate by the pre-tunnel IP
+    const current = await checkSecurityRisk(session.ipBefore);
+    
+    if (current.level !== risk.level) {
+      console.log(chalk.yellow(`Risk changed: ${risk.level} → ${current.level} (${current.matches.map(m => m.reason).join('; ') || 'no rules matched'})`));
+      securityEvents.emit('risk-changed', { previous: risk, current, network: current.network });
+    }
+    risk = current;
+  }, RISK_CHECK_INTERVAL);
+  
+  const stopWatchdog = watchdog
+    ? startWatchdog({
+      interfaceName: session.interface,
+      ...watchdog,
+      onStale: async (assessment) => {
+        if (stopping) {
+          return;
+        }
+        renewing = true;
+        console.log(chalk.yellow(`Tunnel looks dead (${assessment.reason}). Failing over...`));
+        
+        try {
+          session = await failoverSession(session, assessment.reason, options);
+        } catch (error) {
+          console.error(chalk.red(`Failover failed: ${error.message}`));
+          emitEvent('error', { stage: 'failover', message: error.message });
+        } finally {
+          renewing = false;
+        }
+      }
+    })
+    : () => {};
+  
+  server = await startControlServer({
+    status: async () => ({
+      pid: process.pid,
+      session,
+      leaseRemaining: leaseRemaining(session),
+      live: await showInterface(session.interface),
+      risk
+    }),
+    disconnect: async () => {
+      await stop('user', { explicit: true });
+      exitSoon();
+      return { disconnected: true };
+    },
+    panic: async params => {
+      const report = await stop('panic', { panic: true, blockAll: Boolean(params.blockAll) });
+      exitSoon();
+      return { panicked: true, report };
+    },
+    extend: async params => {
+      const minutes = parseInt(params.minutes) || session.leaseMinutes;
+      session = await renewLease(session, minutes, debugMode);
+      console.log(chalk.green(`Lease extended by ${minutes} minutes (expires ${session.expiresAt})`));
+      return { session, leaseRemaining: leaseRemaining(session) };
     }
   });
+  
+  ['SIGTERM', 'SIGINT', 'SIGHUP'].forEach(signal => {
+    process.on(signal, () => stop('signal').then(() => process.exit(EXIT_CODES.OK)));
+  });
+  
+  console.log(chalk.gray(`Daemon (PID ${process.pid}) listening on ${getSocketPath()}`));
 }
 
-// Run main function
-main().catch(error => {
-  console.error(chalk.red(`An error occurred: ${error.message}`));
-  console.error(chalk.red(error.stack));
-  process.exit(1);
-});
\ No newline at end of file
+// Function to start the daemon detached from the terminal
+async function daemonCommand(options) {
+  if (options.foreground) {
+    return runDaemon(options);
+  }
+  
+  const running = await requestDaemon('status').catch(() => null);
+  if (running) {
+    console.error(chalk.red(`Daemon already running (PID ${running.pid})`));
+    process.exit(EXIT_CODES.ERROR);
+  }
+  
+  const spinner = ora('Starting tpn-connect daemon...').start();
+  const child = spawnDetached(__filename, [...process.argv.slice(2), '--foreground']);
+  const status = await waitForDaemon(child);
+  
+  if (!status) {
+    spinner.fail(chalk.red(`Daemon failed to start. See ${getLogPath()}`));
+    process.exit(EXIT_CODES.ERROR);
+  }
+  
+  spinner.succeed(chalk.green(`Daemon running (PID ${status.pid}), connected to ${status.session.region} via UID ${status.session.validator.UID}`));
+  console.log(chalk.gray(`Log: ${getLogPath()}`));
+}
+
+// Function to score a network the watcher reports. Location rules only
+// apply while disconnected; through the tunnel we would locate the exit.
+async function rateNetwork(network) {
+  const connected = Boolean(await showInterface(INTERFACE_NAME));
+  const ip = connected || network.type === 'none' ? undefined : await getPublicIP();
+  return checkSecurityRisk(ip, { network });
+}
+
+// Function to build the daemon command line for a watcher auto-connect
+function watchDaemonArgs(options) {
+  const args = ['daemon', '--foreground'];
+  if (isDryRun()) args.push('--dry-run');
+  if (options.validator) args.push('--validator', options.validator);
+  if (options.region) args.push('--region', options.region);
+  (options.country || []).forEach(code => args.push('--country', code));
+  if (options.allowFallback) args.push('--allow-fallback');
+  if (options.time) args.push('--time', options.time);
+  if (options.autoRenew) args.push('--auto-renew');
+  if (options.watchdog) args.push('--watchdog');
+  if (options.killSwitch) args.push('--kill-switch');
+  if (options.metricsListen) args.push('--metrics-listen', options.metricsListen);
+  ['include', 'exclude', 'bypass'].forEach(name => {
+    (options[name] || []).forEach(value => args.push(`--${name}`, value));
+  });
+  if (options.debug) args.push('--debug');
+  return args;
+}
+
+// Function to connect or disconnect according to the network policy
+async function applyNetworkPolicy(network, risk, options) {
+  const config = getUserConfig();
+  const decision = decidePolicy(network, risk, { ...config, disconnectOnTrusted: options.disconnectOnTrusted });
+  const daemon = await requestDaemon('status').catch(() => null);
+  const connected = Boolean(daemon || await showInterface(INTERFACE_NAME));
+  
+  if (decision.action === NETWORK_POLICY.CONNECT) {
+    if (connected) {
+      console.log(chalk.gray(`${decision.reason}: already connected`));
+      return;
+    }
+    
+    const spinner = ora(`${decision.reason}: connecting...`).start();
+    const child = spawnDetached(__filename, watchDaemonArgs(options));
+    const status = await waitForDaemon(child);
+    
+    if (status) {
+      spinner.succeed(chalk.green(`Connected to ${status.session.region} via UID ${status.session.validator.UID} (daemon PID ${status.pid})`));
+    } else {
+      spinner.fail(chalk.red(`Auto-connect failed. See ${getLogPath()}`));
+    }
+    return;
+  }
+  
+  if (decision.action === NETWORK_POLICY.DISCONNECT && connected) {
+    if (!daemon) {
+      console.log(chalk.yellow(`${decision.reason}: connection was not started by the daemon; leaving it up`));
+      return;
+    }
+    
+    try {
+      await requestDaemon('disconnect', {}, teardownRequestOptions());
+      console.log(chalk.green(`${decision.reason}: disconnected`));
+    } catch (error) {
+      console.error(chalk.red(`${decision.reason}: failed to disconnect: ${error.message}`));
+    }
+    return;
+  }
+  
+  console.log(chalk.gray(`${decision.reason}: ${connected ? 'staying connected' : 'staying off'}`));
+}
+
+// Function to follow network changes and connect or disconnect by policy
+async function watchCommand(options) {
+  const interval = parseInt(options.interval, 10);
+  if (!Number.isInteger(interval) || interval <= 0) {
+    console.error(chalk.red('--interval must be a positive number of seconds'));
+    process.exit(EXIT_CODES.USAGE);
+  }
+  exitPreferences(options);
+  
+  if (!await checkWireGuard()) {
+    console.error(chalk.red('WireGuard not found. Run "tpn-connect connect" once to install it.'));
+    process.exit(EXIT_CODES.ERROR);
+  }
+  
+  // Policy actions run one at a time, in the order the changes happened
+  let pending = Promise.resolve();
+  
+  securityEvents.on('network-changed', ({ previous, current, risk }) => {
+    const stamp = new Date().toLocaleTimeString();
+    const from = previous ? `${describeNetwork(previous)} → ` : '';
+    console.log(chalk.cyan(`[${stamp}] Network: ${from}${describeNetwork(current)}`));
+    // One failed policy must not stop the watcher or block the next change
+    pending = pending
+      .then(() => applyNetworkPolicy(current, risk, options))
+      .catch(error => console.error(chalk.red(`Could not apply the network policy: ${error.message}`)));
+  });
+  
+  securityEvents.on('risk-changed', ({ current }) => {
+    const colors = {
+      [RISK_LEVELS.HIGH]: chalk.red,
+      [RISK_LEVELS.MEDIUM]: chalk.yellow,
+      [RISK_LEVELS.LOW]: chalk.green,
+      [RISK_LEVELS.SAFE]: chalk.green
+    };
+    console.log(colors[current.level](`Risk: ${current.level} (score ${current.score})`));
+    current.matches.forEach(match => console.log(chalk.gray(`  ${match.score > 0 ? '+' : ''}${match.score}  ${match.reason}`)));
+  });
+  
+  const stopWatcher = startNetworkWatcher({
+    emitter: securityEvents,
+    assessRisk: rateNetwork,
+    interval: interval * 1000
+  });
+  
+  ['SIGINT', 'SIGTERM'].forEach(signal => {
+    process.on(signal, () => {
+      stopWatcher();
+      console.log(chalk.gray('\nStopped watching. Any daemon connection stays up; use "tpn-connect disconnect" to end it.'));
+      process.exit(EXIT_CODES.OK);
+    });
+  });
+  
+  console.log(chalk.gray(`Watching for network changes every ${interval}s. Press Ctrl+C to stop.`));
+}
+
+// Function to trigger the panic sequence, through the daemon when one is running
+async function panicCommand(options) {
+  const preview = Boolean(options.preview);
+  const session = readSession();
+  const blockAll = options.blockAll || Boolean(session && session.killSwitch);
+  
+  // A preview reads the same state the daemon would act on, so it needs no daemon
+  const result = preview ? null : await requestDaemon('panic', { blockAll: options.blockAll }, teardownRequestOptions({ panic: true })).catch(error => {
+    console.error(chalk.red(`Daemon panic failed: ${error.message}`));
+    process.exit(EXIT_CODES.ERROR);
+  });
+  
+  let report;
+  if (result) {
+    report = result.report;
+    console.log(report.completed
+      ? chalk.green('✅ Panic playbook completed by daemon')
+      : chalk.red('Panic playbook run by daemon finished with failures'));
+    printPanicReport(report);
+  } else {
+    report = await panicButtonAction(session ? session.cfgPath : fallbackConfigPath(), { blockAll, preview });
+  }
+  
+  if (isJsonOutput()) {
+    printJson(report);
+  }
+  process.exit(report.completed ? EXIT_CODES.OK : EXIT_CODES.ERROR);
+}
+
+// Function to show how the risk engine scores the current network and location
+async function riskExplainCommand(options) {
+  const config = getUserConfig();
+  const network = await getNetworkSnapshot();
+  
+  // Through the tunnel our IP is the exit's; fall back to the pre-tunnel IP
+  let ip;
+  if (options.ip) {
+    const session = readSession();
+    ip = await showInterface(INTERFACE_NAME) ? (session ? session.ipBefore : undefined) : await getPublicIP();
+  }
+  
+  const risk = await checkSecurityRisk(ip, { network, remember: false });
+  
+  if (options.json || isJsonOutput()) {
+    printJson(risk);
+    return;
+  }
+  
+  const colors = {
+    [RISK_LEVELS.HIGH]: chalk.red,
+    [RISK_LEVELS.MEDIUM]: chalk.yellow,
+    [RISK_LEVELS.LOW]: chalk.green,
+    [RISK_LEVELS.SAFE]: chalk.green
+  };
+  
+  console.log(chalk.bold(`Network:  ${describeNetwork(network)}${network.security ? ` (${network.security})` : ''}`));
+  if (ip === undefined) {
+    console.log(chalk.bold('Location: not checked'));
+  } else {
+    console.log(chalk.bold(`Location: ${risk.location ? `${risk.location.country}, ${risk.location.city}` : 'unknown'}`));
+  }
+  console.log('');
+  
+  const matched = new Set(risk.matches.map(match => match.id));
+  mergeRules(config.riskRules).forEach(rule => {
+    const score = `${rule.score > 0 ? '+' : ''}${rule.score}`.padStart(4);
+    if (matched.has(rule.id)) {
+      console.log(`${chalk.bold(score)}  ${rule.id.padEnd(20)} ${rule.reason || ''}`);
+    } else if (options.all) {
+      console.log(chalk.gray(`   ·  ${rule.id.padEnd(20)} ${rule.reason || ''}`));
+    }
+  });
+  
+  const thresholds = RISK_THRESHOLDS.map(([level, min]) => `${level} ≥ ${min}`).join(', ');
+  console.log('');
+  console.log(colors[risk.level](chalk.bold(`Risk: ${risk.level} (score ${risk.score})`)) + chalk.gray(`  [${thresholds}]`));
+}
+
+// Function to re-run the leak checks against the current connection
+async function verifyCommand(options) {
+  const session = readSession();
+  
+  if (!session || !await showInterface(INTERFACE_NAME)) {
+    console.error(chalk.red('Not connected; nothing to verify'));
+    process.exit(EXIT_CODES.NOT_CONNECTED);
+  }
+  
+  const verification = await verifyConnection({
+    configText: fs.readFileSync(session.cfgPath, 'utf8'),
+    interfaceName: session.interface,
+    expectedCountry: session.region,
+    ipBefore: session.ipBefore,
+    timeout: parseInt(options.timeout)
+  });
+  if (isJsonOutput()) {
+    printJson(verification);
+  } else {
+    printVerification(verification);
+  }
+  
+  if (verification.passed) {
+    return;
+  }
+  
+  if (options.disconnect) {
+    console.error(chalk.red('Leak verification failed. Disconnecting...'));
+    const viaDaemon = await requestDaemon('disconnect', {}, teardownRequestOptions()).catch(() => null);
+    if (!viaDaemon) {
+      await recordSessionEnd('leak', session);
+      await bringDown(session.cfgPath).catch(() => {});
+      discardSession(session.cfgPath);
+    }
+  }
+  process.exit(EXIT_CODES.VERIFY_FAILED);
+}
+
+// Function to report whether the kill switch is installed
+async function killSwitchStatusCommand() {
+  const state = readKillSwitchState();
+  const active = await isKillSwitchActive();
+  
+  if (isJsonOutput()) {
+    printJson({ active, state });
+    return;
+  }
+  
+  if (!active) {
+    console.log(chalk.green('🔓 Kill switch: OFF'));
+    if (state) {
+      console.log(chalk.gray('  A kill switch record exists but no rules are installed'));
+    }
+    return;
+  }
+  
+  console.log(chalk.red('🔒 Kill switch: ON'));
+  if (state) {
+    console.log(`  Mode:     ${state.mode}`);
+    console.log(`  Backend:  ${state.backend}`);
+    console.log(`  Since:    ${state.engagedAt}`);
+    state.destinations.forEach(d => {
+      console.log(`  Allowed:  ${d.protocol} ${d.address}:${d.port}`);
+    });
+  }
+}
+
+// Function to remove the kill switch rules and restore normal traffic
+async function killSwitchOffCommand() {
+  try {
+    await disengageKillSwitch();
+    console.log(chalk.green('🔓 Kill switch removed - normal traffic restored'));
+  } catch (error) {
+    console.error(chalk.red(`Failed to remove kill switch: ${error.message}`));
+    process.exit(EXIT_CODES.ERROR);
+  }
+}
+
+// Function to ask the daemon for a fresh lease on the current session
+async function extendCommand(options) {
+  const spinner = ora('Extending lease...').start();
+  
+  try {
+    const result = await requestDaemon('extend', { minutes: options.time });
+    if (!result) {
+      spinner.fail(chalk.red('No daemon running. Start one with "tpn-connect daemon".'));
+      process.exit(EXIT_CODES.NOT_CONNECTED);
+    }
+    spinner.succeed(chalk.green(`Lease extended: ${formatDuration(result.leaseRemaining)} remaining`));
+  } catch (error) {
+    spinner.fail(chalk.red(`Failed to extend lease: ${error.message}`));
+    process.exit(EXIT_CODES.ERROR);
+  }
+}
+
+// Function to fetch and cache the validator list from the registry
+async function validatorsUpdateCommand(options) {
+  const registryUrl = options.registry || getUserConfig().registryUrl;
+  const source = getRegistryUrl(registryUrl);
+  const spinner = ora(`Fetching validator list from ${source}...`).start();
+  
+  try {
+    const result = await updateValidators({ url: registryUrl, timeout: parseInt(options.timeout) });
+    spinner.succeed(chalk.green(`Cached ${result.validators.length} validators to ${result.cachePath}`));
+    console.log(chalk.gray(`Local overrides (if any) are read from ${getOverridesPath()}`));
+  } catch (error) {
+    spinner.fail(chalk.red('Failed to update validator list'));
+    console.error(chalk.red(`Error: ${error.message}`));
+    process.exit(1);
+  }
+}
+
+// Function to show settings and where each value comes from
+function configGetCommand(key) {
+  let loaded;
+  try {
+    loaded = loadConfig();
+  } catch (error) {
+    console.error(chalk.red(`Failed to load config: ${error.message}`));
+    process.exit(EXIT_CODES.USAGE);
+  }
+  
+  if (key) {
+    if (!CONFIG_SCHEMA[key]) {
+      console.error(chalk.red(`Unknown setting: ${key}`));
+      process.exit(EXIT_CODES.USAGE);
+    }
+    if (isJsonOutput()) {
+      printJson(loaded.config[key]);
+    } else {
+      console.log(JSON.stringify(loaded.config[key]));
+    }
+    return;
+  }
+  
+  if (isJsonOutput()) {
+    printJson(loaded);
+    return;
+  }
+  
+  console.log(chalk.gray(`Config file: ${loaded.filePath}`));
+  Object.keys(CONFIG_SCHEMA).forEach(name => {
+    console.log(`${name.padEnd(22)} ${JSON.stringify(loaded.config[name])} ${chalk.gray(`(${loaded.sources[name]})`)}`);
+  });
+}
+
+// Function to store one setting in the config file
+function configSetCommand(key, value) {
+  try {
+    const stored = setConfigValue(key, value);
+    console.log(chalk.green(`✅ ${key} = ${JSON.stringify(stored)}`));
+  } catch (error) {
+    console.error(chalk.red(`Failed to set ${key}: ${error.message}`));
+    process.exit(EXIT_CODES.USAGE);
+  }
+}
+
+// Function to add (or remove) a trusted WiFi network, defaulting to the current one
+async function configTrustNetworkCommand(ssid, options) {
+  if (!ssid) {
+    const currentConnections = await wifi.getCurrentConnections().catch(() => []);
+    if (currentConnections.length === 0) {
+      console.error(chalk.red('Not connected to WiFi; pass the SSID explicitly'));
+      process.exit(EXIT_CODES.USAGE);
+    }
+    ssid = currentConnections[0].ssid;
+  }
+  
+  try {
+    const networks = updateTrustedNetworks(ssid, { remove: options.remove });
+    console.log(chalk.green(`✅ ${options.remove ? 'No longer trusting' : 'Trusting'} "${ssid}"`));
+    console.log(chalk.gray(`Trusted networks: ${networks.join(', ') || 'None'}`));
+  } catch (error) {
+    console.error(chalk.red(`Failed to update trusted networks: ${error.message}`));
+    process.exit(EXIT_CODES.USAGE);
+  }
+}
+
+// Function to summarise the connection history
+function statsCommand(options) {
+  const since = options.since ? new Date(options.since) : null;
+  if (since && isNaN(since.getTime())) {
+    console.error(chalk.red(`Invalid date: ${options.since}`));
+    process.exit(EXIT_CODES.USAGE);
+  }
+  if (!GROUPINGS[options.by]) {
+    console.error(chalk.red(`Cannot group by "${options.by}" (use ${Object.keys(GROUPINGS).join(', ')})`));
+    process.exit(EXIT_CODES.USAGE);
+  }
+  
+  const records = readHistory().filter(record => !since || new Date(record.startedAt) >= since);
+  const rows = options.sessions ? records.map(flattenRecord) : aggregateHistory(records, options.by);
+  
+  if (options.json || isJsonOutput()) {
+    printJson(rows);
+    return;
+  }
+  if (options.csv) {
+    process.stdout.write(toCsv(rows));
+    return;
+  }
+  
+  if (rows.length === 0) {
+    console.log(chalk.gray('No sessions recorded yet'));
+    return;
+  }
+  
+  if (options.sessions) {
+    rows.forEach(row => {
+      console.log(`${row.startedAt}  ${String(row.minutes).padStart(5)} min  UID ${String(row.validator).padEnd(5)} ${String(row.exitCountry).padEnd(4)} ↓${formatBytes(row.rxBytes || 0)} ↑${formatBytes(row.txBytes || 0)}  ${row.reason}`);
+    });
+    return;
+  }
+  
+  rows.forEach(row => {
+    console.log(`${String(row[options.by]).padEnd(12)} ${String(row.sessions).padStart(4)} sessions ${String(row.minutes).padStart(6)} min  ↓${formatBytes(row.rxBytes)} ↑${formatBytes(row.txBytes)}`);
+  });
+}
+
+// Format a number of seconds as "12m 05s"
+function formatDuration(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}m ${String(seconds % 60).padStart(2, '0')}s`;
+}
+
+// Function to tear down an existing tpn-connect interface
+async function disconnectCommand() {
+  // A running daemon owns the lease, so let it tear down
+  try {
+    if (await requestDaemon('disconnect', {}, teardownRequestOptions())) {
+      console.log(chalk.green('✅ Successfully disconnected (daemon stopped)'));
+      return;
+    }
+  } catch (error) {
+    console.error(chalk.red(`Daemon failed to disconnect: ${error.message}`));
+    process.exit(EXIT_CODES.ERROR);
+  }
+  
+  const session = readSession();
+  const cfgPath = session ? session.cfgPath : fallbackConfigPath();
+  const live = await showInterface(INTERFACE_NAME);
+  
+  if (!live && !session) {
+    console.log(chalk.yellow(`No active ${INTERFACE_NAME} interface found`));
+    await releaseKillSwitch();
+    process.exit(EXIT_CODES.NOT_CONNECTED);
+  }
+  
+  const spinner = ora('Disconnecting from TPN VPN...').start();
+  
+  try {
+    if (live) {
+      await recordSessionEnd('user', session || undefined);
+    }
+    await bringDown(cfgPath);
+    discardSession(cfgPath);
+    spinner.succeed(chalk.green('✅ Successfully disconnected'));
+    await releaseKillSwitch();
+  } catch (error) {
+    if (!live) {
+      // Interface was already gone; only the session record was left over
+      discardSession(cfgPath);
+      spinner.warn(chalk.yellow('Interface was not up; cleared stale session'));
+      await releaseKillSwitch();
+      process.exit(EXIT_CODES.NOT_CONNECTED);
+    }
+    spinner.fail(chalk.red(`Failed to disconnect: ${error.message}`));
+    process.exit(EXIT_CODES.ERROR);
+  }
+}
+
+// Function to run one command inside a private network namespace whose only
+// route out is its own tunnel. Our output goes to stderr so the command's
+// stdout stays clean; we exit with the command's exit code.
+async function execCommand(command, options) {
+  const debugMode = options.debug;
+  moveDecorationToStderr();
+  
+  if (isDryRun()) {
+    console.error(chalk.red('exec needs a real tunnel and network namespace; it cannot run with --dry-run'));
+    process.exit(EXIT_CODES.USAGE);
+  }
+  
+  if (os.platform() !== 'linux') {
+    console.error(chalk.red('exec needs Linux network namespaces'));
+    process.exit(EXIT_CODES.ERROR);
+  }
+  if (process.getuid() !== 0) {
+    console.error(chalk.red('exec must run as root to create a network namespace (try sudo)'));
+    process.exit(EXIT_CODES.ERROR);
+  }
+  if (!await checkWireGuard()) {
+    await installWireGuard();
+  }
+  
+  const leaseTime = options.time ? parseInt(options.time) : getUserConfig().leaseMinutes;
+  if (isNaN(leaseTime) || leaseTime <= 0) {
+    console.error(chalk.red('Lease time must be a positive number.'));
+    process.exit(EXIT_CODES.USAGE);
+  }
+  const probeTimeout = parseInt(options.probeTimeout);
+  if (isNaN(probeTimeout) || probeTimeout <= 0) {
+    console.error(chalk.red('Probe timeout must be a positive number.'));
+    process.exit(EXIT_CODES.USAGE);
+  }
+  const geo = options.geo ? options.geo.toUpperCase() : null;
+  
+  // Probe even a named validator: its country list decides the exit
+  let candidates = loadValidatorList(debugMode);
+  if (options.validator && options.validator !== 'auto') {
+    candidates = candidates.filter(v => v.UID === options.validator);
+    if (candidates.length === 0) {
+      console.error(chalk.red(`Validator UID "${options.validator}" not found!`));
+      process.exit(EXIT_CODES.ERROR);
+    }
+  }
+  
+  const probeSpinner = ora(`Probing ${candidates.length} validator${candidates.length === 1 ? '' : 's'}...`).start();
+  const probeResults = await probeValidators(candidates, { timeout: probeTimeout });
+  const best = selectBestValidator(probeResults, geo ? [geo] : []);
+  if (!best) {
+    probeSpinner.fail(chalk.red(geo
+      ? `No healthy validator offers ${geo}`
+      : 'No healthy validators found'));
+    process.exit(EXIT_CODES.UNREACHABLE);
+  }
+  const exitCountry = geo || best.countries[0];
+  probeSpinner.succeed(chalk.green(`Validator UID ${best.validator.UID} (${best.latency}ms), exit ${exitCountry}`));
+  
+  let peerConfig;
+  try {
+    peerConfig = await requestPeerConfig(best.validator, exitCountry, leaseTime, debugMode);
+  } catch (error) {
+    console.error(chalk.red(`Failed to get a config from validator UID ${best.validator.UID}: ${error.message}`));
+    process.exit(EXIT_CODES.UNREACHABLE);
+  }
+  
+  // Interface names are limited to 15 characters; this is exactly that
+  const name = `tpn${newSessionId()}`;
+  const namespace = { name, interfaceName: name, configText: peerConfig };
+  
+  const setupSpinner = ora(`Creating network namespace ${name}...`).start();
+  try {
+    await createNamespace(namespace);
+    setupSpinner.succeed(chalk.green(`Namespace ${name} is up (exit ${exitCountry})`));
+  } catch (error) {
+    setupSpinner.fail(chalk.red(`Failed to set up namespace: ${error.stderr || error.message}`));
+    await destroyNamespace(namespace);
+    process.exit(EXIT_CODES.ERROR);
+  }
+  
+  if (debugMode) {
+    console.error(chalk.blue(`Debug: Running ${command.join(' ')} in ${name}`));
+  }
+  
+  // The terminal sends Ctrl+C to the command as well; we only have to
+  // outlive it so the namespace gets torn down. SIGTERM is passed on.
+  let child;
+  const ignoreInterrupt = () => {};
+  const forwardTerm = () => child && child.kill('SIGTERM');
+  process.on('SIGINT', ignoreInterrupt);
+  process.on('SIGTERM', forwardTerm);
+  
+  let result;
+  try {
+    result = await runInNamespace(name, command[0], command.slice(1), { onStart: started => { child = started; } });
+  } finally {
+    process.off('SIGINT', ignoreInterrupt);
+    process.off('SIGTERM', forwardTerm);
+    await destroyNamespace(namespace);
+  }
+  
+  if (debugMode) {
+    console.error(chalk.blue(`Debug: Namespace ${name} removed`));
+  }
+  
+  // Same convention as the shell: 128 + signal number for a killed command
+  process.exit(result.signal ? 128 + os.constants.signals[result.signal] : result.exitCode);
+}
+
+// Function to show the AllowedIPs split tunnelling would produce
+async function routesPreviewCommand(options) {
+  const session = readSession();
+  const routes = routeOptions(options) || (session && session.routes) || { include: [], exclude: [], bypass: [] };
+  
+  // A session's config is already split, so only borrow its DNS servers and endpoint
+  let sessionConfig = null;
+  if (session && fs.existsSync(session.cfgPath)) {
+    const configText = fs.readFileSync(session.cfgPath, 'utf8');
+    const dnsServers = readConfigValues(configText, 'DNS');
+    const [endpoint] = readConfigValues(configText, 'Endpoint');
+    sessionConfig = `AllowedIPs = ${FULL_TUNNEL.join(', ')}\nDNS = ${dnsServers.join(', ')}\n${endpoint ? `Endpoint = ${endpoint}\n` : ''}`;
+  }
+  
+  let plan;
+  try {
+    plan = await planSplitTunnel(sessionConfig, routes);
+  } catch (error) {
+    console.error(chalk.red(error.message));
+    process.exit(EXIT_CODES.USAGE);
+  }
+  
+  if (options.json || isJsonOutput()) {
+    printJson({ routes, ...plan });
+    return;
+  }
+  
+  console.log(chalk.bold(`Through the tunnel (${plan.allowed.length} range${plan.allowed.length === 1 ? '' : 's'}):`));
+  plan.allowed.forEach(cidr => console.log(`  ${cidr}`));
+  
+  if (plan.allowed.length === 0) {
+    console.log(chalk.red('  nothing - connect would refuse these settings'));
+  }
+  
+  const describe = item => (item.cidrs.length === 1 && item.cidrs[0].startsWith(item.entry)
+    ? item.cidrs[0]
+    : `${item.entry} → ${item.cidrs.join(', ')}`);
+  
+  if (plan.included.length > 0) {
+    console.log(chalk.bold('\nIncluded:'));
+    plan.included.forEach(item => console.log(`  ${item.source.padEnd(12)} ${describe(item)}`));
+  }
+  
+  if (plan.excluded.length > 0) {
+    console.log(chalk.bold('\nKept off the tunnel:'));
+    plan.excluded.forEach(item => console.log(`  ${item.source.padEnd(12)} ${describe(item)}`));
+  } else if (plan.included.length === 0) {
+    console.log(chalk.gray('\nNo split tunnelling: everything goes through the tunnel'));
+  }
+  
+  if (!sessionConfig) {
+    console.log(chalk.gray('\nThe validator\'s endpoint is also kept off the tunnel once connect knows it.'));
+  }
+}
+
+// Function to check the environment, optionally fixing what it can
+async function doctorCommand(options) {
+  const json = options.json || isJsonOutput();
+  const probeTimeout = parseInt(options.probeTimeout);
+  if (isNaN(probeTimeout) || probeTimeout <= 0) {
+    console.error(chalk.red('Probe timeout must be a positive number.'));
+    process.exit(EXIT_CODES.USAGE);
+  }
+  
+  const config = getUserConfig();
+  const settings = {
+    registryUrl: config.registryUrl,
+    maxAge: config.registryMaxAgeHours * 60 * 60 * 1000,
+    probeTimeout
+  };
+  
+  const spinner = json ? null : ora('Checking the environment...').start();
+  let results = await runChecks(settings);
+  if (spinner) {
+    spinner.stop();
+  }
+  
+  let fixes = [];
+  if (options.fix) {
+    fixes = await applyFixes(results, {
+      onFix: attempt => {
+        if (!json) {
+          const mark = attempt.applied ? chalk.green('✔ Fixed') : chalk.red('✖ Could not fix');
+          console.log(`${mark} ${attempt.id}: ${attempt.detail}`);
+        }
+      }
+    });
+    // Check again so the report shows the state after fixing
+    if (fixes.length > 0) {
+      results = await runChecks(settings);
+    }
+  }
+  
+  const failed = results.some(result => result.status === CHECK_STATUS.FAIL);
+  if (json) {
+    printJson({
+      ok: !failed,
+      checks: results.map(({ fix, ...result }) => ({ ...result, fix: fix ? fix.description : null })),
+      fixes
+    });
+    process.exit(failed ? EXIT_CODES.ERROR : EXIT_CODES.OK);
+  }
+  
+  const marks = {
+    [CHECK_STATUS.PASS]: chalk.green('✔'),
+    [CHECK_STATUS.WARN]: chalk.yellow('⚠'),
+    [CHECK_STATUS.FAIL]: chalk.red('✖'),
+    [CHECK_STATUS.SKIP]: chalk.gray('-')
+  };
+  results.forEach(result => {
+    console.log(`${marks[result.status]} ${result.name.padEnd(24)} ${result.detail}`);
+    if (result.status !== CHECK_STATUS.PASS && result.remediation) {
+      console.log(chalk.gray(`  ${' '.repeat(24)} → ${result.remediation}`));
+    }
+  });
+  
+  const fixable = results.filter(result => result.fix && result.status !== CHECK_STATUS.PASS && result.status !== CHECK_STATUS.SKIP);
+  if (!options.fix && fixable.length > 0) {
+    console.log(chalk.cyan('\n"tpn-connect doctor --fix" can:'));
+    fixable.forEach(result => console.log(chalk.cyan(`  • ${result.fix.description}`)));
+  }
+  
+  if (failed) {
+    console.log(chalk.red('\nSome checks failed.'));
+    process.exit(EXIT_CODES.ERROR);
+  }
+  console.log(chalk.green('\n✅ Ready to connect.'));
+}
+
+// Function to shred every WireGuard config not used by a live session
+async function cleanupCommand() {
+  const session = readSession();
+  const live = session && await showInterface(session.interface);
+  const keep = live ? session.cfgPath : undefined;
+  
+  const removed = removeStaleConfigs({ keep, includeLegacy: true });
+  removed.forEach(file => console.log(chalk.green(`Shredded ${file}`)));
+  
+  // The live session's config stays, but only for our eyes
+  const restricted = Boolean(keep && fs.existsSync(keep) && (fs.statSync(keep).mode & 0o077) !== 0);
+  if (restricted) {
+    fs.chmodSync(keep, 0o600);
+    console.log(chalk.green(`Restricted ${keep} to mode 600`));
+  }
+  
+  if (isJsonOutput()) {
+    printJson({ removed, restricted: restricted ? [keep] : [] });
+    return;
+  }
+  
+  if (removed.length === 0) {
+    console.log(chalk.gray('No leftover configs found'));
+  }
+}
+
+// Function to report the state of the current connection
+async function statusCommand(options) {
+  // Prefer the daemon's view; it also knows the current risk levels
+  const daemonStatus = await requestDaemon('status').catch(() => null);
+  const session = daemonStatus ? daemonStatus.session : readSession();
+  const live = daemonStatus ? daemonStatus.live : await showInterface(INTERFACE_NAME);
+  
+  if (isJsonOutput()) {
+    const peer = live ? live.peers[0] || {} : {};
+    printJson({
+      connected: Boolean(live),
+      interface: INTERFACE_NAME,
+      endpoint: peer.endpoint || null,
+      session: session || null,
+      orphaned: !daemonStatus && isOrphaned(session),
+      leaseRemaining: live && session ? leaseRemaining(session) : null,
+      daemon: daemonStatus ? { pid: daemonStatus.pid, risk: daemonStatus.risk } : null,
+      publicIp: live && options.ip ? await getPublicIP() : null
+    });
+    if (!live) {
+      process.exit(EXIT_CODES.NOT_CONNECTED);
+    }
+    return;
+  }
+  
+  if (!live) {
+    console.log(chalk.red('■ ') + chalk.bold('VPN STATUS: ') + chalk.red('DISCONNECTED'));
+    if (session) {
+      console.log(chalk.gray(`A session record from ${session.startedAt} exists but the interface is down`));
+    }
+    process.exit(EXIT_CODES.NOT_CONNECTED);
+  }
+  
+  const peer = live.peers[0] || {};
+  console.log(chalk.green('■ ') + chalk.bold('VPN STATUS: ') + chalk.green('CONNECTED'));
+  console.log(`  Interface:       ${INTERFACE_NAME}`);
+  console.log(`  Endpoint:        ${peer.endpoint || 'unknown'}`);
+  
+  if (session) {
+    console.log(`  Validator:       UID ${session.validator.UID} (${session.validator.Axon})`);
+    console.log(`  Region:          ${session.region}`);
+    console.log(`  Lease remaining: ${formatDuration(leaseRemaining(session))}`);
+    if (!daemonStatus && isOrphaned(session)) {
+      console.log(chalk.yellow(`  ⚠️  PID ${session.pid || 'unknown'} that ran this session is gone; "tpn-connect connect" offers to resume it`));
+    }
+  } else {
+    console.log(chalk.gray('  No session record found (connected outside this tool?)'));
+  }
+  
+  if (daemonStatus) {
+    console.log(`  Daemon:          PID ${daemonStatus.pid}`);
+    console.log(`  Risk:            ${daemonStatus.risk.level} (score ${daemonStatus.risk.score})`);
+    daemonStatus.risk.matches.forEach(match => {
+      console.log(chalk.gray(`                   ${match.score > 0 ? '+' : ''}${match.score}  ${match.reason}`));
+    });
+  }
+  
+  if (options.ip) {
+    console.log(`  Public IP:       ${await getPublicIP()}`);
+  }
+}
+
+// Function to list known validators, optionally with live health information
+async function validatorsListCommand(options) {
+  const validators = loadValidatorList(false);
+  
+  if (!options.probe && isJsonOutput()) {
+    printJson(validators);
+    return;
+  }
+  if (!options.probe) {
+    validators.forEach(v => {
+      console.log(`UID ${v.UID.padEnd(5)} ${v.Axon.padEnd(24)} ${v.Location}`);
+    });
+    return;
+  }
+  
+  const probeTimeout = parseInt(options.timeout);
+  if (isNaN(probeTimeout) || probeTimeout <= 0) {
+    console.error(chalk.red('Probe timeout must be a positive number.'));
+    process.exit(EXIT_CODES.USAGE);
+  }
+  
+  const results = await probeValidators(validators, { timeout: probeTimeout });
+  if (isJsonOutput()) {
+    printJson(results.map(r => ({
+      ...r.validator,
+      healthy: r.healthy,
+      latency: r.latency,
+      countries: r.countries,
+      error: r.error || null
+    })));
+  } else {
+    results.forEach(r => {
+      const v = r.validator;
+      const health = r.healthy
+        ? chalk.green(`${r.latency}ms, ${r.countries.length} countries`)
+        : chalk.red(`unreachable (${r.error})`);
+      console.log(`UID ${v.UID.padEnd(5)} ${v.Axon.padEnd(24)} ${v.Location.padEnd(6)} ${health}`);
+    });
+  }
+  
+  if (!results.some(r => r.healthy)) {
+    process.exit(EXIT_CODES.UNREACHABLE);
+  }
+}
+
+// Function to list the exit regions offered by one validator
+async function regionsCommand(uid, options) {
+  const validators = loadValidatorList(false);
+  const validator = validators.find(v => v.UID === uid);
+  
+  if (!validator) {
+    console.error(chalk.red(`Validator UID "${uid}" not found!`));
+    process.exit(EXIT_CODES.USAGE);
+  }
+  
+  let regions;
+  try {
+    const response = await axios.get(`http://${validator.Axon}/api/config/countries`, { timeout: parseInt(options.timeout) });
+    regions = response.data;
+  } catch (error) {
+    console.error(chalk.red(`Failed to fetch regions from ${validator.Axon}: ${error.message}`));
+    process.exit(EXIT_CODES.UNREACHABLE);
+  }
+  
+  if (isJsonOutput()) {
+    printJson(regions.map(code => ({ code, name: countryName(code) })));
+    return;
+  }
+  
+  const regionNames = new Intl.DisplayNames(['en'], { type: 'region' });
+  regions.forEach(code => {
+    let name;
+    try {
+      name = regionNames.of(code);
+    } catch (error) {
+      name = code;
+    }
+    console.log(`${code.padEnd(4)} ${name}`);
+  });
+}
+
+// Function to serve a fake validator API for --dry-run rehearsals. It
+// registers itself so dry runs pick it up, and unregisters on exit.
+async function mockValidatorCommand(options) {
+  const number = (value, name, { min = 0, max = Infinity, integer = true } = {}) => {
+    if (value === undefined) {
+      return null;
+    }
+    const parsed = Number(value);
+    if (!Number.isFinite(parsed) || parsed < min || parsed > max || (integer && !Number.isInteger(parsed))) {
+      console.error(chalk.red(`Invalid ${name}: ${value}`));
+      process.exit(EXIT_CODES.USAGE);
+    }
+    return parsed;
+  };
+  
+  let countries;
+  try {
+    countries = parseCountryCodes(options.countries.split(',').map(code => code.trim()).filter(Boolean));
+  } catch (error) {
+    console.error(chalk.red(error.message));
+    process.exit(EXIT_CODES.USAGE);
+  }
+  
+  const settings = {
+    host: options.host,
+    port: number(options.port, '--port', { min: 1, max: 65535 }),
+    countries,
+    latency: number(options.latency, '--latency'),
+    failRate: number(options.failRate, '--fail-rate', { max: 1, integer: false }),
+    failAfter: number(options.failAfter, '--fail-after'),
+    onRequest: ({ method, path: requestPath, status, ms }) => {
+      const colour = status < 400 ? chalk.green : chalk.red;
+      console.log(`${chalk.gray(new Date().toISOString())} ${method} ${requestPath} ${colour(status)} ${ms}ms`);
+    }
+  };
+  const stallAfter = number(options.stallAfter, '--stall-after');
+  
+  try {
+    await startMockValidator(settings);
+  } catch (error) {
+    console.error(chalk.red(`Could not listen on ${settings.host}:${settings.port}: ${error.message}`));
+    process.exit(EXIT_CODES.ERROR);
+  }
+  
+  const uid = String(options.uid);
+  registerMockValidator({
+    UID: uid,
+    Axon: `${settings.host}:${settings.port}`,
+    Location: countries[0],
+    pid: process.pid,
+    stallAfter
+  });
+  
+  console.log(chalk.green(`🧪 Mock validator UID ${uid} listening on http://${settings.host}:${settings.port}`));
+  console.log(chalk.gray(`Offering ${countries.join(', ')}. Try: tpn-connect --dry-run connect -v ${uid}`));
+  
+  ['SIGINT', 'SIGTERM'].forEach(signal => {
+    process.on(signal, () => {
+      unregisterMockValidator(uid);
+      process.exit(EXIT_CODES.OK);
+    });
+  });
+}
+
+// Main function
+async function main() {
+  // Create command line interface
+  const program = new Command();
+  program
+    .name('tpn-connect')
+    .description('Simple CLI tool to connect to TPN VPN')
+    .version(require('./package.json').version)
+    .addOption(new Option('--output <format>', 'Print command results as text or JSON').choices(OUTPUT_FORMATS).default('text'))
+    .addOption(new Option('--events <format>', 'Stream session events to stdout').choices(EVENT_FORMATS))
+    .option('--dry-run', 'Simulate WireGuard and keep state apart from real sessions (no root needed)')
+    .exitOverride();
+  
+  // Every command but cleanup and doctor first deals with leftover key files
+  program.hook('preAction', async (thisCommand, actionCommand) => {
+    // Before anything prints, so decoration already goes to stderr
+    useMachineOutput(thisCommand.opts());
+    
+    // Before any state is read; a mock validator only makes sense for dry runs
+    if (thisCommand.opts().dryRun || actionCommand.name() === 'mock-validator') {
+      enableDryRun();
+    }
+    if (thisCommand.opts().dryRun) {
+      console.log(chalk.magenta('🧪 Dry run: WireGuard is simulated and state is kept apart from real sessions'));
+    }
+    
+    if (actionCommand.name() !== 'cleanup' && actionCommand.name() !== 'doctor') {
+      await secureLeftoverConfigs();
+    }
+  });
+  
+  program
+    .command('connect', { isDefault: true })
+    .description('Connect to a TPN validator (default command)')
+    .allowExcessArguments(false)
+    .option('-v, --validator <uid>', 'Validator UID, or "auto" to pick the fastest healthy validator')
+    .option('-r, --region <region>', 'Exit region: a continent (e.g. europe) or a group from regionGroups')
+    .option('-c, --country <code>', 'Exit country, ISO 3166 code (repeatable, in order of preference)', collectValues, [])
+    .option('--allow-fallback', 'Use another exit country when none of the requested ones is offered')
+    .option('-t, --time <minutes>', 'Connection time in minutes')
+    .option('-q, --quiet', 'Run in quiet mode with minimal output')
+    .option('-d, --debug', 'Show debug information')
+    .option('--probe-timeout <ms>', 'Validator health probe timeout in milliseconds', String(DEFAULT_PROBE_TIMEOUT))
+    .option('--auto-renew', 'Request a new lease shortly before the current one expires')
+    .option('--max-session <minutes>', 'Stop renewing once the session has lasted this long')
+    .option('--watchdog', 'Fail over to another validator when the tunnel stops passing traffic')
+    .option('--stale-after <seconds>', 'Handshake age after which the tunnel counts as stale', String(DEFAULT_STALE_SECONDS))
+    .option('--watchdog-probe <url>', 'URL fetched through the tunnel to confirm a stale handshake')
+    .option('--kill-switch', 'Block all traffic outside the tunnel until an explicit disconnect')
+    .option('--disconnect-on-leak', 'Disconnect if post-connect leak verification fails')
+    .option('--include <cidr|domain>', 'Send only these destinations through the tunnel (repeatable)', collectValues, [])
+    .option('--exclude <cidr|domain>', 'Keep these destinations off the tunnel (repeatable)', collectValues, [])
+    .option('--bypass <list>', 'Keep a named bypass list (e.g. lan) off the tunnel (repeatable)', collectValues, [])
+    .option('--metrics-listen <host:port>', 'Serve /status (JSON) and /metrics (Prometheus) on this address')
+    .action(connectCommand);
+  
+  program
+    .command('daemon')
+    .description('Connect in the background and manage the lease from a detached process')
+    .option('-v, --validator <uid>', 'Validator UID, or "auto" to pick the fastest healthy validator')
+    .option('-r, --region <region>', 'Exit region: a continent (e.g. europe) or a group from regionGroups')
+    .option('-c, --country <code>', 'Exit country, ISO 3166 code (repeatable, in order of preference)', collectValues, [])
+    .option('--allow-fallback', 'Use another exit country when none of the requested ones is offered')
+    .option('-t, --time <minutes>', 'Connection time in minutes')
+    .option('-d, --debug', 'Show debug information')
+    .option('--probe-timeout <ms>', 'Validator health probe timeout in milliseconds', String(DEFAULT_PROBE_TIMEOUT))
+    .option('--auto-renew', 'Request a new lease shortly before the current one expires')
+    .option('--max-session <minutes>', 'Stop renewing once the session has lasted this long')
+    .option('--watchdog', 'Fail over to another validator when the tunnel stops passing traffic')
+    .option('--stale-after <seconds>', 'Handshake age after which the tunnel counts as stale', String(DEFAULT_STALE_SECONDS))
+    .option('--watchdog-probe <url>', 'URL fetched through the tunnel to confirm a stale handshake')
+    .option('--kill-switch', 'Block all traffic outside the tunnel until an explicit disconnect')
+    .option('--disconnect-on-leak', 'Disconnect if post-connect leak verification fails')
+    .option('--include <cidr|domain>', 'Send only these destinations through the tunnel (repeatable)', collectValues, [])
+    .option('--exclude <cidr|domain>', 'Keep these destinations off the tunnel (repeatable)', collectValues, [])
+    .option('--bypass <list>', 'Keep a named bypass list (e.g. lan) off the tunnel (repeatable)', collectValues, [])
+    .option('--metrics-listen <host:port>', 'Serve /status (JSON) and /metrics (Prometheus) on this address')
+    .option('--foreground', 'Run the daemon in this process instead of detaching')
+    .action(daemonCommand);
+  
+  program
+    .command('watch')
+    .description('Follow network changes: connect on open or public WiFi, stay off on trusted networks')
+    .option('-v, --validator <uid>', 'Validator UID, or "auto" to pick the fastest healthy validator')
+    .option('-r, --region <region>', 'Exit region: a continent (e.g. europe) or a group from regionGroups')
+    .option('-c, --country <code>', 'Exit country, ISO 3166 code (repeatable, in order of preference)', collectValues, [])
+    .option('--allow-fallback', 'Use another exit country when none of the requested ones is offered')
+    .option('-t, --time <minutes>', 'Connection time in minutes')
+    .option('-d, --debug', 'Show debug information')
+    .option('--auto-renew', 'Request a new lease shortly before the current one expires')
+    .option('--watchdog', 'Fail over to another validator when the tunnel stops passing traffic')
+    .option('--kill-switch', 'Block all traffic outside the tunnel until an explicit disconnect')
+    .option('--disconnect-on-trusted', 'Disconnect when joining a trusted network')
+    .option('--include <cidr|domain>', 'Send only these destinations through the tunnel (repeatable)', collectValues, [])
+    .option('--exclude <cidr|domain>', 'Keep these destinations off the tunnel (repeatable)', collectValues, [])
+    .option('--bypass <list>', 'Keep a named bypass list (e.g. lan) off the tunnel (repeatable)', collectValues, [])
+    .option('--metrics-listen <host:port>', 'Serve /status (JSON) and /metrics (Prometheus) on this address')
+    .option('--interval <seconds>', 'How often to check the network', String(DEFAULT_WATCH_INTERVAL / 1000))
+    .action(watchCommand);
+  
+  program
+    .command('panic')
+    .description('Disconnect immediately and run the panic playbook')
+    .option('--block-all', 'Leave a firewall rule blocking all traffic (only loopback allowed)')
+    .option('--preview', 'Only show what each step would do; change nothing')
+    .action(panicCommand);
+  
+  const riskCmd = program
+    .command('risk')
+    .description('Inspect the risk engine');
+  
+  riskCmd
+    .command('explain')
+    .description('Score the current network and location, rule by rule')
+    .option('--all', 'Also list the rules that did not match')
+    .option('--no-ip', 'Skip the public IP lookup (and the location rules)')
+    .option('--json', 'Output JSON')
+    .action(riskExplainCommand);
+  
+  program
+    .command('verify')
+    .description('Check exit IP, exit country, DNS and IPv6 for leaks')
+    .option('--disconnect', 'Disconnect if any check fails')
+    .option('--timeout <ms>', 'IP-echo request timeout in milliseconds', '5000')
+    .action(verifyCommand);
+  
+  program
+    .command('stats')
+    .description('Summarise the connection history')
+    .option('--by <grouping>', `Group sessions by ${Object.keys(GROUPINGS).join(', ')}`, 'day')
+    .option('--sessions', 'List individual sessions instead of totals')
+    .option('--since <date>', 'Only include sessions started on or after this date')
+    .option('--json', 'Output JSON')
+    .option('--csv', 'Output CSV')
+    .action(statsCommand);
+  
+  const configCmd = program
+    .command('config')
+    .description('Show or change user settings');
+  
+  configCmd
+    .command('get [key]')
+    .description('Show one setting, or all settings with their source')
+    .action(configGetCommand);
+  
+  configCmd
+    .command('set <key> <value>')
+    .description('Store a setting in the config file (lists are comma separated)')
+    .action(configSetCommand);
+  
+  configCmd
+    .command('trust-network [ssid]')
+    .description('Trust a WiFi network (defaults to the current one)')
+    .option('--remove', 'Stop trusting the network instead')
+    .action(configTrustNetworkCommand);
+  
+  const killSwitchCmd = program
+    .command('kill-switch')
+    .description('Inspect or remove the firewall kill switch');
+  
+  killSwitchCmd
+    .command('status')
+    .description('Show whether the kill switch rules are installed')
+    .action(killSwitchStatusCommand);
+  
+  killSwitchCmd
+    .command('off')
+    .description('Remove the kill switch rules and restore normal traffic')
+    .action(killSwitchOffCommand);
+  
+  program
+    .command('extend')
+    .description('Ask the daemon for a fresh lease on the current connection, swapped in without dropping the tunnel')
+    .option('-t, --time <minutes>', 'New lease length in minutes (defaults to the current lease length)')
+    .action(extendCommand);
+  
+  program
+    .command('disconnect')
+    .description(`Tear down the ${INTERFACE_NAME} interface`)
+    .action(disconnectCommand);
+  
+  program
+    .command('exec')
+    .description('Run a command in its own network namespace that can only reach the internet through the tunnel')
+    .usage('[options] -- <command...>')
+    .argument('<command...>', 'Command to run, with its arguments, after --')
+    .option('--geo <country>', 'Exit country code (defaults to the validator\'s first country)')
+    .option('-v, --validator <uid>', 'Validator UID, or "auto" to pick the fastest healthy validator', 'auto')
+    .option('-t, --time <minutes>', 'Lease length in minutes')
+    .option('-d, --debug', 'Show debug information')
+    .option('--probe-timeout <ms>', 'Validator health probe timeout in milliseconds', String(DEFAULT_PROBE_TIMEOUT))
+    .action(execCommand);
+  
+  const routesCmd = program
+    .command('routes')
+    .description('Inspect split tunnelling');
+  
+  routesCmd
+    .command('preview')
+    .description('Show which destinations go through the tunnel (defaults to the current session\'s settings)')
+    .option('--include <cidr|domain>', 'Send only these destinations through the tunnel (repeatable)', collectValues, [])
+    .option('--exclude <cidr|domain>', 'Keep these destinations off the tunnel (repeatable)', collectValues, [])
+    .option('--bypass <list>', 'Keep a named bypass list (e.g. lan) off the tunnel (repeatable)', collectValues, [])
+    .option('--json', 'Output JSON')
+    .action(routesPreviewCommand);
+  
+  program
+    .command('doctor')
+    .description('Check WireGuard, DNS, privileges, validators and key files, and explain how to fix problems')
+    .option('--fix', 'Apply the fixes it knows (installs packages with apt, dnf, yum, pacman, zypper, apk or brew)')
+    .option('--probe-timeout <ms>', 'Validator health probe timeout in milliseconds', String(DEFAULT_PROBE_TIMEOUT))
+    .option('--json', 'Output JSON')
+    .action(doctorCommand);
+  
+  program
+    .command('cleanup')
+    .description('Shred leftover WireGuard configs (private keys) from earlier sessions')
+    .action(cleanupCommand);
+  
+  program
+    .command('status')
+    .description('Show interface, endpoint, lease remaining and public IP')
+    .option('--no-ip', 'Skip the public IP lookup')
+    .action(statusCommand);
+  
+  const validatorsCmd = program
+    .command('validators')
+    .description('Manage the validator list');
+  
+  validatorsCmd
+    .command('list')
+    .description('List known validators')
+    .option('-p, --probe', 'Probe each validator for health and latency')
+    .option('--timeout <ms>', 'Probe timeout in milliseconds', String(DEFAULT_PROBE_TIMEOUT))
+    .action(validatorsListCommand);
+  
+  validatorsCmd
+    .command('update')
+    .description('Fetch the validator list from the registry and cache it locally')
+    .option('--registry <url>', 'Registry URL (defaults to the registryUrl setting or the project registry)')
+    .option('--timeout <ms>', 'Request timeout in milliseconds', '10000')
+    .action(validatorsUpdateCommand);
+  
+  program
+    .command('regions <uid>')
+    .description('List the exit regions offered by a validator')
+    .option('--timeout <ms>', 'Request timeout in milliseconds', '5000')
+    .action(regionsCommand);
+  
+  program
+    .command('mock-validator')
+    .description('Serve a fake validator API on this machine for --dry-run rehearsals')
+    .option('--host <address>', 'Address to listen on', '127.0.0.1')
+    .option('-p, --port <port>', 'Port to listen on', String(DEFAULT_MOCK_PORT))
+    .option('--uid <uid>', 'UID dry runs know this validator by', DEFAULT_MOCK_UID)
+    .option('--countries <codes>', 'Comma-separated exit countries to offer', DEFAULT_MOCK_COUNTRIES.join(','))
+    .option('--latency <ms>', 'Delay every response by this many milliseconds', '0')
+    .option('--fail-rate <ratio>', 'Share of requests to answer with a 503, from 0 to 1', '0')
+    .option('--fail-after <count>', 'Answer config requests with a 503 once this many were issued')
+    .option('--stall-after <seconds>', 'Simulated tunnels to this validator stop handshaking after this long')
+    .action(mockValidatorCommand);
+  
+  try {
+    await program.parseAsync(process.argv);
+  } catch (error) {
+    // Commander has already printed help, version or the usage error
+    if (error.code === 'commander.helpDisplayed' || error.code === 'commander.version' || error.code === 'commander.help') {
+      process.exit(EXIT_CODES.OK);
+    }
+    if (error.code && error.code.startsWith('commander.')) {
+      process.exit(EXIT_CODES.USAGE);
+    }
+    throw error;
+  }
+}
+
+// Errors escaping timers and event handlers end the process the same way
+process.on('uncaughtException', exitAfterCrash);
+process.on('unhandledRejection', exitAfterCrash);
+
+// Run main function
+main().catch(exitAfterCrash);
\ No newline at end of file
@@ -0,0 +1,289 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { getConfigDir, ensureDir, writeFileAtomic } = require('./paths.cjs');
+const { RISK_LEVELS, checkRules } = require('./risk.cjs');
+const { HOOK_POLICIES } = require('./wgconfig.cjs');
+const { DEFAULT_PLAYBOOK, checkPlaybook } = require('./panic.cjs');
+const { checkHooks } = require('./hooks.cjs');
+
+// Every supported setting: its type, default and environment override.
+// Precedence is default < config file < environment < command-line flag.
+const CONFIG_SCHEMA = {
+  trustedNetworks: {
+    type: 'string[]',
+    default: ['MyHomeNetwork', 'MyWorkNetwork'],
+    env: 'TPN_TRUSTED_NETWORKS',
+    description: 'WiFi SSIDs treated as safe'
+  },
+  highRiskCountries: {
+    type: 'string[]',
+    default: ['CN', 'RU', 'IR', 'SA', 'VN', 'CU'],
+    env: 'TPN_HIGH_RISK_COUNTRIES',
+    description: 'ISO country codes rated as high location risk'
+  },
+  publicHotspotPattern: {
+    type: 'regex',
+    default: 'public|hotel|airport|cafe|free|guest',
+    env: 'TPN_PUBLIC_HOTSPOT_PATTERN',
+    description: 'Case-insensitive regex matching public hotspot SSIDs'
+  },
+  fallbackRegions: {
+    type: 'string[]',
+    default: ['US', 'GB', 'DE', 'FR', 'JP'],
+    env: 'TPN_FALLBACK_REGIONS',
+    description: 'Countries offered when a validator cannot list its own'
+  },
+  regionGroups: {
+    type: 'lists',
+    default: {},
+    env: 'TPN_REGION_GROUPS',
+    description: 'Named lists of country codes usable with -r (alongside the continents)'
+  },
+  leaseMinutes: {
+    type: 'integer',
+    default: 30,
+    env: 'TPN_LEASE_MINUTES',
+    description: 'Default lease length in minutes'
+  },
+  registryUrl: {
+    type: 'string',
+    default: null,
+    env: 'TPN_REGISTRY_URL',
+    description: 'Validator registry URL used by "validators update"'
+  },
+  registryMaxAgeHours: {
+    type: 'integer',
+    default: 7 * 24,
+    env: 'TPN_REGISTRY_MAX_AGE_HOURS',
+    description: 'Age after which the cached validator list counts as stale'
+  },
+  riskRules: {
+    type: 'rules',
+    default: [],
+    env: 'TPN_RISK_RULES',
+    description: 'Risk rules added to (or replacing, by id) the built-in ones'
+  },
+  autoConnectRisk: {
+    type: 'enum',
+    values: [RISK_LEVELS.LOW, RISK_LEVELS.MEDIUM, RISK_LEVELS.HIGH],
+    default: RISK_LEVELS.MEDIUM,
+    env: 'TPN_AUTO_CONNECT_RISK',
+    description: 'Risk level at which "watch" connects automatically'
+  },
+  wireguardHooks: {
+    type: 'enum',
+    values: Object.values(HOOK_POLICIES),
+    default: HOOK_POLICIES.STRIP,
+    env: 'TPN_WIREGUARD_HOOKS',
+    description: 'What to do with PreUp/PostUp/PreDown/PostDown/SaveConfig from a validator'
+  },
+  bypassLists: {
+    type: 'lists',
+    default: {},
+    env: 'TPN_BYPASS_LISTS',
+    description: 'Named lists of CIDRs and domains that --bypass keeps off the tunnel'
+  },
+  panicPlaybook: {
+    type: 'playbook',
+    default: DEFAULT_PLAYBOOK,
+    env: 'TPN_PANIC_PLAYBOOK',
+    description: 'Ordered steps the panic button runs (see "Panic Playbook" in the README)'
+  },
+  hooks: {
+    type: 'hooks',
+    default: {},
+    env: 'TPN_HOOKS',
+    description: 'Commands to run on session events (see "Event Hooks" in the README)'
+  }
+};
+
+const CONFIG_FILE_NAMES = ['config.json', 'config.yaml', 'config.yml'];
+
+// The config file in use: $TPN_CONNECT_CONFIG, else the first existing
+// config.{json,yaml,yml}, else where a new config.json would go
+function getConfigFilePath() {
+  if (process.env.TPN_CONNECT_CONFIG) {
+    return process.env.TPN_CONNECT_CONFIG;
+  }
+
+  const candidates = CONFIG_FILE_NAMES.map(name => path.join(getConfigDir(), name));
+  return candidates.find(candidate => fs.existsSync(candidate)) || candidates[0];
+}
+
+function isYaml(filePath) {
+  return /\.ya?ml$/i.test(filePath);
+}
+
+function readConfigFile(filePath = getConfigFilePath()) {
+  if (!fs.existsSync(filePath)) {
+    return {};
+  }
+
+  const text = fs.readFileSync(filePath, 'utf8');
+  const data = isYaml(filePath) ? yaml.load(text) : JSON.parse(text);
+  return data || {};
+}
+
+function writeConfigFile(data, filePath = getConfigFilePath()) {
+  const text = isYaml(filePath) ? yaml.dump(data) : JSON.stringify(data, null, 2) + '\n';
+  ensureDir(path.dirname(filePath));
+  writeFileAtomic(filePath, text);
+}
+
+// Check one value against its schema type; returns an error message or null
+function checkValue(key, value) {
+  const { type } = CONFIG_SCHEMA[key];
+
+  if (value === null && CONFIG_SCHEMA[key].default === null) {
+    return null;
+  }
+
+  switch (type) {
+    case 'string[]':
+      return Array.isArray(value) && value.every(v => typeof v === 'string')
+        ? null
+        : `${key} must be a list of strings`;
+    case 'integer':
+      return Number.isInteger(value) && value > 0 ? null : `${key} must be a positive integer`;
+    case 'rules':
+      return checkRules(value);
+    case 'playbook':
+      return checkPlaybook(value);
+    case 'hooks':
+      return checkHooks(value);
+    case 'lists':
+      return value && typeof value === 'object' && !Array.isArray(value)
+        && Object.values(value).every(list => Array.isArray(list) && list.every(v => typeof v === 'string'))
+        ? null
+        : `${key} must map names to lists of strings`;
+    case 'enum':
+      return CONFIG_SCHEMA[key].values.includes(value)
+        ? null
+        : `${key} must be one of ${CONFIG_SCHEMA[key].values.join(', ')}`;
+    case 'regex':
+      try {
+        new RegExp(value, 'i');
+        return typeof value === 'string' ? null : `${key} must be a string`;
+      } catch (error) {
+        return `${key} is not a valid regex: ${error.message}`;
+      }
+    default:
+      return typeof value === 'string' ? null : `${key} must be a string`;
+  }
+}
+
+// Validate a whole config object, reporting every problem at once
+function validateConfig(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('Config must be an object');
+  }
+
+  const errors = Object.keys(data).map(key => (
+    CONFIG_SCHEMA[key] ? checkValue(key, data[key]) : `Unknown setting: ${key}`
+  )).filter(Boolean);
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid config:\n  ${errors.join('\n  ')}`);
+  }
+  return data;
+}
+
+// Turn a string from the environment or `config set` into a typed value
+function parseValue(key, raw) {
+  const schema = CONFIG_SCHEMA[key];
+  if (!schema) {
+    throw new Error(`Unknown setting: ${key}`);
+  }
+
+  let value;
+  switch (schema.type) {
+    case 'string[]':
+      value = raw.trim().startsWith('[')
+        ? JSON.parse(raw)
+        : raw.split(',').map(v => v.trim()).filter(Boolean);
+      break;
+    case 'integer':
+      value = Number(raw);
+      break;
+    case 'rules':
+    case 'lists':
+    case 'playbook':
+    case 'hooks':
+      value = JSON.parse(raw);
+      break;
+    case 'enum':
+      value = schema.values.find(v => v.toLowerCase() === raw.trim().toLowerCase()) || raw;
+      break;
+    default:
+      value = raw;
+  }
+
+  const error = checkValue(key, value);
+  if (error) {
+    throw new Error(error);
+  }
+  return value;
+}
+
+// Merge defaults, the config file and environment overrides.
+// Returns { config, sources, filePath } where sources[key] says where each value came from.
+function loadConfig() {
+  const filePath = getConfigFilePath();
+  const fileData = validateConfig(readConfigFile(filePath));
+  const config = {};
+  const sources = {};
+
+  Object.entries(CONFIG_SCHEMA).forEach(([key, schema]) => {
+    config[key] = schema.default;
+    sources[key] = 'default';
+
+    if (fileData[key] !== undefined) {
+      config[key] = fileData[key];
+      sources[key] = 'file';
+    }
+
+    if (process.env[schema.env] !== undefined) {
+      try {
+        config[key] = parseValue(key, process.env[schema.env]);
+        sources[key] = 'env';
+      } catch (error) {
+        throw new Error(`${schema.env}: ${error.message}`);
+      }
+    }
+  });
+
+  return { config, sources, filePath };
+}
+
+// Persist one setting to the config file (after validating it)
+function setConfigValue(key, raw) {
+  const value = parseValue(key, raw);
+  const data = readConfigFile();
+  data[key] = value;
+  writeConfigFile(validateConfig(data));
+  return value;
+}
+
+// Add or remove a trusted SSID in the config file
+function updateTrustedNetworks(ssid, { remove = false } = {}) {
+  const data = readConfigFile();
+  const current = data.trustedNetworks || CONFIG_SCHEMA.trustedNetworks.default;
+  const networks = remove
+    ? current.filter(network => network !== ssid)
+    : [...new Set([...current, ssid])];
+
+  data.trustedNetworks = networks;
+  writeConfigFile(validateConfig(data));
+  return networks;
+}
+
+module.exports = {
+  CONFIG_SCHEMA,
+  getConfigFilePath,
+  validateConfig,
+  parseValue,
+  loadConfig,
+  setConfigValue,
+  updateTrustedNetworks
+};
@@ -0,0 +1,118 @@
+// ISO 3166-1 alpha-2 codes with English names and continents
+const COUNTRIES = require('./iso3166.json');
+
+// Named so as not to clash with the legacy regions below
+const CONTINENT_GROUPS = {
+  'africa': 'AF',
+  'all-asia': 'AS',
+  'antarctica': 'AN',
+  'europe': 'EU',
+  'north-america': 'NA',
+  'oceania': 'OC',
+  'south-america': 'SA'
+};
+
+// The regions older versions accepted with -r, with the countries they
+// meant then. Widening them to whole continents would let an old command
+// line land in countries its author never chose.
+const LEGACY_REGIONS = {
+  'us': ['US', 'CA'],
+  'eu': ['DE', 'FR', 'GB', 'IT', 'ES'],
+  'asia': ['JP', 'KR', 'SG', 'IN']
+};
+
+function isCountryCode(code) {
+  return COUNTRIES.some(country => country.code === code);
+}
+
+function countryName(code) {
+  const country = COUNTRIES.find(entry => entry.code === code);
+  return country ? country.name : code;
+}
+
+// Every region group: the continents, the legacy regions and the user's own
+// (which win on a name clash)
+function listRegionGroups(userGroups = {}) {
+  const groups = {};
+  Object.entries(CONTINENT_GROUPS).forEach(([name, continent]) => {
+    groups[name] = COUNTRIES.filter(country => country.continent === continent).map(country => country.code);
+  });
+  Object.entries(LEGACY_REGIONS).forEach(([name, codes]) => {
+    groups[name] = codes;
+  });
+  Object.entries(userGroups).forEach(([name, codes]) => {
+    groups[name.toLowerCase()] = codes.map(code => code.toUpperCase());
+  });
+  return groups;
+}
+
+// Country codes given on the command line, upper-cased; throws on unknown codes
+function parseCountryCodes(values) {
+  const codes = values.map(value => value.toUpperCase());
+  const unknown = codes.filter(code => !isCountryCode(code));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown country code${unknown.length === 1 ? '' : 's'}: ${unknown.join(', ')} (use ISO 3166-1 alpha-2, e.g. DE)`);
+  }
+  return codes;
+}
+
+// The countries in a region group; throws on unknown groups or bad codes in a user group
+function resolveRegion(name, userGroups = {}) {
+  const groups = listRegionGroups(userGroups);
+  const key = name.toLowerCase();
+  const codes = groups[key];
+
+  if (!codes) {
+    throw new Error(`Unknown region: ${name}. Choose from ${Object.keys(groups).join(', ')}`);
+  }
+  try {
+    return parseCountryCodes(codes);
+  } catch (error) {
+    throw new Error(`Region ${name}: ${error.message}`);
+  }
+}
+
+// Turn --country and --region into preference tiers: each --country is a
+// tier of its own, in the order given, and the region is a last tier whose
+// countries are all equally acceptable. Returns [] when nothing was asked for.
+function buildPreferences({ countries = [], region, userGroups = {} }) {
+  const tiers = parseCountryCodes(countries).map(code => [code]);
+  if (region) {
+    tiers.push(resolveRegion(region, userGroups));
+  }
+  return tiers;
+}
+
+// The country to use from those a validator offers, or null if none is wanted
+function preferredCountry(offered, tiers) {
+  for (const tier of tiers) {
+    const match = tier.find(code => offered.includes(code));
+    if (match) {
+      return match;
+    }
+  }
+  return null;
+}
+
+// Short description of what --country and --region asked for, for messages
+function describePreferences({ countries = [], region }) {
+  const parts = countries.map(code => code.toUpperCase());
+  if (region) {
+    parts.push(`the ${region} region`);
+  }
+  return parts.join(', then ');
+}
+
+module.exports = {
+  COUNTRIES,
+  CONTINENT_GROUPS,
+  LEGACY_REGIONS,
+  isCountryCode,
+  countryName,
+  listRegionGroups,
+  parseCountryCodes,
+  resolveRegion,
+  buildPreferences,
+  preferredCountry,
+  describePreferences
+};
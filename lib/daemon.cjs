@@ -0,0 +1,154 @@
+const net = require('net');
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const { getStateDir, ensureDir } = require('./paths.cjs');
+
+// How long a CLI command waits for the daemon to answer
+const DEFAULT_REQUEST_TIMEOUT = 10000;
+
+function getSocketPath() {
+  return path.join(getStateDir(), 'daemon.sock');
+}
+
+function getLogPath() {
+  return path.join(getStateDir(), 'daemon.log');
+}
+
+// Start the control server. Each request is one line of JSON
+// ({ "command": "status", "params": {} }) answered by one line of JSON
+// ({ "ok": true, "result": ... } or { "ok": false, "error": "..." }).
+// `handlers` maps command names to async functions receiving the params.
+function startControlServer(handlers) {
+  const socketPath = getSocketPath();
+  ensureDir(getStateDir());
+
+  // A socket file left by a crashed daemon would make listen() fail
+  fs.rmSync(socketPath, { force: true });
+
+  const server = net.createServer(connection => {
+    let buffer = '';
+
+    connection.setEncoding('utf8');
+    connection.on('data', async chunk => {
+      buffer += chunk;
+      const newline = buffer.indexOf('\n');
+      if (newline === -1) {
+        return;
+      }
+
+      const line = buffer.slice(0, newline);
+      buffer = '';
+
+      let reply;
+      try {
+        const request = JSON.parse(line);
+        const handler = handlers[request.command];
+        if (!handler) {
+          throw new Error(`Unknown command: ${request.command}`);
+        }
+        reply = { ok: true, result: await handler(request.params || {}) };
+      } catch (error) {
+        reply = { ok: false, error: error.message };
+      }
+
+      connection.end(JSON.stringify(reply) + '\n');
+    });
+    connection.on('error', () => {});
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(socketPath, () => {
+      // Only the owner may drive the daemon
+      fs.chmodSync(socketPath, 0o600);
+      resolve(server);
+    });
+  });
+}
+
+// Send one command to the daemon. Resolves with the result, resolves null when
+// no daemon is listening, and rejects if the daemon reports an error.
+function requestDaemon(command, params = {}, { timeout = DEFAULT_REQUEST_TIMEOUT } = {}) {
+  return new Promise((resolve, reject) => {
+    const connection = net.createConnection(getSocketPath());
+    let buffer = '';
+
+    connection.setEncoding('utf8');
+    connection.setTimeout(timeout, () => {
+      connection.destroy();
+      reject(new Error(`Daemon did not answer within ${timeout}ms`));
+    });
+
+    connection.on('connect', () => {
+      connection.write(JSON.stringify({ command, params }) + '\n');
+    });
+    connection.on('data', chunk => {
+      buffer += chunk;
+    });
+    connection.on('end', () => {
+      try {
+        const reply = JSON.parse(buffer);
+        if (reply.ok) {
+          resolve(reply.result);
+        } else {
+          reject(new Error(reply.error));
+        }
+      } catch (error) {
+        reject(new Error('Malformed reply from daemon'));
+      }
+    });
+    connection.on('error', error => {
+      if (error.code === 'ENOENT' || error.code === 'ECONNREFUSED') {
+        resolve(null);
+      } else {
+        reject(error);
+      }
+    });
+  });
+}
+
+// Re-run this CLI detached from the terminal, logging to the daemon log.
+// Returns the child process (already unref'd).
+function spawnDetached(scriptPath, args) {
+  ensureDir(getStateDir());
+  const logFd = fs.openSync(getLogPath(), 'a', 0o600);
+
+  const child = spawn(process.execPath, [scriptPath, ...args], {
+    detached: true,
+    stdio: ['ignore', logFd, logFd],
+    env: { ...process.env, FORCE_COLOR: '0' }
+  });
+
+  fs.closeSync(logFd);
+  child.unref();
+  return child;
+}
+
+// Poll the control socket until the daemon answers, or give up
+async function waitForDaemon(child, { timeout = 60000, interval = 500 } = {}) {
+  let exited = false;
+  child.once('exit', () => {
+    exited = true;
+  });
+
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline && !exited) {
+    const status = await requestDaemon('status', {}, { timeout: interval * 4 }).catch(() => null);
+    if (status) {
+      return status;
+    }
+    await new Promise(resolve => setTimeout(resolve, interval));
+  }
+  return null;
+}
+
+module.exports = {
+  DEFAULT_REQUEST_TIMEOUT,
+  getSocketPath,
+  getLogPath,
+  startControlServer,
+  requestDaemon,
+  spawnDetached,
+  waitForDaemon
+};
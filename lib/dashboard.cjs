@@ -0,0 +1,223 @@
+const { countryName } = require('./countries.cjs');
+const { describeNetwork } = require('./netwatch.cjs');
+const { DEFAULT_STALE_SECONDS } = require('./watchdog.cjs');
+const { formatBytes, formatRate, sparkline } = require('./traffic.cjs');
+
+// Below this width the panels are stacked instead of side by side
+const TWO_COLUMN_WIDTH = 90;
+
+// Lines kept in the activity panel
+const ACTIVITY_LINES = 50;
+
+const RISK_STYLES = { HIGH: 'red', MEDIUM: 'yellow', LOW: 'green', SAFE: 'brightGreen' };
+
+const KEYS = [
+  ['C', 'Connect', 'cyan'],
+  ['D', 'Disconnect', 'yellow'],
+  ['P', 'Panic', 'red'],
+  ['R', 'Refresh', 'blue'],
+  ['E', 'Extend', 'green'],
+  ['Q', 'Quit', 'gray']
+];
+
+function stripAnsi(text) {
+  return String(text).replace(/\u001b\[[0-9;]*m/g, '');
+}
+
+function fit(text, width) {
+  const plain = stripAnsi(text);
+  return plain.length > width ? `${plain.slice(0, Math.max(0, width - 1))}…` : plain.padEnd(width);
+}
+
+function countdown(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+// Panel contents as [text, style] lines
+function leaseLines(view, width) {
+  const { session, lease } = view;
+  const barWidth = Math.max(10, width - 16);
+  const used = lease.total > 0 ? Math.min(1, (lease.total - lease.remaining) / lease.total) : 1;
+  const filled = Math.round(used * barWidth);
+
+  return [
+    [`Validator UID ${session.validator.UID} · ${session.validator.Axon}`],
+    [`Exit ${session.region} (${countryName(session.region)})`],
+    [`[${'█'.repeat(filled)}${'░'.repeat(barWidth - filled)}] ${countdown(lease.remaining)} left`,
+      lease.remaining <= 60 ? 'yellow' : 'cyan'],
+    [`Renewals ${session.renewals || 0} · Failovers ${session.failovers || 0} · Auto-renew ${session.autoRenew ? 'on' : 'off'}`, 'gray']
+  ];
+}
+
+function trafficLines(view, width) {
+  const { traffic } = view;
+  if (!traffic.up) {
+    return [['Interface is down', 'red']];
+  }
+
+  const labelWidth = 14;
+  const sparkWidth = Math.max(5, width - labelWidth - 1);
+  const handshakeAge = traffic.latestHandshake ? Math.round(Date.now() / 1000 - traffic.latestHandshake) : null;
+  const handshake = handshakeAge === null
+    ? ['Handshake: none yet', 'red']
+    : [`Handshake: ${handshakeAge}s ago`, handshakeAge > DEFAULT_STALE_SECONDS ? 'red' : 'green'];
+
+  return [
+    [`↓ ${formatRate(traffic.rxRate).padEnd(labelWidth - 3)} ${sparkline(traffic.rxHistory, sparkWidth)}`, 'green'],
+    [`↑ ${formatRate(traffic.txRate).padEnd(labelWidth - 3)} ${sparkline(traffic.txHistory, sparkWidth)}`, 'cyan'],
+    [`Total ↓ ${formatBytes(traffic.rxBytes)}  ↑ ${formatBytes(traffic.txBytes)}`],
+    handshake,
+    [`Endpoint: ${traffic.endpoint || 'unknown'}`, 'gray']
+  ];
+}
+
+function riskLines(view) {
+  const { risk } = view;
+  const lines = [[`${risk.level} (score ${risk.score})`, RISK_STYLES[risk.level]]];
+
+  risk.matches.slice(0, 3).forEach(match => {
+    lines.push([`${match.score > 0 ? '+' : ''}${match.score}  ${match.reason}`, 'gray']);
+  });
+  if (risk.network) {
+    lines.push([`Network: ${describeNetwork(risk.network)}`]);
+  }
+  if (risk.location) {
+    lines.push([`Location: ${risk.location.country}, ${risk.location.city}`]);
+  }
+  return lines;
+}
+
+function statsLines(view) {
+  const { stats } = view;
+  return [
+    [`Protected connections: ${stats.totalConnections}`],
+    [`Protected time: ${Math.round(stats.totalTime / 60)} minutes`],
+    [`Countries visited: ${Array.from(stats.countriesVisited).join(', ') || 'None'}`],
+    [`Data protected: ↓ ${formatBytes(stats.dataSaved.rxBytes || 0)}  ↑ ${formatBytes(stats.dataSaved.txBytes || 0)}`]
+  ];
+}
+
+// Full-screen session dashboard drawn with terminal-kit: lease, traffic,
+// risk, statistics and recent activity. Returns { render(view), log(line),
+// close() }. `view` is { session, lease: { remaining, total }, traffic
+// (see createTrafficMonitor), risk, stats (connectionStats) }.
+function createDashboard(term) {
+  const activity = [];
+  let lastView = null;
+  let lastLayout = null;
+  let closed = false;
+
+  const writeAt = (x, y, width, text, style) => {
+    term.moveTo(x, y);
+    (style ? term[style] : term).noFormat(fit(text, width));
+  };
+
+  const panel = (x, y, width, height, title, lines) => {
+    const inner = width - 4;
+    term.moveTo(x, y).gray.noFormat(`┌─ ${title} ${'─'.repeat(Math.max(0, width - title.length - 5))}┐`);
+    for (let row = 1; row < height - 1; row++) {
+      const [text, style] = lines[row - 1] || [''];
+      term.moveTo(x, y + row).gray('│ ');
+      writeAt(x + 2, y + row, inner, text, style);
+      term.gray(' │');
+    }
+    term.moveTo(x, y + height - 1).gray.noFormat(`└${'─'.repeat(width - 2)}┘`);
+  };
+
+  const render = (view = lastView) => {
+    if (closed || !view) {
+      return;
+    }
+    lastView = view;
+
+    const width = Math.max(40, term.width);
+    const twoColumns = width >= TWO_COLUMN_WIDTH;
+    const columnWidth = twoColumns ? Math.floor((width - 1) / 2) : width;
+    const rightX = twoColumns ? columnWidth + 2 : 1;
+
+    const leaseBox = leaseLines(view, columnWidth - 4);
+    const trafficBox = trafficLines(view, columnWidth - 4);
+    const riskBox = riskLines(view);
+    const statsBox = statsLines(view);
+
+    // Clear only when panels move; otherwise redraw in place to avoid flicker
+    const layout = [width, term.height, leaseBox.length, trafficBox.length, riskBox.length, statsBox.length].join();
+    if (layout !== lastLayout) {
+      term.moveTo(1, 1).eraseDisplayBelow();
+      lastLayout = layout;
+    }
+
+    writeAt(1, 1, width - 14, 'TPN CONNECT · DIGITAL NOMAD SECURITY SUITE', 'brightCyan');
+    term.moveTo(width - 12, 1);
+    if (view.traffic.up) {
+      term.green('■ ').bold.green('CONNECTED');
+    } else {
+      term.red('■ ').bold.red('DOWN     ');
+    }
+
+    let y = 3;
+    if (twoColumns) {
+      const top = Math.max(leaseBox.length, trafficBox.length) + 2;
+      panel(1, y, columnWidth, top, 'Lease', leaseBox);
+      panel(rightX, y, columnWidth, top, 'Traffic', trafficBox);
+      y += top;
+      const middle = Math.max(riskBox.length, statsBox.length) + 2;
+      panel(1, y, columnWidth, middle, 'Risk', riskBox);
+      panel(rightX, y, columnWidth, middle, 'Statistics', statsBox);
+      y += middle;
+    } else {
+      [['Lease', leaseBox], ['Traffic', trafficBox], ['Risk', riskBox], ['Statistics', statsBox]].forEach(([title, lines]) => {
+        panel(1, y, columnWidth, lines.length + 2, title, lines);
+        y += lines.length + 2;
+      });
+    }
+
+    // Whatever room is left (at least three lines) shows recent activity
+    const activityHeight = Math.max(5, term.height - y - 1);
+    panel(1, y, width, activityHeight, 'Activity', activity.slice(-(activityHeight - 2)).map(line => [line, 'gray']));
+    y += activityHeight;
+
+    // As many keys as fit on the last line
+    term.moveTo(1, y);
+    let x = 1;
+    KEYS.forEach(([key, label, style]) => {
+      const text = `[${key}] ${label}  `;
+      if (x + text.length <= width + 2) {
+        term[style](text);
+      }
+      x += text.length;
+    });
+  };
+
+  const onResize = () => render();
+  term.on('resize', onResize);
+  term.fullscreen(true);
+  term.hideCursor(true);
+
+  return {
+    render,
+
+    // Add a line to the activity panel (colours are dropped)
+    log(line) {
+      const time = new Date().toTimeString().slice(0, 8);
+      stripAnsi(line).split('\n').filter(text => text.trim()).forEach(text => activity.push(`${time} ${text.trim()}`));
+      activity.splice(0, Math.max(0, activity.length - ACTIVITY_LINES));
+      render();
+    },
+
+    close() {
+      if (closed) {
+        return;
+      }
+      closed = true;
+      term.off('resize', onResize);
+      term.hideCursor(false);
+      term.fullscreen(false);
+    }
+  };
+}
+
+module.exports = {
+  createDashboard
+};
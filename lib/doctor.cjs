@@ -0,0 +1,313 @@
+const fs = require('fs');
+const os = require('os');
+const { execa } = require('execa');
+const { STATUS } = require('./verify.cjs');
+const { commandExists, installPackages } = require('./packages.cjs');
+const { loadValidators, updateValidators } = require('./registry.cjs');
+const { probeValidators, DEFAULT_PROBE_TIMEOUT } = require('./probe.cjs');
+const { listConfigFiles, removeStaleConfigs } = require('./keyfiles.cjs');
+const { readSession } = require('./session.cjs');
+const { showInterface } = require('./wireguard.cjs');
+
+// Oldest Node.js release we support (install.sh enforces the same)
+const MIN_NODE_MAJOR = 16;
+
+// CAP_NET_ADMIN's bit in /proc/<pid>/status CapEff
+const CAP_NET_ADMIN = 12;
+
+// Where a resolvectl symlink named resolvconf makes it act as one
+const RESOLVCONF_LINK = '/usr/local/bin/resolvconf';
+
+function check(id, name, status, detail, { remediation = null, fix = null } = {}) {
+  return { id, name, status, detail, remediation, fix };
+}
+
+// A fix that installs tools with the system package manager
+function installFix(tools) {
+  return {
+    description: `Install ${tools.join(', ')} with the system package manager`,
+    run: async () => {
+      const { manager, packages } = await installPackages(tools);
+      return `Installed ${packages.join(', ')} with ${manager}`;
+    }
+  };
+}
+
+async function checkNode() {
+  const major = Number(process.versions.node.split('.')[0]);
+  return major >= MIN_NODE_MAJOR
+    ? check('node', 'Node.js', STATUS.PASS, `v${process.versions.node}`)
+    : check('node', 'Node.js', STATUS.FAIL, `v${process.versions.node} is too old`, {
+      remediation: `Install Node.js ${MIN_NODE_MAJOR} or newer (https://nodejs.org or your package manager)`
+    });
+}
+
+async function checkWireGuardTools() {
+  const missing = [];
+  for (const command of ['wg', 'wg-quick']) {
+    if (!await commandExists(command)) {
+      missing.push(command);
+    }
+  }
+
+  if (missing.length === 0) {
+    return check('wireguard-tools', 'WireGuard tools', STATUS.PASS, 'wg and wg-quick found');
+  }
+  return check('wireguard-tools', 'WireGuard tools', STATUS.FAIL, `${missing.join(' and ')} not found`, {
+    remediation: 'Install wireguard-tools',
+    fix: installFix(['wireguard-tools'])
+  });
+}
+
+// WireGuard itself: the Linux kernel module, or wireguard-go in userspace
+async function checkWireGuardBackend() {
+  const name = 'WireGuard backend';
+  if (os.platform() === 'darwin') {
+    return await commandExists('wireguard-go')
+      ? check('wireguard-backend', name, STATUS.PASS, 'wireguard-go found')
+      : check('wireguard-backend', name, STATUS.FAIL, 'wireguard-go not found', {
+        remediation: 'Install wireguard-go (brew install wireguard-go)',
+        fix: installFix(['wireguard-go'])
+      });
+  }
+  if (os.platform() !== 'linux') {
+    return check('wireguard-backend', name, STATUS.SKIP, `Not checked on ${os.platform()}`);
+  }
+
+  if (fs.existsSync('/sys/module/wireguard')) {
+    return check('wireguard-backend', name, STATUS.PASS, 'Kernel module loaded');
+  }
+  const { exitCode } = await execa('modinfo', ['wireguard'], { reject: false });
+  if (exitCode === 0) {
+    return check('wireguard-backend', name, STATUS.PASS, 'Kernel module available (wg-quick loads it)');
+  }
+  if (await commandExists('wireguard-go')) {
+    return check('wireguard-backend', name, STATUS.PASS, 'wireguard-go found (userspace)');
+  }
+  return check('wireguard-backend', name, STATUS.FAIL, 'No wireguard kernel module and no wireguard-go', {
+    remediation: 'Use a kernel with WireGuard (Linux 5.6 or newer) or install wireguard-go'
+  });
+}
+
+// wg-quick hands the config's DNS servers to resolvconf
+async function checkResolver() {
+  const name = 'DNS integration';
+  if (os.platform() !== 'linux') {
+    return check('resolver', name, STATUS.SKIP, `wg-quick sets DNS itself on ${os.platform()}`);
+  }
+
+  const resolvconf = await commandExists('resolvconf');
+  const resolvectl = await commandExists('resolvectl');
+  if (resolvconf) {
+    return check('resolver', name, STATUS.PASS, resolvectl ? 'resolvconf found (systemd-resolved)' : 'resolvconf found');
+  }
+  if (resolvectl) {
+    return check('resolver', name, STATUS.FAIL, 'systemd-resolved is running but resolvconf is missing, so wg-quick cannot set DNS', {
+      remediation: `Link resolvectl as resolvconf: sudo ln -s "$(command -v resolvectl)" ${RESOLVCONF_LINK}`,
+      fix: {
+        description: `Link resolvectl to ${RESOLVCONF_LINK}`,
+        run: async () => {
+          const { stdout } = await execa('which', ['resolvectl']);
+          const isRoot = process.getuid && process.getuid() === 0;
+          const args = ['-s', stdout.trim(), RESOLVCONF_LINK];
+          await (isRoot ? execa('ln', args) : execa('sudo', ['ln', ...args]));
+          return `Linked ${RESOLVCONF_LINK} to ${stdout.trim()}`;
+        }
+      }
+    });
+  }
+  return check('resolver', name, STATUS.FAIL, 'Neither resolvconf nor systemd-resolved found, so wg-quick cannot set DNS', {
+    remediation: 'Install openresolv, or enable systemd-resolved',
+    fix: installFix(['openresolv'])
+  });
+}
+
+function hasNetAdmin() {
+  try {
+    const status = fs.readFileSync('/proc/self/status', 'utf8');
+    const match = status.match(/^CapEff:\s*([0-9a-f]+)/m);
+    return Boolean(match) && (BigInt(`0x${match[1]}`) & (1n << BigInt(CAP_NET_ADMIN))) !== 0n;
+  } catch (error) {
+    return false;
+  }
+}
+
+// wg-quick, the kill switch and exec all need to manage network interfaces
+async function checkPrivileges() {
+  const name = 'Privileges';
+  if (process.getuid && process.getuid() === 0) {
+    return check('privileges', name, STATUS.PASS, 'Running as root');
+  }
+  if (os.platform() === 'linux' && hasNetAdmin()) {
+    return check('privileges', name, STATUS.PASS, 'CAP_NET_ADMIN granted');
+  }
+  if (await commandExists('sudo')) {
+    return check('privileges', name, STATUS.WARN, 'Not root; connecting needs root', {
+      remediation: 'Run tpn-connect with sudo'
+    });
+  }
+  return check('privileges', name, STATUS.FAIL, 'Not root, no CAP_NET_ADMIN and no sudo', {
+    remediation: 'Run tpn-connect as root'
+  });
+}
+
+function checkValidatorList({ registryUrl, maxAge }) {
+  const name = 'Validator list';
+  const update = {
+    description: 'Fetch the validator list from the registry',
+    run: async () => {
+      const result = await updateValidators({ url: registryUrl });
+      return `Cached ${result.validators.length} validators from ${result.source}`;
+    }
+  };
+
+  let result;
+  try {
+    result = loadValidators({ maxAge });
+  } catch (error) {
+    return {
+      validators: null,
+      result: check('validators', name, STATUS.FAIL, error.message, {
+        remediation: 'Run "tpn-connect validators update" or restore validators.json',
+        fix: update
+      })
+    };
+  }
+
+  const detail = `${result.validators.length} validators (${result.source}${result.fetchedAt ? `, fetched ${result.fetchedAt}` : ''})`;
+  if (result.warnings.length > 0) {
+    return {
+      validators: result.validators,
+      result: check('validators', name, STATUS.WARN, `${detail}; ${result.warnings.join('; ')}`, {
+        remediation: 'Run "tpn-connect validators update"',
+        fix: update
+      })
+    };
+  }
+  return { validators: result.validators, result: check('validators', name, STATUS.PASS, detail) };
+}
+
+async function checkReachability(validators, { probeTimeout }) {
+  const name = 'Validator reachability';
+  if (!validators) {
+    return check('reachability', name, STATUS.SKIP, 'No validator list to probe');
+  }
+
+  const results = await probeValidators(validators, { timeout: probeTimeout });
+  const healthy = results.filter(result => result.healthy);
+  if (healthy.length === 0) {
+    return check('reachability', name, STATUS.FAIL, `None of ${validators.length} validators answered`, {
+      remediation: 'Check your network and firewall, then run "tpn-connect validators update" in case the list is outdated'
+    });
+  }
+
+  const detail = `${healthy.length}/${validators.length} answered, fastest UID ${healthy[0].validator.UID} (${healthy[0].latency}ms)`;
+  return healthy.length < validators.length
+    ? check('reachability', name, STATUS.WARN, detail, { remediation: 'Unreachable validators are skipped when auto-selecting' })
+    : check('reachability', name, STATUS.PASS, detail);
+}
+
+// The kill switch prefers nftables and falls back to iptables
+async function checkFirewall() {
+  const name = 'Kill switch firewall';
+  if (os.platform() !== 'linux') {
+    return check('firewall', name, STATUS.SKIP, 'The kill switch is Linux-only');
+  }
+  if (await commandExists('nft')) {
+    return check('firewall', name, STATUS.PASS, 'nftables found');
+  }
+  if (await commandExists('iptables') && !await commandExists('ip6tables')) {
+    return check('firewall', name, STATUS.FAIL, 'nftables and ip6tables missing; --kill-switch refuses to leave IPv6 open', {
+      remediation: 'Install nftables',
+      fix: installFix(['nftables'])
+    });
+  }
+  if (await commandExists('iptables')) {
+    return check('firewall', name, STATUS.WARN, 'nftables missing; the kill switch will use iptables', {
+      remediation: 'Install nftables',
+      fix: installFix(['nftables'])
+    });
+  }
+  return check('firewall', name, STATUS.FAIL, 'Neither nft nor iptables found; --kill-switch cannot work', {
+    remediation: 'Install nftables',
+    fix: installFix(['nftables'])
+  });
+}
+
+async function checkConfigFiles() {
+  const name = 'Leftover configs';
+  const session = readSession();
+  const keep = session && await showInterface(session.interface) ? session.cfgPath : undefined;
+  const files = listConfigFiles();
+  const insecure = files.filter(file => file.insecure);
+  const stale = files.filter(file => file.stale && file.path !== keep);
+
+  const fix = {
+    description: 'Shred configs no live session uses and restrict the live one to mode 600',
+    run: async () => {
+      const removed = removeStaleConfigs({ keep, includeLegacy: true });
+      const restricted = insecure.filter(file => file.path === keep);
+      restricted.forEach(file => fs.chmodSync(file.path, 0o600));
+      return `Shredded ${removed.length}, restricted ${restricted.length}`;
+    }
+  };
+
+  if (insecure.length > 0) {
+    return check('configs', name, STATUS.FAIL, `Readable by other users: ${insecure.map(file => `${file.path} (${file.mode.toString(8)})`).join(', ')}`, {
+      remediation: 'Run "tpn-connect cleanup" and rotate any keys that may have leaked',
+      fix
+    });
+  }
+  if (stale.length > 0) {
+    return check('configs', name, STATUS.WARN, `Left behind: ${stale.map(file => file.path).join(', ')}`, {
+      remediation: 'Run "tpn-connect cleanup"',
+      fix
+    });
+  }
+  return check('configs', name, STATUS.PASS, files.length > 0 ? `${files.length} in use, all private` : 'None');
+}
+
+// Run every check in order. Each result is { id, name, status, detail,
+// remediation, fix }, where fix (when we can repair it) is { description, run }.
+async function runChecks({ registryUrl, maxAge, probeTimeout = DEFAULT_PROBE_TIMEOUT } = {}) {
+  const list = checkValidatorList({ registryUrl, maxAge });
+  return [
+    await checkNode(),
+    await checkWireGuardTools(),
+    await checkWireGuardBackend(),
+    await checkResolver(),
+    await checkPrivileges(),
+    list.result,
+    await checkReachability(list.validators, { probeTimeout }),
+    await checkFirewall(),
+    await checkConfigFiles()
+  ];
+}
+
+// Apply the fix of every check that did not pass. Returns one
+// { id, description, applied, detail } per attempted fix.
+async function applyFixes(results, { onFix = () => {} } = {}) {
+  const attempts = [];
+  for (const result of results) {
+    if (!result.fix || result.status === STATUS.PASS || result.status === STATUS.SKIP) {
+      continue;
+    }
+
+    const attempt = { id: result.id, description: result.fix.description, applied: true, detail: '' };
+    try {
+      attempt.detail = await result.fix.run();
+    } catch (error) {
+      attempt.applied = false;
+      attempt.detail = error.shortMessage || error.message;
+    }
+    attempts.push(attempt);
+    onFix(attempt);
+  }
+  return attempts;
+}
+
+module.exports = {
+  MIN_NODE_MAJOR,
+  runChecks,
+  applyFixes
+};
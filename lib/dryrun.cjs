@@ -0,0 +1,192 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { useSubdirectory, getStateDir, ensureDir, writeFileAtomic } = require('./paths.cjs');
+const { useDriver, readConfigValues, readEndpoint } = require('./wireguard.cjs');
+const { listMockValidators } = require('./mockvalidator.cjs');
+
+// Where --dry-run keeps its state, under the usual state, data and runtime dirs
+const DRY_RUN_SUBDIRECTORY = 'dry-run';
+
+// Reported as the public IP while no simulated tunnel is up (TEST-NET-1)
+const SIMULATED_HOME_IP = '192.0.2.1';
+
+// Seconds between simulated handshakes, as with a 25s keepalive and rekeying
+const HANDSHAKE_INTERVAL = 120;
+
+// Bytes a second still sent to a peer that stopped answering: handshake
+// initiations every 5s and the traffic waiting on them
+const UNANSWERED_RATE = 40;
+
+let dryRun = false;
+
+function isDryRun() {
+  return dryRun;
+}
+
+function getSimulatedStatePath() {
+  return path.join(getStateDir(), 'interfaces.json');
+}
+
+function readInterfaces() {
+  try {
+    return JSON.parse(fs.readFileSync(getSimulatedStatePath(), 'utf8'));
+  } catch (error) {
+    return {};
+  }
+}
+
+function writeInterfaces(interfaces) {
+  ensureDir(getStateDir());
+  writeFileAtomic(getSimulatedStatePath(), JSON.stringify(interfaces, null, 2));
+}
+
+// wg-quick names the interface after the config file
+function interfaceNameFor(cfgPath) {
+  return path.basename(cfgPath, '.conf');
+}
+
+// An error shaped like a failed execa call
+function commandError(message) {
+  const error = new Error(message);
+  error.stderr = message;
+  return error;
+}
+
+function describePeer(configText) {
+  const endpoint = readEndpoint(configText);
+  return {
+    publicKey: readConfigValues(configText, 'PublicKey')[0] || '(none)',
+    endpoint: endpoint ? `${endpoint.host}:${endpoint.port}` : null,
+    allowedIps: readConfigValues(configText, 'AllowedIPs')
+  };
+}
+
+// Seconds the simulated peer has been answering since the interface came
+// up. Real validators always answer. A mock validator answers until its
+// --stall-after, and not at all once it is gone; how long it was last seen
+// answering is kept in the interface state so counters never go backwards.
+function activeSeconds(iface, elapsed) {
+  const { peer } = iface;
+  if (!peer.mock) {
+    return elapsed;
+  }
+
+  const mock = listMockValidators().find(entry => entry.Axon === peer.endpoint);
+  if (!mock) {
+    return peer.seenFor || 0;
+  }
+  const stallAfter = mock.stallAfter === null || mock.stallAfter === undefined ? Infinity : mock.stallAfter;
+  return Math.min(elapsed, stallAfter);
+}
+
+function isMockEndpoint(endpoint) {
+  return listMockValidators().some(entry => entry.Axon === endpoint);
+}
+
+// A WireGuard driver (see lib/wireguard.cjs) that keeps interfaces in a
+// state file instead of the kernel. Counters grow at a steady made-up rate
+// and handshakes happen every couple of minutes until the peer stalls. After
+// that only the sent counter grows, as keepalives and handshake attempts go
+// unanswered.
+function createSimulatedDriver() {
+  return {
+    name: 'simulated',
+
+    async up(cfgPath) {
+      const name = interfaceNameFor(cfgPath);
+      const interfaces = readInterfaces();
+      if (interfaces[name]) {
+        throw commandError(`wg-quick: \`${name}' already exists`);
+      }
+
+      const peer = describePeer(fs.readFileSync(cfgPath, 'utf8'));
+      interfaces[name] = {
+        cfgPath,
+        publicKey: crypto.randomBytes(32).toString('base64'),
+        listenPort: 51820,
+        upAt: Date.now(),
+        peer: { ...peer, mock: isMockEndpoint(peer.endpoint) }
+      };
+      writeInterfaces(interfaces);
+    },
+
+    async down(cfgPath) {
+      const name = interfaceNameFor(cfgPath);
+      const interfaces = readInterfaces();
+      if (!interfaces[name]) {
+        throw commandError(`wg-quick: \`${name}' is not a WireGuard interface`);
+      }
+      delete interfaces[name];
+      writeInterfaces(interfaces);
+    },
+
+    async dump(name) {
+      const interfaces = readInterfaces();
+      const iface = interfaces[name];
+      if (!iface) {
+        throw commandError('Unable to access interface: No such device');
+      }
+
+      const elapsed = (Date.now() - iface.upAt) / 1000;
+      const active = activeSeconds(iface, elapsed);
+      if (iface.peer.mock && active > (iface.peer.seenFor || 0)) {
+        iface.peer.seenFor = active;
+        writeInterfaces(interfaces);
+      }
+      const handshakeAt = active > 0 ? iface.upAt / 1000 + active - active % HANDSHAKE_INTERVAL : 0;
+      const rxBytes = Math.floor(active * 24000 + 6000 * (1 - Math.cos(active / 7)));
+      const txBytes = Math.floor(active * 3000 + 1500 * (1 - Math.cos(active / 5)) + (elapsed - active) * UNANSWERED_RATE);
+      const { peer } = iface;
+
+      return [
+        ['(hidden)', iface.publicKey, iface.listenPort, 'off'].join('\t'),
+        [
+          peer.publicKey,
+          '(none)',
+          peer.endpoint || '(none)',
+          peer.allowedIps.join(',') || '(none)',
+          Math.floor(handshakeAt),
+          rxBytes,
+          txBytes,
+          25
+        ].join('\t')
+      ].join('\n');
+    },
+
+    // Counters carry over, as `wg syncconf` keeps them
+    async sync(name, cfgPath) {
+      const interfaces = readInterfaces();
+      if (!interfaces[name]) {
+        throw commandError('Unable to access interface: No such device');
+      }
+      const peer = describePeer(fs.readFileSync(cfgPath, 'utf8'));
+      interfaces[name].peer = { ...interfaces[name].peer, ...peer, mock: isMockEndpoint(peer.endpoint) };
+      writeInterfaces(interfaces);
+    }
+  };
+}
+
+// The address a public IP lookup would see: the endpoint of an up
+// simulated tunnel, or a documentation address when there is none
+function simulatedPublicIp() {
+  const [iface] = Object.values(readInterfaces());
+  const endpoint = iface && iface.peer.endpoint;
+  return endpoint ? endpoint.replace(/:\d+$/, '').replace(/^\[|\]$/g, '') : SIMULATED_HOME_IP;
+}
+
+// Switch this process to --dry-run: separate state and the simulated driver
+function enableDryRun() {
+  dryRun = true;
+  useSubdirectory(DRY_RUN_SUBDIRECTORY);
+  useDriver(createSimulatedDriver());
+}
+
+module.exports = {
+  DRY_RUN_SUBDIRECTORY,
+  SIMULATED_HOME_IP,
+  isDryRun,
+  createSimulatedDriver,
+  simulatedPublicIp,
+  enableDryRun
+};
@@ -0,0 +1,110 @@
+const fs = require('fs');
+const path = require('path');
+const { getDataDir, ensureDir } = require('./paths.cjs');
+
+// Ways to group sessions in `stats`
+const GROUPINGS = {
+  day: record => record.startedAt.slice(0, 10),
+  country: record => record.exitCountry || 'unknown',
+  validator: record => `UID ${record.validator.UID}`
+};
+
+function getHistoryPath() {
+  return path.join(getDataDir(), 'history.ndjson');
+}
+
+// Append one finished session. The file is append-only NDJSON.
+function appendHistory(record) {
+  ensureDir(getDataDir());
+  fs.appendFileSync(getHistoryPath(), JSON.stringify(record) + '\n', { mode: 0o600 });
+}
+
+// Every recorded session, oldest first; malformed lines are skipped
+function readHistory() {
+  let text;
+  try {
+    text = fs.readFileSync(getHistoryPath(), 'utf8');
+  } catch (error) {
+    return [];
+  }
+
+  return text.split('\n').filter(Boolean).flatMap(line => {
+    try {
+      return [JSON.parse(line)];
+    } catch (error) {
+      return [];
+    }
+  });
+}
+
+// Session length in seconds
+function sessionSeconds(record) {
+  return Math.max(0, Math.round((new Date(record.endedAt) - new Date(record.startedAt)) / 1000));
+}
+
+// Group sessions by day, country or validator and total them up
+function aggregateHistory(records, by = 'day') {
+  const keyOf = GROUPINGS[by];
+  if (!keyOf) {
+    throw new Error(`Cannot group by "${by}" (use ${Object.keys(GROUPINGS).join(', ')})`);
+  }
+
+  const groups = new Map();
+  records.forEach(record => {
+    const key = keyOf(record);
+    const group = groups.get(key) || { [by]: key, sessions: 0, minutes: 0, rxBytes: 0, txBytes: 0 };
+    group.sessions++;
+    group.minutes += sessionSeconds(record) / 60;
+    group.rxBytes += record.rxBytes || 0;
+    group.txBytes += record.txBytes || 0;
+    groups.set(key, group);
+  });
+
+  return Array.from(groups.values())
+    .map(group => ({ ...group, minutes: Math.round(group.minutes) }))
+    .sort((a, b) => String(a[by]).localeCompare(String(b[by])));
+}
+
+// Render flat objects as CSV with a header row
+function toCsv(rows) {
+  if (rows.length === 0) {
+    return '';
+  }
+
+  const columns = Object.keys(rows[0]);
+  const escape = value => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return [columns.join(','), ...rows.map(row => columns.map(c => escape(row[c])).join(','))].join('\n') + '\n';
+}
+
+// Flatten a session record for export
+function flattenRecord(record) {
+  return {
+    startedAt: record.startedAt,
+    endedAt: record.endedAt,
+    minutes: Math.round(sessionSeconds(record) / 60),
+    validator: record.validator.UID,
+    exitCountry: record.exitCountry,
+    leaseMinutes: record.leaseMinutes,
+    rxBytes: record.rxBytes,
+    txBytes: record.txBytes,
+    risk: record.risk,
+    riskScore: record.riskScore,
+    locationCountry: record.locationCountry,
+    reason: record.reason
+  };
+}
+
+module.exports = {
+  GROUPINGS,
+  getHistoryPath,
+  appendHistory,
+  readHistory,
+  sessionSeconds,
+  aggregateHistory,
+  toCsv,
+  flattenRecord
+};
@@ -0,0 +1,148 @@
+const { execa } = require('execa');
+
+// Events a hook can run on, in the order a session meets them
+const HOOK_EVENTS = [
+  'pre-connect',
+  'post-connect',
+  'lease-expiring',
+  'failover',
+  'risk-level-changed',
+  'panic',
+  'disconnected'
+];
+
+// Seconds a hook may run unless it sets its own timeout
+const DEFAULT_HOOK_TIMEOUT = 30;
+
+// A hook is a shell command, or { command, timeout, abortOnFailure }
+function normalizeHook(hook) {
+  return typeof hook === 'string'
+    ? { command: hook, timeout: DEFAULT_HOOK_TIMEOUT, abortOnFailure: false }
+    : { timeout: DEFAULT_HOOK_TIMEOUT, abortOnFailure: false, ...hook };
+}
+
+// Seconds the hooks for an event can take at most, run one after another
+function hooksTimeout(hooks, event) {
+  return ((hooks && hooks[event]) || []).reduce((total, hook) => total + normalizeHook(hook).timeout, 0);
+}
+
+// Check the hooks setting; returns an error message or null
+function checkHooks(hooks) {
+  if (!hooks || typeof hooks !== 'object' || Array.isArray(hooks)) {
+    return 'hooks must map event names to lists of commands';
+  }
+
+  for (const [event, list] of Object.entries(hooks)) {
+    if (!HOOK_EVENTS.includes(event)) {
+      return `hooks: unknown event "${event}" (events: ${HOOK_EVENTS.join(', ')})`;
+    }
+    if (!Array.isArray(list)) {
+      return `hooks.${event} must be a list of commands`;
+    }
+
+    for (const [index, hook] of list.entries()) {
+      const label = `hooks.${event}[${index}]`;
+      if (typeof hook === 'string') {
+        continue;
+      }
+      if (!hook || typeof hook !== 'object' || typeof hook.command !== 'string' || hook.command === '') {
+        return `${label} must be a command, or an object with a command`;
+      }
+      if (hook.timeout !== undefined && !(typeof hook.timeout === 'number' && hook.timeout > 0)) {
+        return `${label}: timeout must be a positive number of seconds`;
+      }
+      if (hook.abortOnFailure !== undefined && typeof hook.abortOnFailure !== 'boolean') {
+        return `${label}: abortOnFailure must be true or false`;
+      }
+      if (hook.abortOnFailure && event !== 'pre-connect') {
+        return `${label}: abortOnFailure only applies to pre-connect hooks`;
+      }
+    }
+  }
+  return null;
+}
+
+// The payload's main fields as TPN_* environment variables, for hooks that
+// would rather not parse JSON
+function hookEnvironment(payload) {
+  const values = {
+    TPN_EVENT: payload.event,
+    TPN_VALIDATOR: payload.validator && payload.validator.UID,
+    TPN_VALIDATOR_AXON: payload.validator && payload.validator.Axon,
+    TPN_GEO: payload.geo,
+    TPN_INTERFACE: payload.interface,
+    TPN_IP_BEFORE: payload.ipBefore,
+    TPN_IP_AFTER: payload.ipAfter,
+    TPN_RISK_LEVEL: payload.risk && payload.risk.level,
+    TPN_RISK_SCORE: payload.risk && payload.risk.score,
+    TPN_REASON: payload.reason,
+    TPN_EXPIRES_AT: payload.expiresAt,
+    TPN_DRY_RUN: payload.dryRun ? '1' : undefined
+  };
+
+  return Object.fromEntries(Object.entries(values)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => [key, String(value)]));
+}
+
+// Run one hook with the payload on stdin; resolves to its result (never throws)
+async function runHook(hook, input, env) {
+  const started = Date.now();
+  const subprocess = execa(hook.command, { shell: true, input, env, reject: false });
+  const exited = new Promise(resolve => subprocess.once('exit', exitCode => resolve({ exitCode })));
+
+  // Our own timer rather than execa's `timeout`, so an overrun is always
+  // reported as one. Stop waiting once the shell is killed: whatever it
+  // started may still hold its output open.
+  let timer;
+  const timeout = new Promise(resolve => {
+    timer = setTimeout(() => {
+      subprocess.kill();
+      resolve(null);
+    }, hook.timeout * 1000);
+  });
+  const result = await Promise.race([subprocess, timeout]).finally(() => clearTimeout(timer));
+  const timedOut = result === null;
+
+  let exitCode = null;
+  if (!timedOut) {
+    // A hook that exits without reading its input breaks the pipe; how it
+    // exited is still what counts
+    ({ exitCode = null } = result.code === 'EPIPE' ? await exited : result);
+  }
+
+  return {
+    command: hook.command,
+    ok: exitCode === 0,
+    exitCode,
+    timedOut,
+    abortOnFailure: hook.abortOnFailure,
+    stderr: timedOut ? '' : (result.stderr || '').trim(),
+    seconds: Math.round((Date.now() - started) / 100) / 10
+  };
+}
+
+// Run the hooks configured for an event one after another, each with the
+// payload as JSON on stdin. Resolves to one
+// { command, ok, exitCode, timedOut, abortOnFailure, stderr, seconds }
+// per hook; hooks never throw.
+async function runHooks(hooks, event, payload) {
+  const list = (hooks && hooks[event]) || [];
+  const input = JSON.stringify({ event, timestamp: new Date().toISOString(), ...payload });
+  const env = hookEnvironment({ event, ...payload });
+  const results = [];
+
+  for (const hook of list.map(normalizeHook)) {
+    results.push(await runHook(hook, input, env));
+  }
+  return results;
+}
+
+module.exports = {
+  HOOK_EVENTS,
+  DEFAULT_HOOK_TIMEOUT,
+  checkHooks,
+  hooksTimeout,
+  hookEnvironment,
+  runHooks
+};
@@ -0,0 +1,131 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getRuntimeDir, ensurePrivateDir, writeFileAtomic, shredFile } = require('./paths.cjs');
+const { INTERFACE_NAME } = require('./wireguard.cjs');
+const { isAlive } = require('./session.cjs');
+
+// Records which process owns a session directory
+const OWNER_FILE = 'owner.pid';
+
+// Where older versions wrote the config (and where `wg-quick` users keep theirs)
+function getLegacyConfigPaths() {
+  return [path.resolve(`${INTERFACE_NAME}.conf`), `/etc/wireguard/${INTERFACE_NAME}.conf`];
+}
+
+function newSessionId() {
+  return crypto.randomBytes(6).toString('hex');
+}
+
+// Each session gets its own directory; the file keeps the interface name
+// because wg-quick names the interface after it
+function sessionConfigPath(sessionId) {
+  return path.join(getRuntimeDir(), sessionId, `${INTERFACE_NAME}.conf`);
+}
+
+// Write a config into its private session directory (0700 dir, 0600 file)
+function writeConfigFile(cfgPath, text) {
+  ensurePrivateDir(getRuntimeDir());
+  const dir = ensurePrivateDir(path.dirname(cfgPath));
+
+  const ownerPath = path.join(dir, OWNER_FILE);
+  if (!fs.existsSync(ownerPath)) {
+    writeFileAtomic(ownerPath, String(process.pid));
+  }
+  writeFileAtomic(cfgPath, text);
+}
+
+// Make this process the owner of a session directory, as when resuming a
+// session whose process died
+function claimConfigFile(cfgPath) {
+  const dir = path.dirname(cfgPath);
+  if (path.dirname(dir) === getRuntimeDir() && fs.existsSync(dir)) {
+    writeFileAtomic(path.join(dir, OWNER_FILE), String(process.pid));
+  }
+}
+
+// Shred a config and, for session configs, everything else in its directory
+function removeConfigFile(cfgPath) {
+  if (!cfgPath) {
+    return;
+  }
+
+  const dir = path.dirname(cfgPath);
+  if (path.dirname(dir) !== getRuntimeDir()) {
+    shredFile(cfgPath);
+    return;
+  }
+
+  if (fs.existsSync(dir)) {
+    fs.readdirSync(dir).forEach(name => shredFile(path.join(dir, name)));
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+// Every config file we know of: { path, mode, insecure, owner, stale }.
+// `insecure` means other users can read it; `stale` that no living process owns it.
+function listConfigFiles() {
+  const runtimeDir = getRuntimeDir();
+  const found = [];
+
+  const describe = (filePath, owner) => {
+    const { mode } = fs.statSync(filePath);
+    return {
+      path: filePath,
+      mode: mode & 0o777,
+      insecure: (mode & 0o077) !== 0,
+      owner,
+      stale: !owner || !isAlive(owner)
+    };
+  };
+
+  if (fs.existsSync(runtimeDir)) {
+    fs.readdirSync(runtimeDir).forEach(name => {
+      const dir = path.join(runtimeDir, name);
+      const cfgPath = path.join(dir, `${INTERFACE_NAME}.conf`);
+      if (!fs.existsSync(cfgPath)) {
+        return;
+      }
+
+      let owner = null;
+      try {
+        owner = Number(fs.readFileSync(path.join(dir, OWNER_FILE), 'utf8')) || null;
+      } catch (error) {
+        owner = null;
+      }
+      found.push(describe(cfgPath, owner));
+    });
+  }
+
+  getLegacyConfigPaths()
+    .filter(filePath => fs.existsSync(filePath))
+    .forEach(filePath => found.push(describe(filePath, null)));
+
+  return found;
+}
+
+// Shred configs left behind by sessions whose process died.
+// `keep` is a config path that must survive (the recorded live session).
+// Returns the removed paths.
+function removeStaleConfigs({ keep, includeLegacy = false } = {}) {
+  const legacy = getLegacyConfigPaths();
+
+  return listConfigFiles()
+    .filter(file => file.stale && file.path !== keep)
+    .filter(file => includeLegacy || !legacy.includes(file.path))
+    .map(file => {
+      removeConfigFile(file.path);
+      return file.path;
+    });
+}
+
+module.exports = {
+  getLegacyConfigPaths,
+  newSessionId,
+  sessionConfigPath,
+  writeConfigFile,
+  claimConfigFile,
+  removeConfigFile,
+  listConfigFiles,
+  removeStaleConfigs
+};
@@ -0,0 +1,188 @@
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const dns = require('dns').promises;
+const { execa } = require('execa');
+const { getStateDir, ensureDir, writeFileAtomic } = require('./paths.cjs');
+const { commandExists } = require('./packages.cjs');
+
+const NFT_TABLE = 'tpn_killswitch';
+const IPTABLES_CHAIN = 'TPN_KILLSWITCH';
+
+// Kill switch modes: only tunnel traffic, or nothing but loopback
+const MODES = {
+  TUNNEL: 'tunnel',
+  BLOCK_ALL: 'block-all'
+};
+
+function getStatePath() {
+  return path.join(getStateDir(), 'killswitch.json');
+}
+
+// Prefer nftables, fall back to iptables
+async function detectBackend() {
+  if (await commandExists('nft')) {
+    return 'nftables';
+  }
+  if (await commandExists('iptables')) {
+    return 'iptables';
+  }
+  throw new Error('Neither nft nor iptables is available');
+}
+
+// Resolve "host:port" style destinations to { address, port, protocol }
+async function resolveDestinations(destinations) {
+  const resolved = [];
+  for (const destination of destinations) {
+    const address = net.isIP(destination.host)
+      ? destination.host
+      : (await dns.lookup(destination.host)).address;
+    resolved.push({ address, port: destination.port, protocol: destination.protocol });
+  }
+  return resolved;
+}
+
+// Build the nftables ruleset. Re-declaring then deleting the table first
+// makes the whole file an atomic replace of any previous ruleset.
+function buildNftRuleset({ mode, interfaceName, destinations }) {
+  const rules = ['oifname "lo" accept'];
+
+  if (mode === MODES.TUNNEL) {
+    rules.push(`oifname "${interfaceName}" accept`);
+    destinations.forEach(d => {
+      const family = net.isIPv6(d.address) ? 'ip6' : 'ip';
+      rules.push(`${family} daddr ${d.address} ${d.protocol} dport ${d.port} accept`);
+    });
+  }
+
+  return [
+    `table inet ${NFT_TABLE}`,
+    `delete table inet ${NFT_TABLE}`,
+    `table inet ${NFT_TABLE} {`,
+    '  chain output {',
+    '    type filter hook output priority 0; policy drop;',
+    ...rules.map(rule => `    ${rule}`),
+    '  }',
+    '}',
+    ''
+  ].join('\n');
+}
+
+// Build iptables/ip6tables argument lists filling our chain
+function buildIptablesRules({ mode, interfaceName, destinations }, ipv6) {
+  const rules = [['-o', 'lo', '-j', 'RETURN']];
+
+  if (mode === MODES.TUNNEL) {
+    rules.push(['-o', interfaceName, '-j', 'RETURN']);
+    destinations
+      .filter(d => net.isIPv6(d.address) === ipv6)
+      .forEach(d => rules.push(['-d', d.address, '-p', d.protocol, '--dport', String(d.port), '-j', 'RETURN']));
+  }
+
+  rules.push(['-j', 'DROP']);
+  return rules;
+}
+
+async function applyIptables(rules, ipv6, { signal } = {}) {
+  const binary = ipv6 ? 'ip6tables' : 'iptables';
+
+  await execa(binary, ['-N', IPTABLES_CHAIN], { signal }).catch(() => {});
+  await execa(binary, ['-F', IPTABLES_CHAIN], { signal });
+  for (const rule of rules) {
+    await execa(binary, ['-A', IPTABLES_CHAIN, ...rule], { signal });
+  }
+  // Hook the chain into OUTPUT once
+  await execa(binary, ['-C', 'OUTPUT', '-j', IPTABLES_CHAIN], { signal })
+    .catch(() => execa(binary, ['-I', 'OUTPUT', '1', '-j', IPTABLES_CHAIN], { signal }));
+}
+
+async function removeIptables(ipv6) {
+  const binary = ipv6 ? 'ip6tables' : 'iptables';
+
+  await execa(binary, ['-D', 'OUTPUT', '-j', IPTABLES_CHAIN]).catch(() => {});
+  await execa(binary, ['-F', IPTABLES_CHAIN]).catch(() => {});
+  await execa(binary, ['-X', IPTABLES_CHAIN]).catch(() => {});
+}
+
+// Install (or replace) the kill switch rules and remember them.
+// `endpoint` is the WireGuard peer ({ host, port }); `allow` lists extra
+// TCP destinations such as validator APIs needed to reconnect or fail over.
+// Aborting `signal` kills the firewall commands still running.
+async function engageKillSwitch({ mode = MODES.TUNNEL, interfaceName, endpoint, allow = [], signal }) {
+  const backend = await detectBackend();
+  const wanted = mode === MODES.TUNNEL
+    ? [{ ...endpoint, protocol: 'udp' }, ...allow.map(a => ({ ...a, protocol: 'tcp' }))]
+    : [];
+  // iptables only filters IPv4; without ip6tables IPv6 would bypass the switch
+  if (backend === 'iptables' && !await commandExists('ip6tables')) {
+    throw new Error('ip6tables is missing, so IPv6 traffic would bypass the kill switch. Install ip6tables or nftables');
+  }
+  const spec = { mode, interfaceName, destinations: await resolveDestinations(wanted) };
+
+  if (backend === 'nftables') {
+    await execa('nft', ['-f', '-'], { input: buildNftRuleset(spec), signal });
+  } else {
+    await applyIptables(buildIptablesRules(spec, false), false, { signal });
+    await applyIptables(buildIptablesRules(spec, true), true, { signal });
+  }
+
+  const state = { ...spec, backend, engagedAt: new Date().toISOString() };
+  ensureDir(getStateDir());
+  writeFileAtomic(getStatePath(), JSON.stringify(state, null, 2));
+  return state;
+}
+
+// Remove the kill switch rules from whichever backend installed them
+async function disengageKillSwitch() {
+  const state = readKillSwitchState();
+  const backend = state ? state.backend : await detectBackend();
+
+  if (backend === 'nftables') {
+    await execa('nft', ['delete', 'table', 'inet', NFT_TABLE]).catch(() => {});
+  } else {
+    await removeIptables(false);
+    await removeIptables(true);
+  }
+
+  fs.rmSync(getStatePath(), { force: true });
+  return state;
+}
+
+// What we last installed, or null
+function readKillSwitchState() {
+  try {
+    return JSON.parse(fs.readFileSync(getStatePath(), 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+// Whether the rules are actually present in the firewall right now
+async function isKillSwitchActive() {
+  const state = readKillSwitchState();
+  const backend = state ? state.backend : await detectBackend().catch(() => null);
+
+  try {
+    if (backend === 'nftables') {
+      await execa('nft', ['list', 'table', 'inet', NFT_TABLE]);
+    } else if (backend === 'iptables') {
+      await execa('iptables', ['-C', 'OUTPUT', '-j', IPTABLES_CHAIN]);
+    } else {
+      return false;
+    }
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = {
+  MODES,
+  detectBackend,
+  buildNftRuleset,
+  buildIptablesRules,
+  engageKillSwitch,
+  disengageKillSwitch,
+  readKillSwitchState,
+  isKillSwitchActive
+};
@@ -0,0 +1,31 @@
+// Seconds before the lease ends at which auto-renew asks for a new config
+const RENEW_BEFORE_SECONDS = 60;
+
+// Minutes the session may still run under its configured cap (Infinity if uncapped)
+function sessionMinutesLeft(session, now = Date.now()) {
+  if (!session.maxSessionMinutes) {
+    return Infinity;
+  }
+  const elapsedMinutes = (now - new Date(session.startedAt).getTime()) / 60000;
+  return Math.max(0, session.maxSessionMinutes - elapsedMinutes);
+}
+
+// Length of the next lease: the requested minutes clipped to the session cap.
+// Returns 0 when the cap leaves no room for another (whole-minute) lease.
+function renewalMinutes(session, requested, now = Date.now()) {
+  return Math.min(requested, Math.floor(sessionMinutesLeft(session, now)));
+}
+
+// Whether an auto-renewing session is due for a new lease
+function shouldRenew(session, remainingSeconds, now = Date.now()) {
+  return Boolean(session.autoRenew)
+    && remainingSeconds <= RENEW_BEFORE_SECONDS
+    && renewalMinutes(session, session.leaseMinutes, now) > 0;
+}
+
+module.exports = {
+  RENEW_BEFORE_SECONDS,
+  sessionMinutesLeft,
+  renewalMinutes,
+  shouldRenew
+};
@@ -0,0 +1,122 @@
+const http = require('http');
+const net = require('net');
+const { RISK_LEVELS } = require('./risk.cjs');
+
+// Host used when --metrics-listen gives only a port
+const DEFAULT_METRICS_HOST = '127.0.0.1';
+
+// "9100", "127.0.0.1:9100" or "[::1]:9100" -> { host, port }
+function parseListenAddress(value) {
+  const match = String(value).trim().match(/^(?:(?:\[([^\]]+)\]|([^:[\]]+)):)?(\d+)$/);
+  const port = match && Number(match[3]);
+  if (!match || port < 1 || port > 65535) {
+    throw new Error(`Invalid listen address: ${value} (expected host:port, e.g. 127.0.0.1:9617)`);
+  }
+
+  const host = match[1] || match[2] || DEFAULT_METRICS_HOST;
+  if (match[1] && !net.isIPv6(match[1])) {
+    throw new Error(`Invalid IPv6 address in ${value}`);
+  }
+  return { host, port };
+}
+
+// Escape a label value for the Prometheus text format
+function labelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels || {}).map(([name, value]) => `${name}="${labelValue(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+// Render a status snapshot (see the daemon and connect callers) as
+// Prometheus text. Metrics without a value right now are left out.
+function renderMetrics(status) {
+  const lines = [];
+  const metric = (name, type, help, samples) => {
+    const present = samples.filter(sample => sample.value !== null && sample.value !== undefined);
+    if (present.length === 0) {
+      return;
+    }
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    present.forEach(sample => lines.push(`${name}${formatLabels(sample.labels)} ${Number(sample.value)}`));
+  };
+  const session = status.session;
+
+  metric('tpn_tunnel_up', 'gauge', 'Whether the WireGuard interface is up (1) or down (0).',
+    [{ value: status.up ? 1 : 0, labels: { interface: status.interface } }]);
+
+  if (session) {
+    metric('tpn_session_info', 'gauge', 'The validator and exit country of the current session.',
+      [{ value: 1, labels: { validator: session.validator, axon: session.axon, country: session.country } }]);
+    metric('tpn_session_start_timestamp_seconds', 'gauge', 'When the session started (Unix time).',
+      [{ value: Date.parse(session.startedAt) / 1000 }]);
+    metric('tpn_lease_remaining_seconds', 'gauge', 'Seconds left on the current lease.',
+      [{ value: session.leaseRemaining }]);
+    metric('tpn_renewals_total', 'counter', 'Lease renewals in this session.',
+      [{ value: session.renewals }]);
+    metric('tpn_failovers_total', 'counter', 'Reconnects to another validator in this session.',
+      [{ value: session.failovers }]);
+  }
+
+  if (status.tunnel) {
+    metric('tpn_handshake_age_seconds', 'gauge', 'Seconds since the latest WireGuard handshake.',
+      [{ value: status.tunnel.handshakeAge }]);
+    metric('tpn_last_handshake_timestamp_seconds', 'gauge', 'Time of the latest WireGuard handshake (Unix time).',
+      [{ value: status.tunnel.latestHandshake || null }]);
+    metric('tpn_receive_bytes_total', 'counter', 'Bytes received through the tunnel this session.',
+      [{ value: status.tunnel.rxBytes }]);
+    metric('tpn_transmit_bytes_total', 'counter', 'Bytes sent through the tunnel this session.',
+      [{ value: status.tunnel.txBytes }]);
+  }
+
+  if (status.risk) {
+    metric('tpn_risk_level', 'gauge', 'Current risk level (1 for the active level).',
+      Object.values(RISK_LEVELS).map(level => ({ value: status.risk.level === level ? 1 : 0, labels: { level } })));
+    metric('tpn_risk_score', 'gauge', 'Current risk score.',
+      [{ value: status.risk.score }]);
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+// Serve GET /status (JSON) and GET /metrics (Prometheus text).
+// `getStatus` is an async function returning the current snapshot.
+function startMetricsServer({ host = DEFAULT_METRICS_HOST, port, getStatus }) {
+  const server = http.createServer(async (request, response) => {
+    const { pathname } = new URL(request.url, 'http://localhost');
+
+    if (request.method !== 'GET' && request.method !== 'HEAD') {
+      response.writeHead(405, { Allow: 'GET, HEAD' }).end();
+      return;
+    }
+    if (pathname !== '/status' && pathname !== '/metrics') {
+      response.writeHead(404, { 'Content-Type': 'text/plain' }).end('Not found: try /status or /metrics\n');
+      return;
+    }
+
+    try {
+      const status = await getStatus();
+      if (pathname === '/status') {
+        response.writeHead(200, { 'Content-Type': 'application/json' }).end(`${JSON.stringify(status, null, 2)}\n`);
+      } else {
+        response.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4' }).end(renderMetrics(status));
+      }
+    } catch (error) {
+      response.writeHead(500, { 'Content-Type': 'text/plain' }).end(`${error.message}\n`);
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => resolve(server));
+  });
+}
+
+module.exports = {
+  DEFAULT_METRICS_HOST,
+  parseListenAddress,
+  renderMetrics,
+  startMetricsServer
+};
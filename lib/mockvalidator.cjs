@@ -0,0 +1,146 @@
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { getStateDir, ensureDir, writeFileAtomic } = require('./paths.cjs');
+const { isAlive } = require('./session.cjs');
+
+const DEFAULT_MOCK_PORT = 3999;
+const DEFAULT_MOCK_UID = '900';
+const DEFAULT_MOCK_COUNTRIES = ['NL', 'DE', 'US'];
+
+// Running mock validators, so --dry-run can find them
+function getMockRegistryPath() {
+  return path.join(getStateDir(), 'mock-validators.json');
+}
+
+function readRegistry() {
+  try {
+    return JSON.parse(fs.readFileSync(getMockRegistryPath(), 'utf8'));
+  } catch (error) {
+    return [];
+  }
+}
+
+function writeRegistry(entries) {
+  ensureDir(getStateDir());
+  writeFileAtomic(getMockRegistryPath(), JSON.stringify(entries, null, 2));
+}
+
+// Mock validators whose process is still running, in validator list form
+// plus { pid, stallAfter }
+function listMockValidators() {
+  return readRegistry().filter(entry => isAlive(entry.pid));
+}
+
+function registerMockValidator(entry) {
+  writeRegistry([...listMockValidators().filter(other => other.UID !== entry.UID), entry]);
+}
+
+function unregisterMockValidator(uid) {
+  writeRegistry(readRegistry().filter(entry => entry.UID !== uid));
+}
+
+// A fresh Curve25519 key pair in WireGuard's base64 form
+function generateKeyPair() {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('x25519');
+  const raw = (key, type) => key.export({ format: 'der', type }).subarray(-32).toString('base64');
+  return { privateKey: raw(privateKey, 'pkcs8'), publicKey: raw(publicKey, 'spki') };
+}
+
+// A config like a validator hands out, with fresh keys and a random address
+function buildMockConfig({ endpoint, serverPublicKey }) {
+  const client = generateKeyPair();
+  const host = crypto.randomInt(2, 254);
+
+  return [
+    '[Interface]',
+    `PrivateKey = ${client.privateKey}`,
+    `Address = 10.13.13.${host}/32`,
+    'DNS = 10.13.13.1',
+    '',
+    '[Peer]',
+    `PublicKey = ${serverPublicKey}`,
+    'AllowedIPs = 0.0.0.0/0, ::/0',
+    `Endpoint = ${endpoint}`,
+    'PersistentKeepalive = 25',
+    ''
+  ].join('\n');
+}
+
+// Serve the two validator API routes the client uses. `latency` delays every
+// response (ms), `failRate` fails that share of requests with a 503 and
+// `failAfter` fails every config request after that many. `onRequest` gets
+// { method, path, status, ms } for each request. Resolves to the server.
+function startMockValidator({
+  host = '127.0.0.1',
+  port = DEFAULT_MOCK_PORT,
+  countries = DEFAULT_MOCK_COUNTRIES,
+  latency = 0,
+  failRate = 0,
+  failAfter = null,
+  onRequest = () => {}
+}) {
+  const serverKeys = generateKeyPair();
+  let configsIssued = 0;
+
+  const server = http.createServer(async (request, response) => {
+    const started = Date.now();
+    const url = new URL(request.url, 'http://localhost');
+    const reply = (status, body, type = 'text/plain') => {
+      response.writeHead(status, { 'Content-Type': type }).end(body);
+      onRequest({ method: request.method, path: `${url.pathname}${url.search}`, status, ms: Date.now() - started });
+    };
+
+    if (latency > 0) {
+      await new Promise(resolve => setTimeout(resolve, latency));
+    }
+    if (request.method !== 'GET') {
+      reply(405, 'Method not allowed\n');
+      return;
+    }
+    if (url.pathname !== '/api/config/countries' && url.pathname !== '/api/config/new') {
+      reply(404, 'Not found\n');
+      return;
+    }
+    if (Math.random() < failRate) {
+      reply(503, 'Simulated failure\n');
+      return;
+    }
+
+    if (url.pathname === '/api/config/countries') {
+      reply(200, JSON.stringify(countries), 'application/json');
+      return;
+    }
+
+    const geo = url.searchParams.get('geo');
+    const leaseMinutes = Number(url.searchParams.get('lease_minutes'));
+    if (geo && !countries.includes(geo)) {
+      reply(400, `Geo ${geo} is not available\n`);
+    } else if (!(leaseMinutes > 0)) {
+      reply(400, 'lease_minutes must be a positive number\n');
+    } else if (failAfter !== null && configsIssued >= failAfter) {
+      reply(503, `Simulated failure after ${failAfter} configs\n`);
+    } else {
+      configsIssued++;
+      reply(200, buildMockConfig({ endpoint: `${host}:${port}`, serverPublicKey: serverKeys.publicKey }));
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => resolve(server));
+  });
+}
+
+module.exports = {
+  DEFAULT_MOCK_PORT,
+  DEFAULT_MOCK_UID,
+  DEFAULT_MOCK_COUNTRIES,
+  getMockRegistryPath,
+  listMockValidators,
+  registerMockValidator,
+  unregisterMockValidator,
+  buildMockConfig,
+  startMockValidator
+};
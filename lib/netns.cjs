@@ -0,0 +1,96 @@
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const { execa } = require('execa');
+const { parseConfig, serializeConfig } = require('./wgconfig.cjs');
+const { readConfigValues, readAddresses } = require('./wireguard.cjs');
+
+// `ip netns exec` bind-mounts files from here over /etc
+const NETNS_ETC = '/etc/netns';
+
+// Settings `wg setconf` understands; the rest are wg-quick's
+const WG_KEYS = {
+  Interface: ['PrivateKey', 'ListenPort', 'FwMark'],
+  Peer: ['PublicKey', 'PresharedKey', 'AllowedIPs', 'Endpoint', 'PersistentKeepalive']
+};
+
+// Reduce a wg-quick config to what `wg setconf` accepts
+function wgOnlyConfig(configText) {
+  const sections = parseConfig(configText).map(section => ({
+    name: section.name,
+    entries: section.entries.filter(entry => (WG_KEYS[section.name] || []).includes(entry.key))
+  }));
+  return serializeConfig(sections);
+}
+
+// resolv.conf for the namespace: IP DNS values are servers, the rest search domains
+function buildResolvConf(configText) {
+  const values = readConfigValues(configText, 'DNS');
+  const servers = values.filter(v => net.isIP(v));
+  const domains = values.filter(v => !net.isIP(v));
+
+  return [
+    ...servers.map(server => `nameserver ${server}`),
+    ...(domains.length > 0 ? [`search ${domains.join(' ')}`] : []),
+    ''
+  ].join('\n');
+}
+
+// Create namespace `name` whose only way out is WireGuard interface
+// `interfaceName`. The interface is created in the host namespace first so
+// its encrypted UDP traffic uses the host's network, then moved inside.
+async function createNamespace({ name, interfaceName, configText }) {
+  const ipIn = args => execa('ip', ['-n', name, ...args]);
+
+  await execa('ip', ['netns', 'add', name]);
+  await execa('ip', ['link', 'add', interfaceName, 'type', 'wireguard']);
+  // Keys go over stdin so they never touch the disk
+  await execa('wg', ['setconf', interfaceName, '/dev/stdin'], { input: wgOnlyConfig(configText) });
+  await execa('ip', ['link', 'set', interfaceName, 'netns', name]);
+
+  const addresses = readAddresses(configText);
+  for (const address of addresses) {
+    await ipIn(['address', 'add', address, 'dev', interfaceName]);
+  }
+
+  const [mtu] = readConfigValues(configText, 'MTU');
+  if (mtu) {
+    await ipIn(['link', 'set', interfaceName, 'mtu', mtu]);
+  }
+
+  await ipIn(['link', 'set', 'lo', 'up']);
+  await ipIn(['link', 'set', interfaceName, 'up']);
+  await ipIn(['route', 'add', 'default', 'dev', interfaceName]);
+  if (addresses.some(address => net.isIPv6(address.split('/')[0]))) {
+    await ipIn(['-6', 'route', 'add', 'default', 'dev', interfaceName]);
+  }
+
+  const etcDir = path.join(NETNS_ETC, name);
+  fs.mkdirSync(etcDir, { recursive: true, mode: 0o755 });
+  fs.writeFileSync(path.join(etcDir, 'resolv.conf'), buildResolvConf(configText), { mode: 0o644 });
+}
+
+// Remove everything createNamespace made; safe to call on a half-built namespace
+async function destroyNamespace({ name, interfaceName }) {
+  await execa('ip', ['netns', 'del', name]).catch(() => {});
+  // Only left in the host namespace if setup failed before the move
+  await execa('ip', ['link', 'del', interfaceName]).catch(() => {});
+  fs.rmSync(path.join(NETNS_ETC, name), { recursive: true, force: true });
+}
+
+// Run a command inside the namespace with our terminal. Resolves to
+// { exitCode, signal }. `onStart(child)` gets the running process.
+async function runInNamespace(name, command, args, { onStart = () => {} } = {}) {
+  const child = execa('ip', ['netns', 'exec', name, command, ...args], { stdio: 'inherit', reject: false });
+  onStart(child);
+  const result = await child;
+  return { exitCode: result.exitCode, signal: result.signal || null };
+}
+
+module.exports = {
+  wgOnlyConfig,
+  buildResolvConf,
+  createNamespace,
+  destroyNamespace,
+  runInNamespace
+};
@@ -0,0 +1,148 @@
+const os = require('os');
+const wifi = require('node-wifi');
+const { execaCommand } = require('execa');
+const { atLeast } = require('./risk.cjs');
+
+// How often the watcher samples the network
+const DEFAULT_WATCH_INTERVAL = 10000;
+
+// Actions the auto-connect policy can ask for
+const POLICY = {
+  CONNECT: 'connect',
+  DISCONNECT: 'disconnect',
+  NONE: 'none'
+};
+
+// Default route as { gateway, device }, or null when there is none
+async function getDefaultRoute() {
+  try {
+    if (os.platform() === 'darwin') {
+      const { stdout } = await execaCommand('route -n get default');
+      const gateway = (stdout.match(/gateway:\s*(\S+)/) || [])[1];
+      const device = (stdout.match(/interface:\s*(\S+)/) || [])[1];
+      return device ? { gateway: gateway || null, device } : null;
+    }
+
+    const { stdout } = await execaCommand('ip route show default');
+    const line = stdout.split('\n')[0] || '';
+    const gateway = (line.match(/\bvia\s+(\S+)/) || [])[1];
+    const device = (line.match(/\bdev\s+(\S+)/) || [])[1];
+    return device ? { gateway: gateway || null, device } : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Describe the network we are on right now
+async function getNetworkSnapshot() {
+  const route = await getDefaultRoute();
+  let current;
+  try {
+    current = (await wifi.getCurrentConnections())[0];
+  } catch (error) {
+    // No WiFi tooling or adapter; fall back to the route alone
+    current = null;
+  }
+
+  if (current) {
+    return {
+      type: 'wifi',
+      ssid: current.ssid,
+      bssid: current.bssid || null,
+      security: current.security || null,
+      gateway: route ? route.gateway : null,
+      device: route ? route.device : null
+    };
+  }
+
+  if (route) {
+    return { type: 'wired', ssid: null, bssid: null, security: null, gateway: route.gateway, device: route.device };
+  }
+
+  return { type: 'none', ssid: null, bssid: null, security: null, gateway: null, device: null };
+}
+
+// Two snapshots with the same key are the same network. The BSSID is left
+// out so that roaming between access points of one network is not a change;
+// the risk engine compares BSSIDs itself.
+function networkKey(snapshot) {
+  return [snapshot.type, snapshot.ssid, snapshot.gateway, snapshot.device].join('|');
+}
+
+function describeNetwork(snapshot) {
+  if (snapshot.type === 'wifi') {
+    return `WiFi "${snapshot.ssid}"`;
+  }
+  if (snapshot.type === 'wired') {
+    return `wired via ${snapshot.device}${snapshot.gateway ? ` (gateway ${snapshot.gateway})` : ''}`;
+  }
+  return 'no network';
+}
+
+// Decide what to do on a network: disconnect (when asked to) on trusted
+// SSIDs, connect once the risk reaches `autoConnectRisk`, otherwise leave things alone
+function decidePolicy(snapshot, risk, { trustedNetworks, autoConnectRisk, disconnectOnTrusted = false }) {
+  const summary = `${describeNetwork(snapshot)}, risk ${risk.level}`;
+
+  if (snapshot.type === 'wifi' && trustedNetworks.includes(snapshot.ssid)) {
+    return disconnectOnTrusted
+      ? { action: POLICY.DISCONNECT, reason: `Trusted ${summary}` }
+      : { action: POLICY.NONE, reason: `Trusted ${summary}` };
+  }
+
+  if (atLeast(risk.level, autoConnectRisk)) {
+    return { action: POLICY.CONNECT, reason: summary };
+  }
+
+  return { action: POLICY.NONE, reason: summary };
+}
+
+// Poll the network and emit on `emitter`:
+//   'network-changed' { previous, current, risk }
+//   'risk-changed'    { previous, current, network }
+// `assessRisk(snapshot)` returns a risk engine result ({ level, score, matches }).
+// Returns a function that stops the watcher.
+function startNetworkWatcher({ emitter, assessRisk, interval = DEFAULT_WATCH_INTERVAL }) {
+  let previous = null;
+  let previousRisk = null;
+  let busy = false;
+
+  const sample = async () => {
+    if (busy) {
+      return;
+    }
+    busy = true;
+
+    try {
+      const current = await getNetworkSnapshot();
+
+      if (!previous || networkKey(previous) !== networkKey(current)) {
+        const risk = await assessRisk(current);
+        emitter.emit('network-changed', { previous, current, risk });
+
+        if (!previousRisk || previousRisk.level !== risk.level) {
+          emitter.emit('risk-changed', { previous: previousRisk, current: risk, network: current });
+        }
+        previousRisk = risk;
+      }
+      previous = current;
+    } finally {
+      busy = false;
+    }
+  };
+
+  sample();
+  const timer = setInterval(sample, interval);
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  DEFAULT_WATCH_INTERVAL,
+  POLICY,
+  getDefaultRoute,
+  getNetworkSnapshot,
+  networkKey,
+  describeNetwork,
+  decidePolicy,
+  startNetworkWatcher
+};
@@ -0,0 +1,77 @@
+// Formats accepted by --output and --events
+const OUTPUT_FORMATS = ['text', 'json'];
+const EVENT_FORMATS = ['ndjson'];
+
+// Event stream types and their codes. Scripts match on these, so a code
+// is never reused or renumbered; new events get new codes.
+const EVENT_CODES = {
+  'validator-selected': 100,
+  'config-received': 110,
+  'tunnel-up': 200,
+  'ip-verified': 210,
+  'risk-changed': 300,
+  'lease-expiring': 400,
+  'disconnected': 500,
+  'error': 900
+};
+
+// The real stdout; once machine output is on, everything else goes to stderr
+const writeStdout = process.stdout.write.bind(process.stdout);
+
+const state = {
+  output: 'text',
+  events: null
+};
+
+// Send everything written through process.stdout (console output,
+// spinners, prompts, the dashboard) to stderr instead
+function moveDecorationToStderr() {
+  process.stdout.write = process.stderr.write.bind(process.stderr);
+}
+
+// Switch to machine-readable output, leaving stdout for JSON alone
+function useMachineOutput({ output = 'text', events = null } = {}) {
+  state.output = output;
+  state.events = events;
+
+  if (output !== 'text' || events) {
+    moveDecorationToStderr();
+  }
+}
+
+// Whether a human is reading stdout (no --output json or --events)
+function isTextOutput() {
+  return state.output === 'text' && !state.events;
+}
+
+function isJsonOutput() {
+  return state.output === 'json';
+}
+
+// Print a command's result as JSON on stdout
+function printJson(value) {
+  writeStdout(`${JSON.stringify(value, null, 2)}\n`);
+}
+
+// Append one event to the stream: { event, code, time, ...data }
+function emitEvent(event, data = {}) {
+  if (state.events !== 'ndjson') {
+    return;
+  }
+  if (EVENT_CODES[event] === undefined) {
+    throw new Error(`Unknown event: ${event}`);
+  }
+  writeStdout(`${JSON.stringify({ event, code: EVENT_CODES[event], time: new Date().toISOString(), ...data })}\n`);
+}
+
+module.exports = {
+  OUTPUT_FORMATS,
+  EVENT_FORMATS,
+  EVENT_CODES,
+  moveDecorationToStderr,
+  useMachineOutput,
+  isTextOutput,
+  isJsonOutput,
+  printJson,
+  emitEvent
+};
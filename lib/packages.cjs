@@ -0,0 +1,104 @@
+const { execa, execaCommand } = require('execa');
+
+// Package managers we know how to install with, in the order they are looked for
+const PACKAGE_MANAGERS = [
+  { name: 'apt', command: 'apt-get', refresh: ['update'], install: ['install', '-y'], root: true },
+  { name: 'dnf', command: 'dnf', install: ['install', '-y'], root: true },
+  { name: 'yum', command: 'yum', install: ['install', '-y'], root: true },
+  { name: 'pacman', command: 'pacman', install: ['-S', '--noconfirm', '--needed'], root: true },
+  { name: 'zypper', command: 'zypper', install: ['--non-interactive', 'install'], root: true },
+  { name: 'apk', command: 'apk', install: ['add'], root: true },
+  { name: 'brew', command: 'brew', install: ['install'], root: false }
+];
+
+// What each tool is called by each package manager; a missing entry means
+// the manager does not carry it
+const PACKAGE_NAMES = {
+  'wireguard-tools': {
+    apt: 'wireguard-tools',
+    dnf: 'wireguard-tools',
+    yum: 'wireguard-tools',
+    pacman: 'wireguard-tools',
+    zypper: 'wireguard-tools',
+    apk: 'wireguard-tools',
+    brew: 'wireguard-tools'
+  },
+  'wireguard-go': {
+    apk: 'wireguard-go',
+    brew: 'wireguard-go'
+  },
+  nftables: {
+    apt: 'nftables',
+    dnf: 'nftables',
+    yum: 'nftables',
+    pacman: 'nftables',
+    zypper: 'nftables',
+    apk: 'nftables'
+  },
+  openresolv: {
+    apt: 'openresolv',
+    pacman: 'openresolv',
+    apk: 'openresolv'
+  }
+};
+
+async function commandExists(command) {
+  try {
+    await execaCommand(`which ${command}`);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// The first package manager found on this machine, or null
+async function detectPackageManager() {
+  for (const manager of PACKAGE_MANAGERS) {
+    if (await commandExists(manager.command)) {
+      return manager;
+    }
+  }
+  return null;
+}
+
+// The manager's name for a tool, or null when it has none
+function packageName(manager, tool) {
+  return (PACKAGE_NAMES[tool] && PACKAGE_NAMES[tool][manager.name]) || null;
+}
+
+// Run a package manager command, through sudo unless we are root already
+function runAsRoot(command, args) {
+  const isRoot = process.getuid && process.getuid() === 0;
+  return isRoot ? execa(command, args) : execa('sudo', [command, ...args]);
+}
+
+// Install tools (keys of PACKAGE_NAMES) with whichever package manager is
+// present. Returns { manager, packages }; throws when nothing can install them.
+async function installPackages(tools) {
+  const manager = await detectPackageManager();
+  if (!manager) {
+    throw new Error(`No supported package manager found (${PACKAGE_MANAGERS.map(m => m.name).join(', ')})`);
+  }
+
+  const missing = tools.filter(tool => !packageName(manager, tool));
+  if (missing.length > 0) {
+    throw new Error(`${manager.name} has no package for ${missing.join(', ')}`);
+  }
+
+  const packages = tools.map(tool => packageName(manager, tool));
+  const run = (args) => (manager.root ? runAsRoot(manager.command, args) : execa(manager.command, args));
+  if (manager.refresh) {
+    await run(manager.refresh);
+  }
+  await run([...manager.install, ...packages]);
+  return { manager: manager.name, packages };
+}
+
+module.exports = {
+  PACKAGE_MANAGERS,
+  PACKAGE_NAMES,
+  commandExists,
+  detectPackageManager,
+  packageName,
+  installPackages
+};
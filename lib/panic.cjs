@@ -0,0 +1,352 @@
+const os = require('os');
+const path = require('path');
+const { execa } = require('execa');
+const { getStateDir, ensureDir, writeFileAtomic, shredFile } = require('./paths.cjs');
+const { MODES, engageKillSwitch } = require('./killswitch.cjs');
+const { INTERFACE_NAME } = require('./wireguard.cjs');
+const { getLegacyConfigPaths, listConfigFiles, removeConfigFile } = require('./keyfiles.cjs');
+const { getHistoryPath } = require('./history.cjs');
+const { getKnownNetworksPath } = require('./risk.cjs');
+const { getLogPath } = require('./daemon.cjs');
+const { commandExists } = require('./packages.cjs');
+
+// Seconds a step may take unless it sets its own timeout
+const DEFAULT_STEP_TIMEOUT = 10;
+
+// Seconds a timed-out step gets to stop before the playbook moves on
+const ABORT_GRACE_SECONDS = 2;
+
+// Used when panicPlaybook is not set
+const DEFAULT_PLAYBOOK = [
+  { step: 'disconnect' },
+  { step: 'flush-dns' },
+  { step: 'delete-keys' }
+];
+
+const STEP_STATUS = {
+  OK: 'ok',
+  FAILED: 'failed',
+  TIMED_OUT: 'timed-out',
+  SKIPPED: 'skipped',
+  PLANNED: 'planned',
+  NOT_RUN: 'not-run'
+};
+
+async function isRunning(name) {
+  const { exitCode } = await execa('pgrep', ['-x', name], { reject: false });
+  return exitCode === 0;
+}
+
+// Resolver caches we know how to flush, in the order they are tried
+const DNS_CACHES = [
+  {
+    name: 'mDNSResponder',
+    detect: async () => os.platform() === 'darwin',
+    flush: async signal => {
+      await execa('dscacheutil', ['-flushcache'], { signal });
+      await execa('killall', ['-HUP', 'mDNSResponder'], { signal });
+    }
+  },
+  {
+    name: 'systemd-resolved',
+    detect: () => commandExists('resolvectl'),
+    flush: signal => execa('resolvectl', ['flush-caches'], { signal })
+  },
+  {
+    name: 'nscd',
+    detect: () => isRunning('nscd'),
+    flush: signal => execa('nscd', ['--invalidate=hosts'], { signal })
+  },
+  {
+    name: 'dnsmasq',
+    // dnsmasq empties its cache on SIGHUP
+    detect: () => isRunning('dnsmasq'),
+    flush: signal => execa('pkill', ['-HUP', '-x', 'dnsmasq'], { signal })
+  }
+];
+
+async function detectDnsCaches() {
+  const found = [];
+  for (const cache of DNS_CACHES) {
+    if (await cache.detect()) {
+      found.push(cache);
+    }
+  }
+  return found;
+}
+
+// The tool's own records of where you have been
+function historyFiles() {
+  return [getHistoryPath(), getKnownNetworksPath(), getLogPath()];
+}
+
+function keyFiles(step) {
+  const legacy = getLegacyConfigPaths();
+  return listConfigFiles().filter(file => step.includeLegacy || !legacy.includes(file.path));
+}
+
+// Built-in steps except `disconnect`, which needs the caller's session.
+// Each has describe(step) and run(step, { signal }), both returning a short
+// detail; subprocesses get `signal` so a step that times out kills them.
+// `system` marks steps that act on the machine rather than our own files.
+const PANIC_STEPS = {
+  'block-traffic': {
+    system: true,
+    describe: () => 'Block all traffic except loopback until "tpn-connect kill-switch off"',
+    run: async (step, { signal }) => {
+      await engageKillSwitch({ mode: MODES.BLOCK_ALL, interfaceName: INTERFACE_NAME, signal });
+      return 'All traffic blocked; run "tpn-connect kill-switch off" to restore';
+    }
+  },
+
+  'kill-processes': {
+    system: true,
+    describe: step => `Send SIG${step.signal || 'TERM'} to ${step.processes.join(', ')}`,
+    run: async (step, { signal }) => {
+      const stopped = [];
+      const absent = [];
+      for (const name of step.processes) {
+        const { exitCode, stderr } = await execa('pkill', [`-${step.signal || 'TERM'}`, '-x', name], { reject: false, signal });
+        if (exitCode === 0) {
+          stopped.push(name);
+        } else if (exitCode === 1) {
+          absent.push(name);
+        } else {
+          throw new Error(`pkill ${name}: ${stderr || `exit code ${exitCode}`}`);
+        }
+      }
+      return [
+        stopped.length > 0 ? `Stopped ${stopped.join(', ')}` : null,
+        absent.length > 0 ? `not running: ${absent.join(', ')}` : null
+      ].filter(Boolean).join('; ');
+    }
+  },
+
+  'flush-dns': {
+    system: true,
+    describe: async () => {
+      const caches = await detectDnsCaches();
+      return caches.length > 0
+        ? `Flush the ${caches.map(cache => cache.name).join(', ')} cache`
+        : 'Flush DNS caches (none found on this machine)';
+    },
+    run: async (step, { signal }) => {
+      const caches = await detectDnsCaches();
+      if (caches.length === 0) {
+        return 'No resolver cache found';
+      }
+
+      const flushed = [];
+      const failures = [];
+      for (const cache of caches) {
+        try {
+          await cache.flush(signal);
+          flushed.push(cache.name);
+        } catch (error) {
+          failures.push(`${cache.name}: ${error.shortMessage || error.message}`);
+        }
+      }
+      if (flushed.length === 0) {
+        throw new Error(failures.join('; '));
+      }
+      return [`Flushed ${flushed.join(', ')}`, ...failures.map(failure => `failed ${failure}`)].join('; ');
+    }
+  },
+
+  'delete-keys': {
+    system: false,
+    describe: step => `Shred ${keyFiles(step).length} WireGuard config file(s) holding private keys`,
+    run: async step => {
+      const files = keyFiles(step);
+      files.forEach(file => removeConfigFile(file.path));
+      return `Shredded ${files.length} config file(s)`;
+    }
+  },
+
+  'clear-history': {
+    system: false,
+    describe: () => `Shred ${historyFiles().join(', ')}`,
+    run: async () => {
+      const removed = historyFiles().filter(filePath => shredFile(filePath));
+      return removed.length > 0 ? `Shredded ${removed.map(filePath => path.basename(filePath)).join(', ')}` : 'No history to clear';
+    }
+  },
+
+  'wifi-off': {
+    system: true,
+    describe: () => 'Switch Wi-Fi off',
+    run: async (step, { signal }) => {
+      if (os.platform() === 'darwin') {
+        const { stdout } = await execa('networksetup', ['-listallhardwareports'], { signal });
+        const match = stdout.match(/Hardware Port: (?:Wi-Fi|AirPort)\nDevice: (\S+)/);
+        if (!match) {
+          throw new Error('No Wi-Fi device found');
+        }
+        await execa('networksetup', ['-setairportpower', match[1], 'off'], { signal });
+        return `Wi-Fi (${match[1]}) off`;
+      }
+      if (await commandExists('nmcli')) {
+        await execa('nmcli', ['radio', 'wifi', 'off'], { signal });
+        return 'Wi-Fi off (nmcli)';
+      }
+      if (await commandExists('rfkill')) {
+        await execa('rfkill', ['block', 'wifi'], { signal });
+        return 'Wi-Fi off (rfkill)';
+      }
+      throw new Error('Neither nmcli nor rfkill is available');
+    }
+  }
+};
+
+// Every step name a playbook may use
+const STEP_TYPES = ['disconnect', ...Object.keys(PANIC_STEPS)];
+
+// Check a playbook from the config; returns an error message or null
+function checkPlaybook(playbook) {
+  if (!Array.isArray(playbook)) {
+    return 'panicPlaybook must be a list of steps';
+  }
+
+  for (const [index, entry] of playbook.entries()) {
+    const label = `panicPlaybook step ${index + 1}`;
+    if (!entry || !STEP_TYPES.includes(entry.step)) {
+      return `${label}: step must be one of ${STEP_TYPES.join(', ')}`;
+    }
+    if (entry.timeout !== undefined && !(typeof entry.timeout === 'number' && entry.timeout > 0)) {
+      return `${label}: timeout must be a positive number of seconds`;
+    }
+    if (entry.continueOnError !== undefined && typeof entry.continueOnError !== 'boolean') {
+      return `${label}: continueOnError must be true or false`;
+    }
+    if (entry.step === 'kill-processes') {
+      if (!Array.isArray(entry.processes) || entry.processes.length === 0 || !entry.processes.every(name => typeof name === 'string')) {
+        return `${label}: kill-processes needs a list of process names`;
+      }
+      if (entry.signal !== undefined && !/^[A-Z0-9]+$/.test(entry.signal)) {
+        return `${label}: signal must be a name like TERM or KILL`;
+      }
+    }
+  }
+  return null;
+}
+
+// The playbook to run; --block-all (or a session with the kill switch on)
+// puts block-traffic first so nothing leaks while the rest runs
+function buildPlaybook(playbook = DEFAULT_PLAYBOOK, { blockAll = false } = {}) {
+  const steps = playbook.map(entry => ({ timeout: DEFAULT_STEP_TIMEOUT, continueOnError: true, ...entry }));
+  if (blockAll && !steps.some(entry => entry.step === 'block-traffic')) {
+    steps.unshift({ step: 'block-traffic', timeout: DEFAULT_STEP_TIMEOUT, continueOnError: true });
+  }
+  return steps;
+}
+
+// Seconds a playbook (see buildPlaybook) can take at most, counting the
+// grace each step gets if it times out
+function playbookTimeout(playbook) {
+  return playbook.reduce((total, entry) => total + entry.timeout + ABORT_GRACE_SECONDS, 0);
+}
+
+// Whether `promise` (which must not reject) settles within `seconds`
+function settlesWithin(promise, seconds) {
+  let timer;
+  const timeout = new Promise(resolve => {
+    timer = setTimeout(() => resolve(false), seconds * 1000);
+  });
+  return Promise.race([promise.then(() => true), timeout]).finally(() => clearTimeout(timer));
+}
+
+// Run a step, giving up after `seconds`. Giving up aborts the signal the
+// step got, which kills its subprocesses, and then waits a little for the
+// step to wind down so it does not run alongside the next one. A step that
+// ignores the signal is reported as still running.
+async function runWithTimeout(handler, entry, seconds) {
+  const controller = new AbortController();
+  const run = Promise.resolve().then(() => handler.run(entry, { signal: controller.signal }));
+  const settled = run.catch(() => {});
+
+  if (await settlesWithin(settled, seconds)) {
+    return run;
+  }
+
+  controller.abort();
+  const stopped = await settlesWithin(settled, ABORT_GRACE_SECONDS);
+  throw Object.assign(new Error(`Timed out after ${seconds}s${stopped ? '' : ', still running'}`), { timedOut: true });
+}
+
+// A step's description for previews; a step that cannot say what it would
+// do must not spoil the rest of the preview
+async function describeStep(handler, entry) {
+  try {
+    return await handler.describe(entry);
+  } catch (error) {
+    return `Run ${entry.step} (could not describe it: ${error.message})`;
+  }
+}
+
+// Run a playbook (see buildPlaybook) step by step. `steps` maps names to
+// handlers like PANIC_STEPS. With `preview`, nothing runs and each step
+// says what it would do; with `skipSystem` (dry runs), steps that act on
+// the machine are skipped. A failed step without continueOnError stops
+// the rest. `onStep` sees each result as it comes in.
+async function runPlaybook(playbook, steps, { preview = false, skipSystem = false, onStep = () => {} } = {}) {
+  const report = { startedAt: new Date().toISOString(), preview, completed: true, steps: [] };
+  let stopped = false;
+
+  for (const entry of playbook) {
+    const handler = steps[entry.step];
+    const started = Date.now();
+    const result = { step: entry.step, status: STEP_STATUS.OK, detail: '' };
+
+    if (stopped) {
+      result.status = STEP_STATUS.NOT_RUN;
+      result.detail = 'An earlier step failed';
+    } else if (preview) {
+      result.status = STEP_STATUS.PLANNED;
+      result.detail = await describeStep(handler, entry);
+    } else if (skipSystem && handler.system) {
+      result.status = STEP_STATUS.SKIPPED;
+      result.detail = `Dry run: would ${(await describeStep(handler, entry)).replace(/^\w/, first => first.toLowerCase())}`;
+    } else {
+      try {
+        result.detail = await runWithTimeout(handler, entry, entry.timeout);
+      } catch (error) {
+        result.status = error.timedOut ? STEP_STATUS.TIMED_OUT : STEP_STATUS.FAILED;
+        result.detail = error.shortMessage || error.message;
+        report.completed = false;
+        stopped = !entry.continueOnError;
+      }
+    }
+
+    result.seconds = Math.round((Date.now() - started) / 100) / 10;
+    report.steps.push(result);
+    onStep(result);
+  }
+
+  report.finishedAt = new Date().toISOString();
+  return report;
+}
+
+function getPanicReportPath() {
+  return path.join(getStateDir(), 'panic-report.json');
+}
+
+// Write the report next to the session state; returns its path
+function savePanicReport(report) {
+  ensureDir(getStateDir());
+  writeFileAtomic(getPanicReportPath(), JSON.stringify(report, null, 2));
+  return getPanicReportPath();
+}
+
+module.exports = {
+  DEFAULT_STEP_TIMEOUT,
+  DEFAULT_PLAYBOOK,
+  STEP_STATUS,
+  STEP_TYPES,
+  PANIC_STEPS,
+  checkPlaybook,
+  buildPlaybook,
+  playbookTimeout,
+  runPlaybook,
+  getPanicReportPath,
+  savePanicReport
+};
@@ -0,0 +1,114 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+
+// Set by --dry-run so rehearsals never touch real sessions, history or keys
+let subdirectory = null;
+
+// Keep state, data and runtime files in a subdirectory of their usual place
+// (settings in the config dir are shared)
+function useSubdirectory(name) {
+  subdirectory = name;
+}
+
+function scoped(dir) {
+  return subdirectory ? path.join(dir, subdirectory) : dir;
+}
+
+// Directory for per-user settings and caches (XDG layout, also used on macOS)
+function getConfigDir() {
+  const base = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+  return path.join(base, 'tpn-connect');
+}
+
+// Directory for runtime state such as the active session (XDG state dir)
+function getStateDir() {
+  const base = process.env.XDG_STATE_HOME || path.join(os.homedir(), '.local', 'state');
+  return scoped(path.join(base, 'tpn-connect'));
+}
+
+// Directory for long-lived user data such as connection history (XDG data dir)
+function getDataDir() {
+  const base = process.env.XDG_DATA_HOME || path.join(os.homedir(), '.local', 'share');
+  return scoped(path.join(base, 'tpn-connect'));
+}
+
+// Directory for short-lived secrets such as WireGuard configs: the
+// XDG runtime dir (tmpfs, cleared at logout), /run for root, else /tmp
+function getRuntimeDir() {
+  if (process.env.XDG_RUNTIME_DIR) {
+    return scoped(path.join(process.env.XDG_RUNTIME_DIR, 'tpn-connect'));
+  }
+  if (process.getuid && process.getuid() === 0) {
+    return scoped('/run/tpn-connect');
+  }
+  return scoped(path.join(os.tmpdir(), `tpn-connect-${process.getuid ? process.getuid() : os.userInfo().username}`));
+}
+
+// Create a directory (and parents) if it does not exist yet
+function ensureDir(dir, mode = 0o700) {
+  fs.mkdirSync(dir, { recursive: true, mode });
+  return dir;
+}
+
+// Create a directory only we can enter. An existing one must be ours;
+// loose permissions on it are tightened.
+function ensurePrivateDir(dir) {
+  ensureDir(dir);
+  const stat = fs.statSync(dir);
+
+  if (process.getuid && stat.uid !== process.getuid()) {
+    throw new Error(`${dir} belongs to another user`);
+  }
+  if ((stat.mode & 0o077) !== 0) {
+    fs.chmodSync(dir, 0o700);
+  }
+  return dir;
+}
+
+// Write a file atomically: write to a temp file next to it, then rename over
+function writeFileAtomic(filePath, data, mode = 0o600) {
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpPath, data, { mode });
+  fs.renameSync(tmpPath, filePath);
+}
+
+// Overwrite a file with random bytes before unlinking it, so the old
+// contents do not linger in free blocks (best effort on journaling and
+// copy-on-write filesystems)
+function shredFile(filePath) {
+  let fd;
+  try {
+    fd = fs.openSync(filePath, 'r+');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return false;
+    }
+    throw error;
+  }
+
+  try {
+    const { size } = fs.fstatSync(fd);
+    if (size > 0) {
+      fs.writeSync(fd, crypto.randomBytes(size), 0, size, 0);
+      fs.fsyncSync(fd);
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.unlinkSync(filePath);
+  return true;
+}
+
+module.exports = {
+  useSubdirectory,
+  getConfigDir,
+  getStateDir,
+  getDataDir,
+  getRuntimeDir,
+  ensureDir,
+  ensurePrivateDir,
+  writeFileAtomic,
+  shredFile
+};
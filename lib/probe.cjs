@@ -0,0 +1,79 @@
+const axios = require('axios');
+const { preferredCountry } = require('./countries.cjs');
+
+// Default time to wait for a validator before treating it as unreachable
+const DEFAULT_PROBE_TIMEOUT = 3000;
+
+// Function to probe a single validator for reachability and round-trip latency
+async function probeValidator(validator, { timeout = DEFAULT_PROBE_TIMEOUT } = {}) {
+  const started = Date.now();
+
+  try {
+    const response = await axios.get(`http://${validator.Axon}/api/config/countries`, { timeout });
+    const latency = Date.now() - started;
+
+    if (!Array.isArray(response.data)) {
+      return { validator, healthy: false, latency, countries: [], error: 'Unexpected response format' };
+    }
+
+    return { validator, healthy: true, latency, countries: response.data };
+  } catch (error) {
+    return { validator, healthy: false, latency: null, countries: [], error: error.message };
+  }
+}
+
+// Sort probe results: healthy validators first, fastest first
+function rankProbeResults(results) {
+  return [...results].sort((a, b) => {
+    if (a.healthy !== b.healthy) {
+      return a.healthy ? -1 : 1;
+    }
+    if (!a.healthy) {
+      return 0;
+    }
+    return a.latency - b.latency;
+  });
+}
+
+// Function to probe all validators concurrently and return them ranked
+async function probeValidators(validators, options = {}) {
+  const results = await Promise.all(validators.map(v => probeValidator(v, options)));
+  return rankProbeResults(results);
+}
+
+// Pick the fastest healthy validator offering one of the wanted countries.
+// `countries` is an ordered preference list; when empty any country is accepted.
+function selectBestValidator(rankedResults, countries = []) {
+  const healthy = rankedResults.filter(r => r.healthy && r.countries.length > 0);
+
+  if (!countries || countries.length === 0) {
+    return healthy[0] || null;
+  }
+
+  return healthy.find(r => countries.some(code => r.countries.includes(code))) || null;
+}
+
+// Pick the validator and exit country for preference tiers (see
+// buildPreferences). Every validator is considered: the first tier any
+// healthy validator offers wins, served by the fastest one offering it.
+// Returns { result, country } or null.
+function selectForCountries(rankedResults, tiers) {
+  const healthy = rankedResults.filter(r => r.healthy && r.countries.length > 0);
+
+  for (const tier of tiers) {
+    const result = healthy.find(r => preferredCountry(r.countries, [tier]));
+    if (result) {
+      return { result, country: preferredCountry(result.countries, [tier]) };
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  DEFAULT_PROBE_TIMEOUT,
+  probeValidator,
+  probeValidators,
+  rankProbeResults,
+  selectBestValidator,
+  selectForCountries
+};
@@ -0,0 +1,209 @@
+const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
+const { getConfigDir, ensureDir, writeFileAtomic } = require('./paths.cjs');
+
+// Where `validators update` fetches the list from unless overridden
+const DEFAULT_REGISTRY_URL = 'https://raw.githubusercontent.com/ENZOMOTIVE/tpn-connect/main/validators.json';
+
+// Cached lists older than this trigger a staleness warning
+const DEFAULT_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+const BUNDLED_PATH = path.join(__dirname, '..', 'validators.json');
+
+function getCachePath() {
+  return path.join(getConfigDir(), 'validators.cache.json');
+}
+
+function getOverridesPath() {
+  return path.join(getConfigDir(), 'validators.local.json');
+}
+
+function getRegistryUrl(url) {
+  return url || process.env.TPN_REGISTRY_URL || DEFAULT_REGISTRY_URL;
+}
+
+// What is wrong with one entry's Axon and Location (UIDs are checked by the caller)
+function entryProblems(entry) {
+  const problems = [];
+
+  const match = typeof entry.Axon === 'string' && entry.Axon.match(/^([\w.-]+|\[[0-9a-fA-F:]+\]):(\d{1,5})$/);
+  if (!match || Number(match[2]) < 1 || Number(match[2]) > 65535) {
+    problems.push(`invalid Axon "${entry.Axon}" (expected host:port)`);
+  }
+
+  if (typeof entry.Location !== 'string' || !entry.Location) {
+    problems.push('missing Location');
+  }
+
+  return problems;
+}
+
+// Check that a validator list has the UID/Axon/Location shape we rely on.
+// Returns the normalised list, or throws with every problem found.
+function validateValidatorList(list) {
+  // Registries may wrap the list as { validators: [...] }
+  const entries = Array.isArray(list) ? list : list && list.validators;
+
+  if (!Array.isArray(entries)) {
+    throw new Error('Validator list must be an array');
+  }
+
+  const errors = [];
+  const seen = new Set();
+
+  const validators = entries.map((entry, index) => {
+    if (!entry || typeof entry !== 'object') {
+      errors.push(`#${index}: not an object`);
+      return null;
+    }
+
+    const uid = entry.UID === undefined || entry.UID === null ? '' : String(entry.UID);
+    if (!uid) {
+      errors.push(`#${index}: missing UID`);
+    } else if (seen.has(uid)) {
+      errors.push(`#${index}: duplicate UID ${uid}`);
+    }
+    seen.add(uid);
+
+    entryProblems(entry).forEach(problem => errors.push(`#${index}: ${problem}`));
+
+    return { ...entry, UID: uid };
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid validator list:\n  ${errors.join('\n  ')}`);
+  }
+  if (validators.length === 0) {
+    throw new Error('Validator list is empty');
+  }
+
+  return validators;
+}
+
+// Apply local overrides: entries replace (or add) validators by UID,
+// and `"disabled": true` removes a validator from the list. The result must
+// pass validateValidatorList too; throws naming the UIDs that broke it, or
+// with `allDisabled` set when no validator is left.
+function mergeOverrides(validators, overrides) {
+  const byUid = new Map(validators.map(v => [v.UID, v]));
+  const errors = [];
+
+  overrides.forEach(override => {
+    const uid = String(override.UID);
+    if (override.disabled) {
+      byUid.delete(uid);
+      return;
+    }
+
+    const merged = { ...byUid.get(uid), ...override, UID: uid };
+    entryProblems(merged).forEach(problem => errors.push(`UID ${uid}: ${problem}`));
+    byUid.set(uid, merged);
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid validator overrides:\n  ${errors.join('\n  ')}`);
+  }
+  if (byUid.size === 0) {
+    throw Object.assign(new Error('Validator overrides disable every validator'), { allDisabled: true });
+  }
+  return validateValidatorList(Array.from(byUid.values()));
+}
+
+function readOverrides() {
+  const overridesPath = getOverridesPath();
+  if (!fs.existsSync(overridesPath)) {
+    return [];
+  }
+
+  const overrides = JSON.parse(fs.readFileSync(overridesPath, 'utf8'));
+  if (!Array.isArray(overrides) || overrides.some(o => !o || o.UID === undefined)) {
+    throw new Error(`${overridesPath} must be an array of entries with a UID`);
+  }
+  return overrides;
+}
+
+function readCache() {
+  const cachePath = getCachePath();
+  if (!fs.existsSync(cachePath)) {
+    return null;
+  }
+
+  const cache = JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+  return {
+    fetchedAt: cache.fetchedAt,
+    source: cache.source,
+    validators: validateValidatorList(cache.validators)
+  };
+}
+
+// Load the validator list: the cached registry copy when usable, otherwise
+// the bundled validators.json. Local overrides are applied to either.
+function loadValidators({ maxAge = DEFAULT_MAX_AGE_MS } = {}) {
+  const warnings = [];
+  let result = null;
+
+  try {
+    const cache = readCache();
+    if (cache) {
+      const age = Date.now() - new Date(cache.fetchedAt).getTime();
+      const stale = !(age <= maxAge);
+      if (stale) {
+        warnings.push(`Cached validator list is stale (fetched ${cache.fetchedAt}). Run "tpn-connect validators update".`);
+      }
+      result = { validators: cache.validators, source: 'cache', fetchedAt: cache.fetchedAt, stale };
+    }
+  } catch (error) {
+    warnings.push(`Ignoring unreadable validator cache: ${error.message}`);
+  }
+
+  if (!result) {
+    const bundled = JSON.parse(fs.readFileSync(BUNDLED_PATH, 'utf8'));
+    result = { validators: validateValidatorList(bundled), source: 'bundled', fetchedAt: null, stale: false };
+  }
+
+  try {
+    result.validators = mergeOverrides(result.validators, readOverrides());
+  } catch (error) {
+    // Disabling every validator is a choice, not a broken file; connecting
+    // through the ones it disabled would go against it
+    if (error.allDisabled) {
+      throw new Error(`${error.message} (${getOverridesPath()}); re-enable at least one`);
+    }
+    warnings.push(`Ignoring validator overrides: ${error.message}`);
+  }
+
+  result.warnings = warnings;
+  return result;
+}
+
+// Fetch the validator list from the registry, validate it and cache it
+async function updateValidators({ url, timeout = 10000 } = {}) {
+  const source = getRegistryUrl(url);
+  const response = await axios.get(source, { timeout, responseType: 'json' });
+  const data = typeof response.data === 'string' ? JSON.parse(response.data) : response.data;
+  const validators = validateValidatorList(data);
+
+  const cache = {
+    fetchedAt: new Date().toISOString(),
+    source,
+    validators
+  };
+
+  ensureDir(getConfigDir());
+  writeFileAtomic(getCachePath(), JSON.stringify(cache, null, 2));
+
+  return { ...cache, cachePath: getCachePath() };
+}
+
+module.exports = {
+  DEFAULT_REGISTRY_URL,
+  DEFAULT_MAX_AGE_MS,
+  getCachePath,
+  getOverridesPath,
+  getRegistryUrl,
+  validateValidatorList,
+  mergeOverrides,
+  loadValidators,
+  updateValidators
+};
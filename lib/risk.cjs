@@ -0,0 +1,282 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const wifi = require('node-wifi');
+const geoip = require('geoip-lite');
+const { getStateDir, ensureDir, writeFileAtomic } = require('./paths.cjs');
+
+// Security risk levels
+const RISK_LEVELS = {
+  HIGH: 'HIGH',
+  MEDIUM: 'MEDIUM',
+  LOW: 'LOW',
+  SAFE: 'SAFE'
+};
+
+// Lowest total score for each level; anything below LOW is SAFE
+const RISK_THRESHOLDS = [
+  [RISK_LEVELS.HIGH, 60],
+  [RISK_LEVELS.MEDIUM, 30],
+  [RISK_LEVELS.LOW, 1]
+];
+
+// Answers 204 on an open internet connection; anything else means a portal is in the way
+const CAPTIVE_PORTAL_URL = 'http://connectivitycheck.gstatic.com/generate_204';
+
+// Built-in rules. A user rule with the same id replaces one of these;
+// `disabled: true` removes it.
+const DEFAULT_RULES = [
+  { id: 'trusted-network', when: { trusted: true }, score: -40, reason: 'Network is on the trusted list' },
+  { id: 'untrusted-wifi', when: { network: 'wifi', trusted: false }, score: 10, reason: 'WiFi network is not on the trusted list' },
+  { id: 'open-wifi', when: { network: 'wifi', encryption: ['open'] }, score: 50, reason: 'WiFi is unencrypted' },
+  { id: 'weak-encryption', when: { network: 'wifi', encryption: ['wep'] }, score: 40, reason: 'WiFi uses broken WEP encryption' },
+  { id: 'public-hotspot', when: { hotspot: true }, score: 20, reason: 'SSID looks like a public hotspot' },
+  { id: 'evil-twin', when: { evilTwin: true }, score: 60, reason: 'Another access point broadcasts this SSID with different security' },
+  { id: 'new-access-point', when: { newBssid: true }, score: 15, reason: 'Access point not seen before for this SSID' },
+  { id: 'captive-portal', when: { captivePortal: true }, score: 20, reason: 'Network intercepts traffic with a captive portal' },
+  { id: 'high-risk-country', when: { highRiskCountry: true }, score: 60, reason: 'Located in a high-risk country' },
+  { id: 'unknown-location', when: { locationKnown: false }, score: 30, reason: 'Location could not be determined' },
+  { id: 'offline', when: { network: 'none' }, score: 30, reason: 'No network connection' }
+];
+
+// Reduce the many ways WiFi tools spell security to open, wep, wpa, wpa2, wpa3 or unknown
+function normalizeEncryption(security) {
+  const value = String(security || '').toLowerCase();
+  if (!value || value === '--' || value === 'open' || value === 'none') {
+    return 'open';
+  }
+  if (value.includes('wep')) {
+    return 'wep';
+  }
+  if (value.includes('wpa3')) {
+    return 'wpa3';
+  }
+  if (value.includes('wpa2')) {
+    return 'wpa2';
+  }
+  if (value.includes('wpa')) {
+    return 'wpa';
+  }
+  return 'unknown';
+}
+
+// Whether `date` falls in an "H-H" local-time range; ranges may wrap midnight ("22-6")
+function inHours(range, date) {
+  const [start, end] = range.split('-').map(Number);
+  const hour = date.getHours();
+  return start <= end ? hour >= start && hour < end : hour >= start || hour < end;
+}
+
+function asList(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+// Match a boolean fact; unknown facts (null) never match
+function matchFact(expected, actual) {
+  return actual !== null && actual !== undefined && actual === expected;
+}
+
+// Condition name -> matcher(value, context, settings)
+const CONDITIONS = {
+  network: (value, ctx) => asList(value).includes(ctx.network.type),
+  ssid: (value, ctx) => ctx.network.type === 'wifi' && new RegExp(value, 'i').test(ctx.network.ssid),
+  encryption: (value, ctx) => ctx.network.type === 'wifi'
+    && asList(value).map(v => v.toLowerCase()).includes(normalizeEncryption(ctx.network.security)),
+  trusted: (value, ctx, settings) => ctx.network.type === 'wifi'
+    && settings.trustedNetworks.includes(ctx.network.ssid) === value,
+  hotspot: (value, ctx, settings) => ctx.network.type === 'wifi'
+    && new RegExp(settings.publicHotspotPattern, 'i').test(ctx.network.ssid) === value,
+  evilTwin: (value, ctx) => matchFact(value, ctx.evilTwin),
+  newBssid: (value, ctx) => matchFact(value, ctx.newBssid),
+  captivePortal: (value, ctx) => matchFact(value, ctx.captivePortal),
+  country: (value, ctx) => Boolean(ctx.location) && asList(value).includes(ctx.location.country),
+  highRiskCountry: (value, ctx, settings) => Boolean(ctx.location)
+    && settings.highRiskCountries.includes(ctx.location.country) === value,
+  locationKnown: (value, ctx) => ctx.locationChecked && Boolean(ctx.location) === value,
+  hours: (value, ctx) => inHours(value, ctx.now)
+};
+
+// Check a list of rules; returns an error message or null
+function checkRules(rules) {
+  if (!Array.isArray(rules)) {
+    return 'rules must be a list';
+  }
+
+  for (const rule of rules) {
+    if (!rule || typeof rule.id !== 'string') {
+      return 'every rule needs a string id';
+    }
+    if (rule.disabled) {
+      continue;
+    }
+    if (typeof rule.score !== 'number' || !Number.isFinite(rule.score)) {
+      return `rule ${rule.id}: score must be a number`;
+    }
+    if (!rule.when || typeof rule.when !== 'object' || Object.keys(rule.when).length === 0) {
+      return `rule ${rule.id}: "when" must list at least one condition`;
+    }
+
+    const unknown = Object.keys(rule.when).find(name => !CONDITIONS[name]);
+    if (unknown) {
+      return `rule ${rule.id}: unknown condition "${unknown}" (known: ${Object.keys(CONDITIONS).join(', ')})`;
+    }
+    if (rule.when.hours !== undefined && !/^\d{1,2}-\d{1,2}$/.test(rule.when.hours)) {
+      return `rule ${rule.id}: hours must look like "22-6"`;
+    }
+    if (rule.when.ssid !== undefined) {
+      try {
+        new RegExp(rule.when.ssid, 'i');
+      } catch (error) {
+        return `rule ${rule.id}: ssid is not a valid regex`;
+      }
+    }
+  }
+  return null;
+}
+
+// Defaults with the user's rules laid over them by id
+function mergeRules(userRules = []) {
+  const merged = new Map(DEFAULT_RULES.map(rule => [rule.id, rule]));
+  (userRules || []).forEach(rule => merged.set(rule.id, rule));
+  return [...merged.values()].filter(rule => !rule.disabled);
+}
+
+// Whether `level` is `minimum` or worse
+function atLeast(level, minimum) {
+  const order = [RISK_LEVELS.SAFE, RISK_LEVELS.LOW, RISK_LEVELS.MEDIUM, RISK_LEVELS.HIGH];
+  return order.indexOf(level) >= order.indexOf(minimum);
+}
+
+function scoreToLevel(score) {
+  const match = RISK_THRESHOLDS.find(([, min]) => score >= min);
+  return match ? match[0] : RISK_LEVELS.SAFE;
+}
+
+// Run every rule against the gathered facts.
+// Returns { level, score, matches: [{ id, score, reason }], network, location }.
+function evaluateRisk(context, settings) {
+  const matches = mergeRules(settings.riskRules)
+    .filter(rule => Object.entries(rule.when).every(([name, value]) => CONDITIONS[name](value, context, settings)))
+    .map(rule => ({ id: rule.id, score: rule.score, reason: rule.reason || rule.id }));
+
+  const score = matches.reduce((total, match) => total + match.score, 0);
+  return {
+    level: scoreToLevel(score),
+    score,
+    matches,
+    network: context.network,
+    location: context.location
+  };
+}
+
+function getKnownNetworksPath() {
+  return path.join(getStateDir(), 'networks.json');
+}
+
+function readKnownNetworks() {
+  try {
+    return JSON.parse(fs.readFileSync(getKnownNetworksPath(), 'utf8'));
+  } catch (error) {
+    return {};
+  }
+}
+
+// Remember which access points have served an SSID
+function rememberAccessPoint(ssid, bssid) {
+  const known = readKnownNetworks();
+  const bssids = known[ssid] || [];
+  if (bssids.includes(bssid)) {
+    return;
+  }
+
+  known[ssid] = [...bssids, bssid];
+  ensureDir(getStateDir());
+  writeFileAtomic(getKnownNetworksPath(), JSON.stringify(known, null, 2));
+}
+
+// true when the network answers the connectivity check with anything but 204
+async function detectCaptivePortal(timeout = 5000) {
+  try {
+    const response = await axios.get(CAPTIVE_PORTAL_URL, { timeout, maxRedirects: 0, validateStatus: () => true });
+    return response.status !== 204;
+  } catch (error) {
+    return null;
+  }
+}
+
+function usesCondition(rules, name) {
+  return rules.some(rule => rule.when[name] !== undefined);
+}
+
+// Collect the facts the active rules need about `network` (a netwatch
+// snapshot). `ip` is geolocated when given; `remember` records the current
+// access point for later newBssid checks.
+async function gatherRiskContext({ network, ip, rules, remember = true }) {
+  const active = mergeRules(rules);
+  const context = {
+    network,
+    now: new Date(),
+    location: null,
+    locationChecked: ip !== undefined,
+    evilTwin: null,
+    newBssid: null,
+    captivePortal: null
+  };
+
+  if (ip) {
+    try {
+      context.location = geoip.lookup(ip);
+    } catch (error) {
+      context.location = null;
+    }
+  }
+
+  const { ssid, bssid, security } = context.network;
+
+  if (context.network.type === 'wifi' && bssid) {
+    const seen = readKnownNetworks()[ssid];
+    context.newBssid = Boolean(seen) && !seen.includes(bssid);
+    if (remember) {
+      rememberAccessPoint(ssid, bssid);
+    }
+  }
+
+  if (context.network.type === 'wifi' && usesCondition(active, 'evilTwin')) {
+    try {
+      const own = normalizeEncryption(security);
+      const networks = await wifi.scan();
+      context.evilTwin = networks.some(n => n.ssid === ssid && n.bssid !== bssid
+        && normalizeEncryption(n.security) !== own);
+    } catch (error) {
+      context.evilTwin = null;
+    }
+  }
+
+  if (context.network.type !== 'none' && usesCondition(active, 'captivePortal')) {
+    context.captivePortal = await detectCaptivePortal();
+  }
+
+  return context;
+}
+
+// Gather facts and score them in one go
+async function assessRisk(settings, { network, ip, remember }) {
+  const context = await gatherRiskContext({ ip, network, remember, rules: settings.riskRules });
+  return evaluateRisk(context, settings);
+}
+
+module.exports = {
+  RISK_LEVELS,
+  RISK_THRESHOLDS,
+  DEFAULT_RULES,
+  CONDITIONS,
+  normalizeEncryption,
+  checkRules,
+  mergeRules,
+  atLeast,
+  scoreToLevel,
+  evaluateRisk,
+  gatherRiskContext,
+  getKnownNetworksPath,
+  assessRisk
+};
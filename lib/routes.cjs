@@ -0,0 +1,207 @@
+const net = require('net');
+const dns = require('dns').promises;
+const { parseConfig, serializeConfig } = require('./wgconfig.cjs');
+
+// Bypass lists available without any configuration
+const BUILTIN_BYPASS_LISTS = {
+  lan: ['10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16', '169.254.0.0/16', 'fc00::/7', 'fe80::/10']
+};
+
+// What the validator hands out: everything through the tunnel
+const FULL_TUNNEL = ['0.0.0.0/0', '::/0'];
+
+function familyWidth(family) {
+  return family === 4 ? 32 : 128;
+}
+
+function addressToBigInt(address, family) {
+  if (family === 4) {
+    return address.split('.').reduce((total, octet) => (total << 8n) + BigInt(octet), 0n);
+  }
+
+  // Expand "::" and a trailing dotted IPv4 part into eight hextets
+  let text = address;
+  const dotted = text.match(/(\d+\.\d+\.\d+\.\d+)$/);
+  if (dotted) {
+    const v4 = addressToBigInt(dotted[1], 4);
+    text = text.slice(0, -dotted[1].length) + `${(v4 >> 16n).toString(16)}:${(v4 & 0xffffn).toString(16)}`;
+  }
+
+  const [head, tail] = text.split('::');
+  const headParts = head ? head.split(':') : [];
+  const tailParts = tail === undefined ? [] : (tail ? tail.split(':') : []);
+  const zeros = new Array(8 - headParts.length - tailParts.length).fill('0');
+  const parts = tail === undefined ? headParts : [...headParts, ...zeros, ...tailParts];
+
+  return parts.reduce((total, hextet) => (total << 16n) + BigInt(parseInt(hextet, 16)), 0n);
+}
+
+function bigIntToAddress(value, family) {
+  if (family === 4) {
+    return [24n, 16n, 8n, 0n].map(shift => String((value >> shift) & 0xffn)).join('.');
+  }
+
+  const hextets = [];
+  for (let shift = 112n; shift >= 0n; shift -= 16n) {
+    hextets.push(((value >> shift) & 0xffffn).toString(16));
+  }
+
+  // Compress the longest run of two or more zero hextets (RFC 5952)
+  let best = { start: -1, length: 0 };
+  for (let i = 0; i < 8; i++) {
+    let length = 0;
+    while (i + length < 8 && hextets[i + length] === '0') {
+      length++;
+    }
+    if (length > best.length && length > 1) {
+      best = { start: i, length };
+    }
+  }
+  if (best.start === -1) {
+    return hextets.join(':');
+  }
+  const head = hextets.slice(0, best.start).join(':');
+  const tail = hextets.slice(best.start + best.length).join(':');
+  return `${head}::${tail}`;
+}
+
+// "10.0.0.0/8", "2001:db8::/32" or a bare address -> { family, prefix, start }
+function parseCidr(value) {
+  const [address, prefixText, extra] = String(value).trim().split('/');
+  const family = net.isIP(address);
+  const width = familyWidth(family);
+
+  if (!family || extra !== undefined) {
+    throw new Error(`Not an IP address or CIDR: ${value}`);
+  }
+  const prefix = prefixText === undefined ? width : Number(prefixText);
+  if (!/^\d+$/.test(String(prefix)) || prefix > width) {
+    throw new Error(`Invalid prefix length in ${value}`);
+  }
+
+  const hostBits = BigInt(width - prefix);
+  const start = (addressToBigInt(address, family) >> hostBits) << hostBits;
+  return { family, prefix, start };
+}
+
+function formatCidr(cidr) {
+  return `${bigIntToAddress(cidr.start, cidr.family)}/${cidr.prefix}`;
+}
+
+// Whether `outer` covers all of `inner`
+function containsCidr(outer, inner) {
+  if (outer.family !== inner.family || outer.prefix > inner.prefix) {
+    return false;
+  }
+  const hostBits = BigInt(familyWidth(outer.family) - outer.prefix);
+  return (inner.start >> hostBits) === (outer.start >> hostBits);
+}
+
+// `from` minus `remove`, as a list of CIDRs: halve `from` until the
+// halves either miss `remove` entirely or fall inside it
+function subtractCidr(from, remove) {
+  if (containsCidr(remove, from)) {
+    return [];
+  }
+  if (!containsCidr(from, remove)) {
+    return [from];
+  }
+
+  const prefix = from.prefix + 1;
+  const half = 1n << BigInt(familyWidth(from.family) - prefix);
+  return [
+    { family: from.family, prefix, start: from.start },
+    { family: from.family, prefix, start: from.start + half }
+  ].flatMap(part => subtractCidr(part, remove));
+}
+
+// Sort (IPv4 first) and drop ranges covered by another in the list
+function normalizeCidrs(cidrs) {
+  const sorted = [...cidrs].sort((a, b) => (
+    a.family - b.family || (a.start < b.start ? -1 : a.start > b.start ? 1 : a.prefix - b.prefix)
+  ));
+  return sorted.filter((cidr, index) => !sorted.some((other, j) => j !== index && containsCidr(other, cidr)
+    && (other.prefix !== cidr.prefix || j < index)));
+}
+
+// A CIDR, an address or a domain name -> CIDR strings (domains resolved now)
+async function resolveEntry(entry) {
+  const address = String(entry).split('/')[0];
+  if (net.isIP(address)) {
+    return [formatCidr(parseCidr(entry))];
+  }
+
+  let answers;
+  try {
+    answers = await dns.lookup(entry, { all: true });
+  } catch (error) {
+    throw new Error(`Cannot resolve ${entry}: ${error.code || error.message}`);
+  }
+  return [...new Set(answers.map(answer => `${answer.address}/${answer.family === 4 ? 32 : 128}`))];
+}
+
+// Work out the AllowedIPs for a tunnel.
+//   base     AllowedIPs from the validator's config
+//   include  when given, only these go through the tunnel (plus `keep`)
+//   exclude  ranges or domains kept off the tunnel
+//   bypass   names of bypass lists (built-in or from `lists`) to exclude
+//   keep     addresses that must stay in the tunnel in include mode (its DNS)
+//   endpoint the peer's Endpoint host. It is always kept off the tunnel:
+//            without a /0 in AllowedIPs wg-quick sets up no policy routing,
+//            and the handshake would otherwise be routed into the tunnel.
+// Returns { allowed, included, excluded } where the last two list
+// { source, entry, cidrs } for every resolved entry.
+async function planRoutes({ base = FULL_TUNNEL, include = [], exclude = [], bypass = [], lists = {}, keep = [], endpoint = null }) {
+  const allLists = { ...BUILTIN_BYPASS_LISTS, ...lists };
+  const unknown = bypass.find(name => !allLists[name]);
+  if (unknown) {
+    throw new Error(`Unknown bypass list: ${unknown} (known: ${Object.keys(allLists).join(', ')})`);
+  }
+
+  const resolveAll = entries => Promise.all(entries.map(async ({ source, entry }) => (
+    { source, entry, cidrs: await resolveEntry(entry) }
+  )));
+
+  const included = await resolveAll(include.map(entry => ({ source: '--include', entry })));
+  const excluded = await resolveAll([
+    ...exclude.map(entry => ({ source: '--exclude', entry })),
+    ...bypass.flatMap(name => allLists[name].map(entry => ({ source: name, entry }))),
+    ...(endpoint ? [{ source: 'endpoint', entry: endpoint }] : [])
+  ]);
+
+  const start = included.length > 0
+    ? [...included.flatMap(item => item.cidrs), ...keep]
+    : base;
+
+  let allowed = start.map(parseCidr);
+  excluded.flatMap(item => item.cidrs).map(parseCidr).forEach(remove => {
+    allowed = allowed.flatMap(cidr => subtractCidr(cidr, remove));
+  });
+
+  return { allowed: normalizeCidrs(allowed).map(formatCidr), included, excluded };
+}
+
+// Replace the AllowedIPs of every peer in a config
+function applyAllowedIps(configText, allowed) {
+  const sections = parseConfig(configText);
+  sections.filter(section => section.name === 'Peer').forEach(section => {
+    section.entries = [
+      ...section.entries.filter(entry => entry.key !== 'AllowedIPs'),
+      { key: 'AllowedIPs', value: allowed.join(', ') }
+    ];
+  });
+  return serializeConfig(sections);
+}
+
+module.exports = {
+  BUILTIN_BYPASS_LISTS,
+  FULL_TUNNEL,
+  parseCidr,
+  formatCidr,
+  containsCidr,
+  subtractCidr,
+  normalizeCidrs,
+  resolveEntry,
+  planRoutes,
+  applyAllowedIps
+};
@@ -0,0 +1,61 @@
+const fs = require('fs');
+const path = require('path');
+const { getStateDir, ensureDir, writeFileAtomic } = require('./paths.cjs');
+
+function getSessionPath() {
+  return path.join(getStateDir(), 'session.json');
+}
+
+// Record the active connection so other commands can report on it
+function writeSession(session) {
+  ensureDir(getStateDir());
+  writeFileAtomic(getSessionPath(), JSON.stringify(session, null, 2));
+}
+
+// Read the recorded session, or null if there is none (or it is unreadable)
+function readSession() {
+  try {
+    return JSON.parse(fs.readFileSync(getSessionPath(), 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+// Whether a process exists; EPERM means it does but belongs to someone else
+function isAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+// True when the process that recorded the session is gone (killed, crashed,
+// or the machine rebooted) but the record is still here. Records from
+// versions that did not store a PID count as orphaned too.
+function isOrphaned(session) {
+  return Boolean(session) && (!session.pid || !isAlive(session.pid));
+}
+
+function clearSession() {
+  fs.rmSync(getSessionPath(), { force: true });
+}
+
+// Seconds left on the session's lease (never negative)
+function leaseRemaining(session, now = Date.now()) {
+  if (!session || !session.expiresAt) {
+    return 0;
+  }
+  return Math.max(0, Math.round((new Date(session.expiresAt).getTime() - now) / 1000));
+}
+
+module.exports = {
+  getSessionPath,
+  writeSession,
+  readSession,
+  isOrphaned,
+  clearSession,
+  leaseRemaining,
+  isAlive
+};
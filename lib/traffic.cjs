@@ -0,0 +1,99 @@
+// Samples kept for the dashboard sparklines (one per second)
+const DEFAULT_HISTORY_LENGTH = 60;
+
+const SPARK_CHARS = '▁▂▃▄▅▆▇█';
+
+function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+}
+
+function formatRate(bytesPerSecond) {
+  return `${formatBytes(Math.round(bytesPerSecond))}/s`;
+}
+
+// The last `width` values as a sparkline scaled to the largest of them
+function sparkline(values, width = values.length) {
+  const shown = values.slice(-width);
+  const max = Math.max(...shown, 0);
+  const line = shown.map(value => (max === 0
+    ? SPARK_CHARS[0]
+    : SPARK_CHARS[Math.min(SPARK_CHARS.length - 1, Math.floor(value / max * (SPARK_CHARS.length - 1)))]));
+  return line.join('').padStart(width, ' ');
+}
+
+// Track transfer rates from successive `wg show dump` snapshots (see
+// parseDump). Returns { sample(dump, { base, now }), current() }, where
+// `base` is the bytes carried over from earlier interfaces in the session.
+function createTrafficMonitor({ historyLength = DEFAULT_HISTORY_LENGTH } = {}) {
+  const state = {
+    rxRate: 0,
+    txRate: 0,
+    rxBytes: 0,
+    txBytes: 0,
+    rxHistory: [],
+    txHistory: [],
+    latestHandshake: null,
+    endpoint: null,
+    up: false
+  };
+  let previous = null;
+
+  const push = (history, value) => {
+    history.push(value);
+    if (history.length > historyLength) {
+      history.shift();
+    }
+  };
+
+  return {
+    sample(dump, { base = { rxBytes: 0, txBytes: 0 }, now = Date.now() } = {}) {
+      const peer = dump && dump.peers[0];
+      if (!peer) {
+        state.up = false;
+        state.rxRate = 0;
+        state.txRate = 0;
+        previous = null;
+        push(state.rxHistory, 0);
+        push(state.txHistory, 0);
+        return state;
+      }
+
+      // Counters restart when the interface is recreated; treat that as a fresh start
+      const seconds = previous ? (now - previous.time) / 1000 : 0;
+      const rxDelta = previous && peer.rxBytes >= previous.rxBytes ? peer.rxBytes - previous.rxBytes : 0;
+      const txDelta = previous && peer.txBytes >= previous.txBytes ? peer.txBytes - previous.txBytes : 0;
+
+      state.up = true;
+      state.rxRate = seconds > 0 ? rxDelta / seconds : 0;
+      state.txRate = seconds > 0 ? txDelta / seconds : 0;
+      state.rxBytes = base.rxBytes + peer.rxBytes;
+      state.txBytes = base.txBytes + peer.txBytes;
+      state.latestHandshake = peer.latestHandshake || null;
+      state.endpoint = peer.endpoint;
+      push(state.rxHistory, state.rxRate);
+      push(state.txHistory, state.txRate);
+
+      previous = { time: now, rxBytes: peer.rxBytes, txBytes: peer.txBytes };
+      return state;
+    },
+
+    current() {
+      return state;
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_HISTORY_LENGTH,
+  formatBytes,
+  formatRate,
+  sparkline,
+  createTrafficMonitor
+};
@@ -0,0 +1,174 @@
+const axios = require('axios');
+const fs = require('fs');
+const https = require('https');
+const os = require('os');
+const geoip = require('geoip-lite');
+const { execaCommand } = require('execa');
+const { readConfigValues } = require('./wireguard.cjs');
+
+// Check outcomes, worst last
+const STATUS = {
+  PASS: 'pass',
+  WARN: 'warn',
+  FAIL: 'fail',
+  SKIP: 'skip'
+};
+
+// Independent IP-echo services; using several guards against one lying or being down.
+// All of them are asked over IPv4, or a dual-stack host would report an IPv6
+// address to some providers and an IPv4 one to others.
+const IP_PROVIDERS = [
+  { name: 'ipify', url: 'https://api4.ipify.org?format=json', parse: data => data.ip },
+  { name: 'icanhazip', url: 'https://ipv4.icanhazip.com', parse: data => String(data).trim() },
+  { name: 'ifconfig.me', url: 'https://ifconfig.me/ip', parse: data => String(data).trim() },
+  { name: 'ipinfo', url: 'https://ipinfo.io/ip', parse: data => String(data).trim() }
+];
+
+// Only resolves and connects over IPv4
+const ipv4Agent = new https.Agent({ family: 4 });
+
+// Systemd-resolved's local stub; the real servers are behind it
+const RESOLVED_STUB = '127.0.0.53';
+
+// Ask every provider for our public IP; failed providers report ip: null
+async function fetchExitIps({ timeout = 5000 } = {}) {
+  return Promise.all(IP_PROVIDERS.map(async provider => {
+    try {
+      const response = await axios.get(provider.url, { timeout, httpsAgent: ipv4Agent });
+      return { provider: provider.name, ip: provider.parse(response.data) || null };
+    } catch (error) {
+      return { provider: provider.name, ip: null, error: error.message };
+    }
+  }));
+}
+
+function checkExitIp(answers, ipBefore) {
+  const ips = [...new Set(answers.filter(a => a.ip).map(a => a.ip))];
+
+  if (ips.length === 0) {
+    return { name: 'Exit IP', status: STATUS.FAIL, detail: 'No IP-echo provider answered' };
+  }
+  if (ips.length > 1) {
+    return { name: 'Exit IP', status: STATUS.FAIL, detail: `Providers disagree: ${ips.join(', ')}` };
+  }
+  if (ipBefore && ips[0] === ipBefore) {
+    return { name: 'Exit IP', status: STATUS.FAIL, detail: `Still ${ips[0]}, same as before connecting` };
+  }
+
+  const answered = answers.filter(a => a.ip).length;
+  return { name: 'Exit IP', status: STATUS.PASS, detail: `${ips[0]} (${answered}/${answers.length} providers agree)` };
+}
+
+function checkExitCountry(exitIp, expectedCountry) {
+  if (!exitIp) {
+    return { name: 'Exit country', status: STATUS.SKIP, detail: 'No exit IP to locate' };
+  }
+
+  const geo = geoip.lookup(exitIp);
+  if (!geo) {
+    return { name: 'Exit country', status: STATUS.WARN, detail: `Could not geolocate ${exitIp}` };
+  }
+  if (expectedCountry && geo.country !== expectedCountry) {
+    return { name: 'Exit country', status: STATUS.FAIL, detail: `Exit is in ${geo.country}, requested ${expectedCountry}` };
+  }
+  return { name: 'Exit country', status: STATUS.PASS, detail: geo.country };
+}
+
+// Nameservers the system resolver is really using
+async function systemNameservers() {
+  const resolvConf = fs.readFileSync('/etc/resolv.conf', 'utf8');
+  const servers = resolvConf.split('\n')
+    .map(line => line.match(/^\s*nameserver\s+(\S+)/))
+    .filter(Boolean)
+    .map(match => match[1]);
+
+  if (!servers.includes(RESOLVED_STUB)) {
+    return servers;
+  }
+
+  // Behind the stub, ask systemd-resolved which servers each link uses
+  const { stdout } = await execaCommand('resolvectl dns');
+  return stdout.split('\n')
+    .flatMap(line => (line.split(':').slice(1).join(':') || '').trim().split(/\s+/))
+    .filter(Boolean);
+}
+
+async function checkDns(configText) {
+  const expected = readConfigValues(configText, 'DNS').filter(v => /^[\d.:a-fA-F]+$/.test(v));
+
+  if (expected.length === 0) {
+    return { name: 'DNS', status: STATUS.WARN, detail: 'Config sets no DNS server; queries may bypass the tunnel' };
+  }
+
+  let servers;
+  try {
+    servers = await systemNameservers();
+  } catch (error) {
+    return { name: 'DNS', status: STATUS.SKIP, detail: `Cannot read resolver settings: ${error.message}` };
+  }
+
+  if (!expected.some(server => servers.includes(server))) {
+    return { name: 'DNS', status: STATUS.FAIL, detail: `Resolver uses ${servers.join(', ') || 'nothing'}, expected ${expected.join(', ')}` };
+  }
+
+  const others = servers.filter(server => !expected.includes(server));
+  if (others.length > 0) {
+    return { name: 'DNS', status: STATUS.WARN, detail: `Tunnel DNS ${expected.join(', ')} in use, but so are ${others.join(', ')}` };
+  }
+  return { name: 'DNS', status: STATUS.PASS, detail: expected.join(', ') };
+}
+
+// IPv6 traffic must either go through the tunnel or have nowhere to go
+async function checkIpv6(interfaceName) {
+  if (os.platform() !== 'linux') {
+    return { name: 'IPv6', status: STATUS.SKIP, detail: 'Route check only supported on Linux' };
+  }
+
+  try {
+    const { stdout } = await execaCommand('ip -6 route get 2001:4860:4860::8888');
+    const device = (stdout.match(/\sdev\s+(\S+)/) || [])[1];
+
+    if (device === interfaceName) {
+      return { name: 'IPv6', status: STATUS.PASS, detail: `Routed through ${interfaceName}` };
+    }
+    return { name: 'IPv6', status: STATUS.FAIL, detail: `IPv6 leaves via ${device || 'an unknown device'}, outside the tunnel` };
+  } catch (error) {
+    // "Network is unreachable": no IPv6 route at all, so nothing can leak
+    if (/Network is unreachable/i.test(error.stderr || '')) {
+      return { name: 'IPv6', status: STATUS.PASS, detail: 'No IPv6 route' };
+    }
+    // Anything else (no ip command, no permission) tells us nothing either way
+    return { name: 'IPv6', status: STATUS.WARN, detail: `Could not check the IPv6 route: ${(error.stderr || '').trim() || error.shortMessage || error.message}` };
+  }
+}
+
+// Run every leak check. Returns { passed, exitIp, checks }.
+async function verifyConnection({ configText, interfaceName, expectedCountry, ipBefore, timeout }) {
+  const answers = await fetchExitIps({ timeout });
+  const exitCheck = checkExitIp(answers, ipBefore);
+  const exitIp = exitCheck.status === STATUS.PASS ? answers.find(a => a.ip).ip : null;
+
+  const checks = [
+    exitCheck,
+    checkExitCountry(exitIp, expectedCountry),
+    await checkDns(configText),
+    await checkIpv6(interfaceName)
+  ];
+
+  return {
+    passed: !checks.some(check => check.status === STATUS.FAIL),
+    exitIp,
+    checks
+  };
+}
+
+module.exports = {
+  STATUS,
+  IP_PROVIDERS,
+  fetchExitIps,
+  checkExitIp,
+  checkExitCountry,
+  checkDns,
+  checkIpv6,
+  verifyConnection
+};
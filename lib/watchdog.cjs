@@ -0,0 +1,100 @@
+const axios = require('axios');
+const { showInterface } = require('./wireguard.cjs');
+
+// A handshake older than this (seconds) makes the tunnel suspect
+const DEFAULT_STALE_SECONDS = 180;
+
+// How often the watchdog looks at the tunnel
+const DEFAULT_CHECK_INTERVAL = 30000;
+
+// Judge tunnel health from the current `wg show` dump and the previous one.
+// WireGuard only handshakes while there is traffic, so an old handshake on
+// its own just means the tunnel is idle. The tunnel is stale when we sent
+// something since the last check and the handshake is still old. Sent bytes
+// with nothing back are normal while the handshake is fresh: keepalives
+// get no answer.
+// Returns { healthy, reason, handshakeAge, rxDelta, txDelta }.
+function assessTunnel(previous, current, { staleSeconds = DEFAULT_STALE_SECONDS, now = Date.now() } = {}) {
+  if (!current || current.peers.length === 0) {
+    return { healthy: false, reason: 'Interface is down', handshakeAge: null, rxDelta: 0, txDelta: 0 };
+  }
+
+  const peer = current.peers[0];
+  const previousPeer = previous && previous.peers[0];
+  const handshakeAge = peer.latestHandshake ? Math.round(now / 1000 - peer.latestHandshake) : Infinity;
+  const rxDelta = previousPeer ? peer.rxBytes - previousPeer.rxBytes : 0;
+  const txDelta = previousPeer ? peer.txBytes - previousPeer.txBytes : 0;
+  const handshake = handshakeAge === Infinity ? 'No handshake yet' : `Last handshake ${handshakeAge}s ago`;
+
+  if (handshakeAge > staleSeconds && txDelta > 0) {
+    return { healthy: false, reason: `${handshake}, ${txDelta} bytes sent since the last check`, handshakeAge, rxDelta, txDelta };
+  }
+  if (handshakeAge > staleSeconds) {
+    return { healthy: true, reason: `${handshake}, but nothing was sent (idle)`, handshakeAge, rxDelta, txDelta };
+  }
+
+  return { healthy: true, reason: 'Handshake is recent', handshakeAge, rxDelta, txDelta };
+}
+
+// Fetch a URL through the tunnel (the tunnel owns the default route)
+async function probeThroughTunnel(url, timeout = 5000) {
+  try {
+    await axios.get(url, { timeout });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Periodically check the interface and call `onStale(assessment)` when the
+// tunnel stops passing traffic. While `onStale` runs, checks are paused.
+// Returns a function that stops the watchdog.
+function startWatchdog({
+  interfaceName,
+  staleSeconds = DEFAULT_STALE_SECONDS,
+  interval = DEFAULT_CHECK_INTERVAL,
+  probeUrl,
+  onCheck = () => {},
+  onStale
+}) {
+  let previous = null;
+  let busy = false;
+
+  const timer = setInterval(async () => {
+    if (busy) {
+      return;
+    }
+    busy = true;
+
+    try {
+      const current = await showInterface(interfaceName);
+      const assessment = assessTunnel(previous, current, { staleSeconds });
+      previous = current;
+
+      // The peer may have been slow to handshake again; a probe settles it
+      if (!assessment.healthy && current && probeUrl && await probeThroughTunnel(probeUrl)) {
+        assessment.healthy = true;
+        assessment.reason = `${assessment.reason}, but probe succeeded`;
+      }
+
+      onCheck(assessment);
+
+      if (!assessment.healthy) {
+        await onStale(assessment);
+        previous = null;
+      }
+    } finally {
+      busy = false;
+    }
+  }, interval);
+
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  DEFAULT_STALE_SECONDS,
+  DEFAULT_CHECK_INTERVAL,
+  assessTunnel,
+  probeThroughTunnel,
+  startWatchdog
+};
@@ -0,0 +1,243 @@
+const net = require('net');
+
+// Directives wg-quick runs as shell commands, plus SaveConfig, which makes
+// wg-quick write the live state back over the file on shutdown
+const HOOK_KEYS = ['PreUp', 'PostUp', 'PreDown', 'PostDown', 'SaveConfig'];
+
+// What to do with hook directives from a validator
+const HOOK_POLICIES = {
+  STRIP: 'strip',
+  REJECT: 'reject',
+  ALLOW: 'allow'
+};
+
+// Keys each section may contain, in wg-quick's spelling
+const SECTION_KEYS = {
+  Interface: ['PrivateKey', 'Address', 'ListenPort', 'DNS', 'MTU', 'Table', 'FwMark', ...HOOK_KEYS],
+  Peer: ['PublicKey', 'PresharedKey', 'AllowedIPs', 'Endpoint', 'PersistentKeepalive']
+};
+
+// Parse WireGuard INI text into [{ name, entries: [{ key, value }] }].
+// Comments and blank lines are dropped; key case is normalised.
+function parseConfig(text) {
+  if (typeof text !== 'string' || !/^\s*\[Interface\]/im.test(text)) {
+    throw new Error('Response is not a WireGuard config (no [Interface] section)');
+  }
+
+  const sections = [];
+  const errors = [];
+
+  text.split(/\r?\n/).forEach((raw, index) => {
+    const line = raw.replace(/#.*$/, '').trim();
+    if (!line) {
+      return;
+    }
+
+    const header = line.match(/^\[(\w+)\]$/);
+    if (header) {
+      const name = Object.keys(SECTION_KEYS).find(known => known.toLowerCase() === header[1].toLowerCase());
+      if (!name) {
+        errors.push(`line ${index + 1}: unknown section [${header[1]}]`);
+      }
+      sections.push({ name: name || header[1], entries: [] });
+      return;
+    }
+
+    const pair = line.match(/^([A-Za-z]+)\s*=\s*(.*)$/);
+    if (!pair) {
+      errors.push(`line ${index + 1}: expected "Key = Value"`);
+      return;
+    }
+    if (sections.length === 0) {
+      errors.push(`line ${index + 1}: ${pair[1]} is outside any section`);
+      return;
+    }
+
+    const section = sections[sections.length - 1];
+    const known = (SECTION_KEYS[section.name] || []).find(key => key.toLowerCase() === pair[1].toLowerCase());
+    section.entries.push({ key: known || pair[1], value: pair[2].trim() });
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Malformed WireGuard config:\n  ${errors.join('\n  ')}`);
+  }
+  return sections;
+}
+
+// Turn parsed sections back into wg-quick text
+function serializeConfig(sections) {
+  return sections.map(section => [
+    `[${section.name}]`,
+    ...section.entries.map(entry => `${entry.key} = ${entry.value}`)
+  ].join('\n')).join('\n\n') + '\n';
+}
+
+// The values of `key` in a section, comma lists flattened
+function sectionValues(section, key) {
+  return section.entries
+    .filter(entry => entry.key === key)
+    .flatMap(entry => entry.value.split(',').map(v => v.trim()).filter(Boolean));
+}
+
+// Curve25519 keys are 32 bytes, 44 characters of base64
+function isKey(value) {
+  return /^[A-Za-z0-9+/]{43}=$/.test(value) && Buffer.from(value, 'base64').length === 32;
+}
+
+function isCidr(value, { prefixRequired = true } = {}) {
+  const [address, prefix, extra] = value.split('/');
+  const family = net.isIP(address);
+  if (!family || extra !== undefined) {
+    return false;
+  }
+  if (prefix === undefined) {
+    return !prefixRequired;
+  }
+  return /^\d+$/.test(prefix) && Number(prefix) <= (family === 4 ? 32 : 128);
+}
+
+function isHostname(value) {
+  return value.length <= 253 && /^(?=.*[A-Za-z])[A-Za-z0-9-]+(\.[A-Za-z0-9-]+)*\.?$/.test(value);
+}
+
+function isEndpoint(value) {
+  const match = value.match(/^(?:\[([^\]]+)\]|([^:[\]]+)):(\d+)$/);
+  if (!match) {
+    return false;
+  }
+  const port = Number(match[3]);
+  const hostOk = match[1] ? net.isIPv6(match[1]) : net.isIPv4(match[2]) || isHostname(match[2]);
+  return hostOk && port > 0 && port <= 65535;
+}
+
+function isInteger(value, min, max) {
+  return /^\d+$/.test(value) && Number(value) >= min && Number(value) <= max;
+}
+
+// Problems with one section's values
+function checkSection(section) {
+  const errors = [];
+  const only = key => section.entries.filter(entry => entry.key === key);
+  const single = key => {
+    const entries = only(key);
+    if (entries.length > 1) {
+      errors.push(`[${section.name}] ${key} is set more than once`);
+    }
+    return entries[0] && entries[0].value;
+  };
+
+  section.entries
+    .filter(entry => !SECTION_KEYS[section.name].includes(entry.key))
+    .forEach(entry => errors.push(`[${section.name}] unknown setting ${entry.key}`));
+
+  if (section.name === 'Interface') {
+    const privateKey = single('PrivateKey');
+    if (!privateKey || !isKey(privateKey)) {
+      errors.push('[Interface] PrivateKey is missing or not a 32-byte base64 key');
+    }
+
+    const addresses = sectionValues(section, 'Address');
+    if (addresses.length === 0) {
+      errors.push('[Interface] Address is missing');
+    }
+    addresses.filter(a => !isCidr(a, { prefixRequired: false }))
+      .forEach(a => errors.push(`[Interface] Address ${a} is not an IP address or CIDR`));
+
+    // wg-quick treats non-IP DNS values as search domains
+    sectionValues(section, 'DNS').filter(d => !net.isIP(d) && !isHostname(d))
+      .forEach(d => errors.push(`[Interface] DNS ${d} is neither an IP address nor a search domain`));
+
+    const listenPort = single('ListenPort');
+    if (listenPort !== undefined && !isInteger(listenPort, 1, 65535)) {
+      errors.push(`[Interface] ListenPort ${listenPort} is not a valid port`);
+    }
+    const mtu = single('MTU');
+    if (mtu !== undefined && !isInteger(mtu, 576, 65535)) {
+      errors.push(`[Interface] MTU ${mtu} is out of range`);
+    }
+  }
+
+  if (section.name === 'Peer') {
+    const publicKey = single('PublicKey');
+    if (!publicKey || !isKey(publicKey)) {
+      errors.push('[Peer] PublicKey is missing or not a 32-byte base64 key');
+    }
+
+    const presharedKey = single('PresharedKey');
+    if (presharedKey !== undefined && !isKey(presharedKey)) {
+      errors.push('[Peer] PresharedKey is not a 32-byte base64 key');
+    }
+
+    const allowedIps = sectionValues(section, 'AllowedIPs');
+    if (allowedIps.length === 0) {
+      errors.push('[Peer] AllowedIPs is missing');
+    }
+    allowedIps.filter(a => !isCidr(a))
+      .forEach(a => errors.push(`[Peer] AllowedIPs ${a} is not a CIDR`));
+
+    const endpoint = single('Endpoint');
+    if (!endpoint) {
+      errors.push('[Peer] Endpoint is missing');
+    } else if (!isEndpoint(endpoint)) {
+      errors.push(`[Peer] Endpoint ${endpoint} is not host:port`);
+    }
+
+    const keepalive = single('PersistentKeepalive');
+    if (keepalive !== undefined && keepalive !== 'off' && !isInteger(keepalive, 0, 65535)) {
+      errors.push(`[Peer] PersistentKeepalive ${keepalive} is not a number of seconds`);
+    }
+  }
+
+  return errors;
+}
+
+// Validate config text from a validator and return a clean copy.
+// Hook directives are stripped (reported in `stripped`), rejected or kept
+// according to `hooks`. Throws listing every problem found.
+// Returns { text, sections, stripped }.
+function sanitizeConfig(text, { hooks = HOOK_POLICIES.STRIP } = {}) {
+  const sections = parseConfig(text);
+  const errors = [];
+
+  const interfaces = sections.filter(section => section.name === 'Interface');
+  if (interfaces.length !== 1) {
+    errors.push(`Expected exactly one [Interface] section, found ${interfaces.length}`);
+  }
+  if (!sections.some(section => section.name === 'Peer')) {
+    errors.push('No [Peer] section');
+  }
+
+  const stripped = [];
+  sections.forEach(section => {
+    if (!SECTION_KEYS[section.name]) {
+      return;
+    }
+
+    const found = section.entries.filter(entry => HOOK_KEYS.includes(entry.key));
+    if (found.length > 0 && hooks === HOOK_POLICIES.REJECT) {
+      found.forEach(entry => errors.push(`[${section.name}] ${entry.key} is not allowed (${entry.value})`));
+    } else if (found.length > 0 && hooks === HOOK_POLICIES.STRIP) {
+      stripped.push(...found);
+      section.entries = section.entries.filter(entry => !HOOK_KEYS.includes(entry.key));
+    }
+
+    errors.push(...checkSection(section));
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid WireGuard config:\n  ${errors.join('\n  ')}`);
+  }
+
+  return { text: serializeConfig(sections), sections, stripped };
+}
+
+module.exports = {
+  HOOK_KEYS,
+  HOOK_POLICIES,
+  parseConfig,
+  serializeConfig,
+  sanitizeConfig,
+  isKey,
+  isCidr,
+  isEndpoint
+};
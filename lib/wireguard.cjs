@@ -0,0 +1,152 @@
+const { execaCommand } = require('execa');
+const fs = require('fs');
+
+// wg-quick names the interface after the config file
+const INTERFACE_NAME = 'tpn-connect';
+
+// Parse `wg show <iface> dump` output. The first line describes the interface,
+// every following line a peer; fields are tab separated. The private key is dropped.
+function parseDump(output) {
+  const rows = output.trim().split('\n').filter(Boolean).map(line => line.split('\t'));
+  if (rows.length === 0) {
+    return null;
+  }
+
+  const [iface, ...peers] = rows;
+  const none = value => (value === '(none)' || value === 'off' ? null : value);
+
+  return {
+    publicKey: iface[1],
+    listenPort: Number(iface[2]),
+    fwmark: none(iface[3]),
+    peers: peers.map(fields => ({
+      publicKey: fields[0],
+      endpoint: none(fields[2]),
+      allowedIps: none(fields[3]) ? fields[3].split(',') : [],
+      latestHandshake: Number(fields[4]) || 0,
+      rxBytes: Number(fields[5]) || 0,
+      txBytes: Number(fields[6]) || 0,
+      persistentKeepalive: none(fields[7]) ? Number(fields[7]) : null
+    }))
+  };
+}
+
+// The backend that brings interfaces up and down. Every driver has the
+// same shape: up(cfgPath), down(cfgPath, { signal }), dump(name) returning
+// `wg show dump` text, and sync(name, cfgPath, previousConfigText). Failures
+// throw errors carrying `stderr`, like execa's. Aborting `signal` kills a
+// wg-quick that hangs on the way down.
+const systemDriver = {
+  name: 'system',
+
+  up(cfgPath) {
+    return execaCommand(`wg-quick up ${cfgPath}`);
+  },
+
+  down(cfgPath, { signal } = {}) {
+    return execaCommand(`wg-quick down ${cfgPath}`, { signal });
+  },
+
+  async dump(name) {
+    const { stdout } = await execaCommand(`wg show ${name} dump`);
+    return stdout;
+  },
+
+  // Keys and peers go through `wg syncconf`; wg-quick-only settings such as
+  // Address are applied with `ip` (DNS changes are not applied)
+  async sync(name, cfgPath, previousConfigText) {
+    const { stdout } = await execaCommand(`wg-quick strip ${cfgPath}`);
+    const strippedPath = `${cfgPath}.stripped`;
+
+    fs.writeFileSync(strippedPath, stdout, { mode: 0o600 });
+    try {
+      await execaCommand(`wg syncconf ${name} ${strippedPath}`);
+    } finally {
+      fs.rmSync(strippedPath, { force: true });
+    }
+
+    const oldAddresses = readAddresses(previousConfigText);
+    const newAddresses = readAddresses(fs.readFileSync(cfgPath, 'utf8'));
+
+    for (const address of newAddresses.filter(a => !oldAddresses.includes(a))) {
+      await execaCommand(`ip address add ${address} dev ${name}`);
+    }
+    for (const address of oldAddresses.filter(a => !newAddresses.includes(a))) {
+      await execaCommand(`ip address del ${address} dev ${name}`);
+    }
+  }
+};
+
+let driver = systemDriver;
+
+// Swap the backend (--dry-run uses the simulated one)
+function useDriver(next) {
+  driver = next;
+}
+
+function getDriver() {
+  return driver;
+}
+
+// Bring up the interface for a config (named after the file, as wg-quick does)
+function bringUp(cfgPath) {
+  return driver.up(cfgPath);
+}
+
+function bringDown(cfgPath, { signal } = {}) {
+  return driver.down(cfgPath, { signal });
+}
+
+// Read the live state of an interface, or null if it is not up
+async function showInterface(name = INTERFACE_NAME) {
+  try {
+    return parseDump(await driver.dump(name));
+  } catch (error) {
+    return null;
+  }
+}
+
+// All values of a `Key = a, b` setting in a config, in order
+function readConfigValues(configText, key) {
+  const values = [];
+  const pattern = new RegExp(`^\\s*${key}\\s*=\\s*(.+)$`, 'i');
+  configText.split('\n').forEach(line => {
+    const match = line.match(pattern);
+    if (match) {
+      match[1].split(',').map(v => v.trim()).filter(Boolean).forEach(v => values.push(v));
+    }
+  });
+  return values;
+}
+
+// Addresses from the [Interface] `Address =` lines of a config
+function readAddresses(configText) {
+  return readConfigValues(configText, 'Address');
+}
+
+// The peer endpoint of a config as { host, port }, or null
+function readEndpoint(configText) {
+  const [endpoint] = readConfigValues(configText, 'Endpoint');
+  const match = endpoint && endpoint.match(/^\[?([^\]]+?)\]?:(\d+)$/);
+  return match ? { host: match[1], port: Number(match[2]) } : null;
+}
+
+// Swap a running interface over to a new config without taking it down
+function syncConfig(name, cfgPath, previousConfigText) {
+  return driver.sync(name, cfgPath, previousConfigText);
+}
+
+module.exports = {
+  INTERFACE_NAME,
+  systemDriver,
+  useDriver,
+  getDriver,
+  bringUp,
+  bringDown,
+  parseDump,
+  showInterface,
+  readConfigValues,
+  readAddresses,
+  readEndpoint,
+  syncConfig
+};
@@ -0,0 +1,58 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+  parseCountryCodes,
+  resolveRegion,
+  buildPreferences,
+  preferredCountry,
+  describePreferences
+} = require('../lib/countries.cjs');
+
+test('parseCountryCodes upper-cases and rejects unknown codes', () => {
+  assert.deepStrictEqual(parseCountryCodes(['de', 'NL']), ['DE', 'NL']);
+  assert.throws(() => parseCountryCodes(['de', 'XX', 'YY']), /Unknown country codes: XX, YY/);
+});
+
+test('resolveRegion returns the countries of a continent', () => {
+  const europe = resolveRegion('Europe');
+  assert.ok(europe.includes('DE'));
+  assert.ok(europe.includes('NL'));
+  assert.ok(!europe.includes('US'));
+});
+
+test('resolveRegion keeps the countries the old regions always meant', () => {
+  assert.deepStrictEqual(resolveRegion('US'), ['US', 'CA']);
+  assert.deepStrictEqual(resolveRegion('eu'), ['DE', 'FR', 'GB', 'IT', 'ES']);
+  assert.deepStrictEqual(resolveRegion('ASIA'), ['JP', 'KR', 'SG', 'IN']);
+  assert.ok(resolveRegion('all-asia').includes('VN'));
+});
+
+test('resolveRegion lets user groups add to and replace the continents', () => {
+  const userGroups = { Nordics: ['se', 'no', 'fi', 'dk'], europe: ['DE'] };
+
+  assert.deepStrictEqual(resolveRegion('nordics', userGroups), ['SE', 'NO', 'FI', 'DK']);
+  assert.deepStrictEqual(resolveRegion('europe', userGroups), ['DE']);
+});
+
+test('resolveRegion rejects unknown regions and bad codes in user groups', () => {
+  assert.throws(() => resolveRegion('atlantis'), /Unknown region: atlantis\. Choose from africa, /);
+  assert.throws(() => resolveRegion('mine', { mine: ['DE', 'XX'] }), /Region mine: Unknown country code: XX/);
+});
+
+test('buildPreferences puts each country in its own tier and the region last', () => {
+  const tiers = buildPreferences({ countries: ['nl', 'de'], region: 'mine', userGroups: { mine: ['FR', 'BE'] } });
+  assert.deepStrictEqual(tiers, [['NL'], ['DE'], ['FR', 'BE']]);
+  assert.deepStrictEqual(buildPreferences({}), []);
+});
+
+test('preferredCountry picks from the first tier the validator can serve', () => {
+  const tiers = [['NL'], ['DE'], ['FR', 'BE']];
+
+  assert.strictEqual(preferredCountry(['BE', 'DE'], tiers), 'DE');
+  assert.strictEqual(preferredCountry(['BE', 'FR'], tiers), 'FR');
+  assert.strictEqual(preferredCountry(['US'], tiers), null);
+});
+
+test('describePreferences lists the countries, then the region', () => {
+  assert.strictEqual(describePreferences({ countries: ['nl', 'de'], region: 'europe' }), 'NL, then DE, then the europe region');
+});
@@ -0,0 +1,100 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { spawn, execFile } = require('child_process');
+
+const CLI = path.join(__dirname, '..', 'index.cjs');
+
+// Settings, state and runtime files of the run, kept out of the user's own
+function isolatedEnv(root) {
+  return {
+    ...process.env,
+    XDG_CONFIG_HOME: path.join(root, 'config'),
+    XDG_STATE_HOME: path.join(root, 'state'),
+    XDG_CACHE_HOME: path.join(root, 'cache'),
+    XDG_DATA_HOME: path.join(root, 'data'),
+    XDG_RUNTIME_DIR: path.join(root, 'run'),
+    FORCE_COLOR: '0'
+  };
+}
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+// Start the CLI, collecting everything it prints in `child.output`
+function spawnCli(args, env) {
+  const child = spawn(process.execPath, [CLI, ...args], { env, stdio: ['ignore', 'pipe', 'pipe'] });
+  child.output = '';
+  child.stdout.on('data', chunk => { child.output += chunk; });
+  child.stderr.on('data', chunk => { child.output += chunk; });
+  child.closed = new Promise(resolve => child.once('close', code => resolve(code)));
+  return child;
+}
+
+async function waitForOutput(child, pattern, timeout = 60000) {
+  const deadline = Date.now() + timeout;
+  while (!pattern.test(child.output)) {
+    if (child.exitCode !== null || Date.now() > deadline) {
+      throw new Error(`Gave up waiting for ${pattern}:\n${child.output}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+}
+
+function run(args, env) {
+  return new Promise(resolve => {
+    execFile(process.execPath, [CLI, ...args], { env, timeout: 60000 }, (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, stdout, stderr });
+    });
+  });
+}
+
+function stop(child, signal = 'SIGTERM') {
+  if (child.exitCode === null && child.signalCode === null) {
+    child.kill(signal);
+  }
+  return child.closed;
+}
+
+test('dry-run connect and disconnect against a mock validator', async t => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'tpn-connect-test-'));
+  const env = isolatedEnv(root);
+
+  const mock = spawnCli(['mock-validator', '--port', String(await freePort())], env);
+  let connect = null;
+  t.after(async () => {
+    await Promise.all([connect && stop(connect, 'SIGKILL'), stop(mock)]);
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+  await waitForOutput(mock, /listening on/);
+
+  connect = spawnCli(['--dry-run', 'connect', '-q', '-t', '5'], env);
+  await waitForOutput(connect, /Connection established/);
+
+  const connected = await run(['--dry-run', 'status', '--output', 'json'], env);
+  assert.strictEqual(connected.code, 0, connected.stderr);
+  const status = JSON.parse(connected.stdout);
+  assert.strictEqual(status.connected, true);
+  assert.strictEqual(status.session.validator.UID, '900');
+  assert.ok(fs.existsSync(status.session.cfgPath));
+
+  // Ctrl+C on a foreground connect disconnects
+  assert.strictEqual(await stop(connect, 'SIGINT'), 0);
+  assert.match(connect.output, /Successfully disconnected/);
+  assert.ok(!fs.existsSync(status.session.cfgPath), 'the session config was not shredded');
+
+  const after = await run(['--dry-run', 'status', '--output', 'json'], env);
+  assert.strictEqual(after.code, 3);
+  assert.strictEqual(JSON.parse(after.stdout).connected, false);
+});
@@ -0,0 +1,95 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { checkHooks, hooksTimeout, hookEnvironment, runHooks } = require('../lib/hooks.cjs');
+
+test('checkHooks accepts commands and hook objects', () => {
+  assert.strictEqual(checkHooks({
+    'pre-connect': [{ command: 'true', timeout: 5, abortOnFailure: true }],
+    'disconnected': ['logger tpn down']
+  }), null);
+});
+
+test('checkHooks explains what is wrong with a hook', () => {
+  assert.strictEqual(checkHooks([]), 'hooks must map event names to lists of commands');
+  assert.match(checkHooks({ 'connected': [] }), /^hooks: unknown event "connected" \(events: pre-connect, /);
+  assert.strictEqual(checkHooks({ 'panic': 'true' }), 'hooks.panic must be a list of commands');
+  assert.strictEqual(checkHooks({ 'panic': [{ command: '' }] }), 'hooks.panic[0] must be a command, or an object with a command');
+  assert.strictEqual(checkHooks({ 'panic': ['true', { command: 'true', timeout: -1 }] }), 'hooks.panic[1]: timeout must be a positive number of seconds');
+  assert.strictEqual(checkHooks({ 'failover': [{ command: 'true', abortOnFailure: true }] }), 'hooks.failover[0]: abortOnFailure only applies to pre-connect hooks');
+});
+
+test('hooksTimeout adds up the timeouts of an event\'s hooks', () => {
+  const hooks = { 'disconnected': ['logger tpn down', { command: 'sync-notes', timeout: 5 }] };
+
+  assert.strictEqual(hooksTimeout(hooks, 'disconnected'), 35);
+  assert.strictEqual(hooksTimeout(hooks, 'panic'), 0);
+  assert.strictEqual(hooksTimeout(undefined, 'panic'), 0);
+});
+
+test('hookEnvironment maps the payload to TPN_* variables and drops missing ones', () => {
+  assert.deepStrictEqual(hookEnvironment({
+    event: 'post-connect',
+    validator: { UID: 7, Axon: '203.0.113.5:3000' },
+    geo: 'NL',
+    ipAfter: '203.0.113.5',
+    risk: { level: 'LOW', score: 10 },
+    dryRun: false
+  }), {
+    TPN_EVENT: 'post-connect',
+    TPN_VALIDATOR: '7',
+    TPN_VALIDATOR_AXON: '203.0.113.5:3000',
+    TPN_GEO: 'NL',
+    TPN_IP_AFTER: '203.0.113.5',
+    TPN_RISK_LEVEL: 'LOW',
+    TPN_RISK_SCORE: '10'
+  });
+});
+
+test('runHooks passes the payload on stdin and in the environment', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tpn-connect-test-'));
+  const out = path.join(dir, 'payload.json');
+  try {
+    const results = await runHooks({ failover: [`cat > "${out}"`, 'cat > /dev/null; test "$TPN_EVENT:$TPN_REASON" = failover:stale'] }, 'failover', { reason: 'stale' });
+
+    assert.deepStrictEqual(results.map(result => result.ok), [true, true]);
+    const payload = JSON.parse(fs.readFileSync(out, 'utf8'));
+    assert.strictEqual(payload.event, 'failover');
+    assert.strictEqual(payload.reason, 'stale');
+    assert.ok(payload.timestamp);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('runHooks reports failures and timeouts without throwing', async () => {
+  const results = await runHooks({
+    'pre-connect': [
+      { command: 'cat > /dev/null; echo nope >&2; exit 3', abortOnFailure: true },
+      { command: 'sleep 5', timeout: 0.2 }
+    ]
+  }, 'pre-connect', {});
+
+  assert.deepStrictEqual(results.map(({ ok, exitCode, timedOut, abortOnFailure, stderr }) => ({ ok, exitCode, timedOut, abortOnFailure, stderr })), [
+    { ok: false, exitCode: 3, timedOut: false, abortOnFailure: true, stderr: 'nope' },
+    { ok: false, exitCode: null, timedOut: true, abortOnFailure: false, stderr: '' }
+  ]);
+  assert.ok(results[1].seconds < 5);
+});
+
+test('runHooks judges a hook that ignores its input by how it exits', async () => {
+  const results = await runHooks({ 'disconnected': ['true', 'exit 4', 'true'] }, 'disconnected', { reason: 'user' });
+
+  assert.deepStrictEqual(results.map(({ ok, exitCode, timedOut }) => ({ ok, exitCode, timedOut })), [
+    { ok: true, exitCode: 0, timedOut: false },
+    { ok: false, exitCode: 4, timedOut: false },
+    { ok: true, exitCode: 0, timedOut: false }
+  ]);
+});
+
+test('runHooks does nothing for events without hooks', async () => {
+  assert.deepStrictEqual(await runHooks({}, 'panic', {}), []);
+  assert.deepStrictEqual(await runHooks(undefined, 'panic', {}), []);
+});
@@ -0,0 +1,59 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { MODES, buildNftRuleset, buildIptablesRules } = require('../lib/killswitch.cjs');
+
+const spec = {
+  mode: MODES.TUNNEL,
+  interfaceName: 'tpn-connect',
+  destinations: [
+    { address: '203.0.113.5', port: 51820, protocol: 'udp' },
+    { address: '2001:db8::5', port: 3000, protocol: 'tcp' }
+  ]
+};
+
+test('buildNftRuleset allows loopback, the tunnel and its endpoints, and drops the rest', () => {
+  assert.strictEqual(buildNftRuleset(spec), [
+    'table inet tpn_killswitch',
+    'delete table inet tpn_killswitch',
+    'table inet tpn_killswitch {',
+    '  chain output {',
+    '    type filter hook output priority 0; policy drop;',
+    '    oifname "lo" accept',
+    '    oifname "tpn-connect" accept',
+    '    ip daddr 203.0.113.5 udp dport 51820 accept',
+    '    ip6 daddr 2001:db8::5 tcp dport 3000 accept',
+    '  }',
+    '}',
+    ''
+  ].join('\n'));
+});
+
+test('buildNftRuleset in block-all mode leaves only loopback', () => {
+  const ruleset = buildNftRuleset({ ...spec, mode: MODES.BLOCK_ALL });
+
+  assert.match(ruleset, /oifname "lo" accept/);
+  assert.doesNotMatch(ruleset, /tpn-connect|daddr/);
+  assert.match(ruleset, /policy drop/);
+});
+
+test('buildIptablesRules splits destinations by address family', () => {
+  assert.deepStrictEqual(buildIptablesRules(spec, false), [
+    ['-o', 'lo', '-j', 'RETURN'],
+    ['-o', 'tpn-connect', '-j', 'RETURN'],
+    ['-d', '203.0.113.5', '-p', 'udp', '--dport', '51820', '-j', 'RETURN'],
+    ['-j', 'DROP']
+  ]);
+  assert.deepStrictEqual(buildIptablesRules(spec, true), [
+    ['-o', 'lo', '-j', 'RETURN'],
+    ['-o', 'tpn-connect', '-j', 'RETURN'],
+    ['-d', '2001:db8::5', '-p', 'tcp', '--dport', '3000', '-j', 'RETURN'],
+    ['-j', 'DROP']
+  ]);
+});
+
+test('buildIptablesRules in block-all mode drops everything but loopback', () => {
+  assert.deepStrictEqual(buildIptablesRules({ ...spec, mode: MODES.BLOCK_ALL }, false), [
+    ['-o', 'lo', '-j', 'RETURN'],
+    ['-j', 'DROP']
+  ]);
+});
@@ -0,0 +1,28 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { RENEW_BEFORE_SECONDS, sessionMinutesLeft, renewalMinutes, shouldRenew } = require('../lib/lease.cjs');
+
+const startedAt = '2024-01-01T12:00:00.000Z';
+const minutesIn = minutes => new Date(startedAt).getTime() + minutes * 60000;
+
+test('sessionMinutesLeft counts down from the session cap', () => {
+  assert.strictEqual(sessionMinutesLeft({ startedAt, maxSessionMinutes: null }, minutesIn(500)), Infinity);
+  assert.strictEqual(sessionMinutesLeft({ startedAt, maxSessionMinutes: 60 }, minutesIn(15)), 45);
+  assert.strictEqual(sessionMinutesLeft({ startedAt, maxSessionMinutes: 60 }, minutesIn(90)), 0);
+});
+
+test('renewalMinutes clips the next lease to the cap', () => {
+  assert.strictEqual(renewalMinutes({ startedAt }, 30, minutesIn(100)), 30);
+  assert.strictEqual(renewalMinutes({ startedAt, maxSessionMinutes: 60 }, 30, minutesIn(10)), 30);
+  assert.strictEqual(renewalMinutes({ startedAt, maxSessionMinutes: 60 }, 30, minutesIn(40.5)), 19);
+  assert.strictEqual(renewalMinutes({ startedAt, maxSessionMinutes: 60 }, 30, minutesIn(59.5)), 0);
+});
+
+test('shouldRenew only renews auto-renewing sessions near the end of the lease', () => {
+  const session = { startedAt, autoRenew: true, leaseMinutes: 10, maxSessionMinutes: null };
+
+  assert.strictEqual(shouldRenew(session, RENEW_BEFORE_SECONDS + 1, minutesIn(9)), false);
+  assert.strictEqual(shouldRenew(session, RENEW_BEFORE_SECONDS, minutesIn(9)), true);
+  assert.strictEqual(shouldRenew({ ...session, autoRenew: false }, 5, minutesIn(9)), false);
+  assert.strictEqual(shouldRenew({ ...session, maxSessionMinutes: 10 }, 5, minutesIn(9.5)), false);
+});
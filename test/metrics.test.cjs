@@ -0,0 +1,75 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { DEFAULT_METRICS_HOST, parseListenAddress, renderMetrics } = require('../lib/metrics.cjs');
+
+test('parseListenAddress accepts a port, host:port or [ipv6]:port', () => {
+  assert.deepStrictEqual(parseListenAddress('9617'), { host: DEFAULT_METRICS_HOST, port: 9617 });
+  assert.deepStrictEqual(parseListenAddress('0.0.0.0:9617'), { host: '0.0.0.0', port: 9617 });
+  assert.deepStrictEqual(parseListenAddress('localhost:9617'), { host: 'localhost', port: 9617 });
+  assert.deepStrictEqual(parseListenAddress('[::1]:9617'), { host: '::1', port: 9617 });
+});
+
+test('parseListenAddress rejects bad ports and addresses', () => {
+  assert.throws(() => parseListenAddress('0'), /Invalid listen address/);
+  assert.throws(() => parseListenAddress('127.0.0.1:70000'), /Invalid listen address/);
+  assert.throws(() => parseListenAddress('::1:9617'), /Invalid listen address/);
+  assert.throws(() => parseListenAddress('[localhost]:9617'), /Invalid IPv6 address/);
+});
+
+test('renderMetrics reports a down tunnel on its own', () => {
+  assert.strictEqual(renderMetrics({ up: false, interface: 'tpn-connect' }), [
+    '# HELP tpn_tunnel_up Whether the WireGuard interface is up (1) or down (0).',
+    '# TYPE tpn_tunnel_up gauge',
+    'tpn_tunnel_up{interface="tpn-connect"} 0',
+    ''
+  ].join('\n'));
+});
+
+test('renderMetrics covers the session, tunnel and risk', () => {
+  const text = renderMetrics({
+    up: true,
+    interface: 'tpn-connect',
+    session: {
+      validator: '900',
+      axon: '127.0.0.1:3999',
+      country: 'NL',
+      startedAt: '2024-01-01T00:00:00.000Z',
+      leaseRemaining: 120,
+      renewals: 2,
+      failovers: 0
+    },
+    tunnel: { handshakeAge: 15, latestHandshake: 1704067185, rxBytes: 2048, txBytes: 512 },
+    risk: { level: 'MEDIUM', score: 40 }
+  });
+
+  for (const line of [
+    'tpn_tunnel_up{interface="tpn-connect"} 1',
+    'tpn_session_info{validator="900",axon="127.0.0.1:3999",country="NL"} 1',
+    'tpn_session_start_timestamp_seconds 1704067200',
+    'tpn_lease_remaining_seconds 120',
+    'tpn_renewals_total 2',
+    'tpn_failovers_total 0',
+    'tpn_handshake_age_seconds 15',
+    'tpn_receive_bytes_total 2048',
+    'tpn_transmit_bytes_total 512',
+    'tpn_risk_level{level="MEDIUM"} 1',
+    'tpn_risk_level{level="HIGH"} 0',
+    'tpn_risk_score 40',
+    '# TYPE tpn_renewals_total counter'
+  ]) {
+    assert.ok(text.split('\n').includes(line), `missing: ${line}`);
+  }
+});
+
+test('renderMetrics leaves out missing values and escapes labels', () => {
+  const text = renderMetrics({
+    up: true,
+    interface: 'tpn-connect',
+    session: { validator: 'a"b\\c', axon: 'x', country: 'NL', startedAt: '2024-01-01T00:00:00.000Z', leaseRemaining: null },
+    tunnel: { handshakeAge: null, latestHandshake: 0, rxBytes: 0, txBytes: 0 }
+  });
+
+  assert.match(text, /tpn_session_info\{validator="a\\"b\\\\c",axon="x",country="NL"\} 1/);
+  assert.doesNotMatch(text, /tpn_lease_remaining_seconds|tpn_handshake_age_seconds|tpn_last_handshake_timestamp_seconds/);
+  assert.match(text, /tpn_receive_bytes_total 0/);
+});
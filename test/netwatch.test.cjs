@@ -0,0 +1,15 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { networkKey } = require('../lib/netwatch.cjs');
+
+const cafe = { type: 'wifi', ssid: 'Cafe', bssid: 'aa:bb:cc:00:00:01', security: 'WPA2', gateway: '192.168.1.1', device: 'wlan0' };
+
+test('networkKey ignores roaming between access points of one network', () => {
+  assert.strictEqual(networkKey({ ...cafe, bssid: 'aa:bb:cc:00:00:02' }), networkKey(cafe));
+});
+
+test('networkKey tells networks apart by SSID, gateway and device', () => {
+  assert.notStrictEqual(networkKey({ ...cafe, ssid: 'Cafe Guest' }), networkKey(cafe));
+  assert.notStrictEqual(networkKey({ ...cafe, gateway: '10.0.0.1' }), networkKey(cafe));
+  assert.notStrictEqual(networkKey({ ...cafe, type: 'wired', ssid: null, bssid: null }), networkKey(cafe));
+});
@@ -0,0 +1,151 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { execa } = require('execa');
+const { STEP_STATUS, checkPlaybook, buildPlaybook, playbookTimeout, runPlaybook } = require('../lib/panic.cjs');
+
+// Handlers in the shape of PANIC_STEPS that only record what they were asked to do
+function fakeSteps(calls) {
+  const step = (name, run, system = false) => ({
+    system,
+    describe: () => `Do ${name}`,
+    run: async entry => {
+      calls.push(name);
+      return run(entry);
+    }
+  });
+  return {
+    good: step('good', () => 'done'),
+    bad: step('bad', () => { throw new Error('broke'); }),
+    slow: step('slow', () => new Promise(resolve => setTimeout(() => resolve('late'), 1000))),
+    machine: step('machine', () => 'changed the machine', true)
+  };
+}
+
+const statuses = report => report.steps.map(result => result.status);
+
+test('checkPlaybook explains what is wrong with a step', () => {
+  assert.strictEqual(checkPlaybook([{ step: 'disconnect' }, { step: 'flush-dns', timeout: 5 }]), null);
+  assert.strictEqual(checkPlaybook({}), 'panicPlaybook must be a list of steps');
+  assert.match(checkPlaybook([{ step: 'reboot' }]), /^panicPlaybook step 1: step must be one of disconnect, /);
+  assert.strictEqual(checkPlaybook([{ step: 'disconnect', timeout: 0 }]), 'panicPlaybook step 1: timeout must be a positive number of seconds');
+  assert.strictEqual(checkPlaybook([{ step: 'kill-processes' }]), 'panicPlaybook step 1: kill-processes needs a list of process names');
+});
+
+test('buildPlaybook fills in defaults and blocks traffic first when asked', () => {
+  assert.deepStrictEqual(buildPlaybook([{ step: 'disconnect', continueOnError: false }], { blockAll: true }), [
+    { step: 'block-traffic', timeout: 10, continueOnError: true },
+    { step: 'disconnect', timeout: 10, continueOnError: false }
+  ]);
+});
+
+test('playbookTimeout adds up the step timeouts and their grace', () => {
+  assert.strictEqual(playbookTimeout(buildPlaybook(undefined, { blockAll: true })), 48);
+  assert.strictEqual(playbookTimeout(buildPlaybook([{ step: 'wifi-off', timeout: 2.5 }])), 4.5);
+});
+
+test('runPlaybook carries on past failures unless a step says otherwise', async () => {
+  const calls = [];
+  const report = await runPlaybook(
+    buildPlaybook([{ step: 'good' }, { step: 'bad' }, { step: 'good' }, { step: 'bad', continueOnError: false }, { step: 'good' }]),
+    fakeSteps(calls)
+  );
+
+  assert.deepStrictEqual(statuses(report), [STEP_STATUS.OK, STEP_STATUS.FAILED, STEP_STATUS.OK, STEP_STATUS.FAILED, STEP_STATUS.NOT_RUN]);
+  assert.deepStrictEqual(calls, ['good', 'bad', 'good', 'bad']);
+  assert.strictEqual(report.steps[0].detail, 'done');
+  assert.strictEqual(report.steps[1].detail, 'broke');
+  assert.strictEqual(report.completed, false);
+});
+
+test('runPlaybook gives up on a step that overruns its timeout', async () => {
+  const report = await runPlaybook(buildPlaybook([{ step: 'slow', timeout: 0.05 }, { step: 'good' }]), fakeSteps([]));
+
+  assert.deepStrictEqual(statuses(report), [STEP_STATUS.TIMED_OUT, STEP_STATUS.OK]);
+  assert.strictEqual(report.steps[0].detail, 'Timed out after 0.05s');
+});
+
+test('runPlaybook kills the subprocess of a step that times out', async () => {
+  let child;
+  const steps = {
+    hang: {
+      describe: () => 'Hang',
+      run: (entry, { signal }) => {
+        child = execa('sleep', ['5'], { signal });
+        return child;
+      }
+    }
+  };
+  const report = await runPlaybook(buildPlaybook([{ step: 'hang', timeout: 0.2 }]), steps);
+
+  assert.deepStrictEqual(statuses(report), [STEP_STATUS.TIMED_OUT]);
+  const outcome = await child.catch(error => error);
+  assert.strictEqual(outcome.isCanceled, true);
+  assert.strictEqual(child.killed, true);
+});
+
+test('runPlaybook waits for a timed-out step to stop before going on', async () => {
+  const events = [];
+  const steps = {
+    stubborn: {
+      describe: () => 'Ignore the signal',
+      run: () => new Promise(resolve => setTimeout(resolve, 5000))
+    },
+    polite: {
+      describe: () => 'Stop when asked',
+      run: (entry, { signal }) => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => {
+          events.push('polite stopped');
+          reject(new Error('aborted'));
+        });
+      })
+    },
+    next: {
+      describe: () => 'Run after the others',
+      run: async () => {
+        events.push('next ran');
+        return 'done';
+      }
+    }
+  };
+  const report = await runPlaybook(buildPlaybook([{ step: 'polite', timeout: 0.05 }, { step: 'next' }, { step: 'stubborn', timeout: 0.05 }]), steps);
+
+  assert.deepStrictEqual(events, ['polite stopped', 'next ran']);
+  assert.deepStrictEqual(report.steps.map(result => result.detail), ['Timed out after 0.05s', 'done', 'Timed out after 0.05s, still running']);
+  assert.ok(report.steps[2].seconds < 5);
+});
+
+test('runPlaybook only describes the steps in a preview', async () => {
+  const calls = [];
+  const seen = [];
+  const report = await runPlaybook(buildPlaybook([{ step: 'good' }, { step: 'machine' }]), fakeSteps(calls), {
+    preview: true,
+    onStep: result => seen.push(result.step)
+  });
+
+  assert.deepStrictEqual(calls, []);
+  assert.deepStrictEqual(statuses(report), [STEP_STATUS.PLANNED, STEP_STATUS.PLANNED]);
+  assert.strictEqual(report.steps[1].detail, 'Do machine');
+  assert.deepStrictEqual(seen, ['good', 'machine']);
+  assert.strictEqual(report.preview, true);
+});
+
+test('runPlaybook previews the other steps when one cannot be described', async () => {
+  const steps = {
+    ...fakeSteps([]),
+    broken: { describe: () => { throw new Error('EACCES'); }, run: async () => 'never' }
+  };
+  const report = await runPlaybook(buildPlaybook([{ step: 'broken' }, { step: 'good' }]), steps, { preview: true });
+
+  assert.deepStrictEqual(statuses(report), [STEP_STATUS.PLANNED, STEP_STATUS.PLANNED]);
+  assert.deepStrictEqual(report.steps.map(result => result.detail), ['Run broken (could not describe it: EACCES)', 'Do good']);
+});
+
+test('runPlaybook skips steps that touch the machine in a dry run', async () => {
+  const calls = [];
+  const report = await runPlaybook(buildPlaybook([{ step: 'good' }, { step: 'machine' }]), fakeSteps(calls), { skipSystem: true });
+
+  assert.deepStrictEqual(calls, ['good']);
+  assert.deepStrictEqual(statuses(report), [STEP_STATUS.OK, STEP_STATUS.SKIPPED]);
+  assert.strictEqual(report.steps[1].detail, 'Dry run: would do machine');
+  assert.strictEqual(report.completed, true);
+});
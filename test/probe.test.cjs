@@ -0,0 +1,66 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { probeValidator, probeValidators, rankProbeResults, selectBestValidator } = require('../lib/probe.cjs');
+
+const result = (uid, healthy, latency, countries = ['NL']) => ({ validator: { UID: uid }, healthy, latency, countries });
+
+// A validator stand-in answering /api/config/countries with `body`
+function startValidator(body) {
+  const server = http.createServer((request, response) => {
+    response.writeHead(200, { 'Content-Type': 'application/json' }).end(JSON.stringify(body));
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+test('rankProbeResults puts healthy validators first, fastest first', () => {
+  const ranked = rankProbeResults([
+    result('slow', true, 300),
+    result('down', false, null),
+    result('fast', true, 20),
+    result('mid', true, 90)
+  ]);
+
+  assert.deepStrictEqual(ranked.map(r => r.validator.UID), ['fast', 'mid', 'slow', 'down']);
+});
+
+test('selectBestValidator takes the fastest healthy validator for a wanted country', () => {
+  const ranked = rankProbeResults([
+    result('1', true, 10, ['US']),
+    result('2', true, 50, ['NL', 'DE']),
+    result('3', true, 30, []),
+    result('4', false, null, ['DE'])
+  ]);
+
+  assert.strictEqual(selectBestValidator(ranked).validator.UID, '1');
+  assert.strictEqual(selectBestValidator(ranked, ['DE']).validator.UID, '2');
+  assert.strictEqual(selectBestValidator(ranked, ['JP', 'NL']).validator.UID, '2');
+  assert.strictEqual(selectBestValidator(ranked, ['JP']), null);
+  assert.strictEqual(selectBestValidator([result('5', false, null)]), null);
+});
+
+test('probeValidator reports reachability, latency and countries', async t => {
+  const good = await startValidator(['NL', 'DE']);
+  const odd = await startValidator({ error: 'maintenance' });
+  t.after(() => {
+    good.close();
+    odd.close();
+  });
+
+  const healthy = await probeValidator({ UID: '1', Axon: `127.0.0.1:${good.address().port}` });
+  assert.strictEqual(healthy.healthy, true);
+  assert.deepStrictEqual(healthy.countries, ['NL', 'DE']);
+  assert.ok(healthy.latency >= 0);
+
+  const unexpected = await probeValidator({ UID: '2', Axon: `127.0.0.1:${odd.address().port}` });
+  assert.strictEqual(unexpected.healthy, false);
+  assert.strictEqual(unexpected.error, 'Unexpected response format');
+
+  // Port 1 is never a validator; the connection is refused at once
+  const ranked = await probeValidators([
+    { UID: '3', Axon: '127.0.0.1:1' },
+    { UID: '1', Axon: `127.0.0.1:${good.address().port}` }
+  ], { timeout: 2000 });
+  assert.deepStrictEqual(ranked.map(r => [r.validator.UID, r.healthy]), [['1', true], ['3', false]]);
+  assert.strictEqual(ranked[1].latency, null);
+});
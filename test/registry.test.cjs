@@ -0,0 +1,112 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { getCachePath, getOverridesPath, validateValidatorList, mergeOverrides, loadValidators, updateValidators } = require('../lib/registry.cjs');
+
+const list = [
+  { UID: 1, Axon: '203.0.113.1:3000', Location: 'US' },
+  { UID: '2', Axon: 'validator.example.com:3000', Location: 'EU' }
+];
+
+// Every test gets its own config dir, so caches and overrides never leak between them
+beforeEach(() => {
+  process.env.XDG_CONFIG_HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'tpn-connect-registry-'));
+});
+
+afterEach(() => {
+  fs.rmSync(process.env.XDG_CONFIG_HOME, { recursive: true, force: true });
+});
+
+function writeJson(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(data));
+}
+
+test('validateValidatorList normalises UIDs and accepts a wrapped list', () => {
+  assert.deepStrictEqual(validateValidatorList(list).map(v => v.UID), ['1', '2']);
+  assert.deepStrictEqual(validateValidatorList({ validators: list }).map(v => v.UID), ['1', '2']);
+});
+
+test('validateValidatorList reports every problem at once', () => {
+  assert.throws(() => validateValidatorList('nope'), /must be an array/);
+  assert.throws(() => validateValidatorList([]), /Validator list is empty/);
+  assert.throws(() => validateValidatorList([
+    ...list,
+    { UID: '2', Axon: '203.0.113.9:3000', Location: 'US' },
+    { Axon: '203.0.113.9:99999', Location: '' }
+  ]), error => {
+    assert.match(error.message, /#2: duplicate UID 2/);
+    assert.match(error.message, /#3: missing UID/);
+    assert.match(error.message, /#3: invalid Axon "203.0.113.9:99999"/);
+    assert.match(error.message, /#3: missing Location/);
+    return true;
+  });
+});
+
+test('mergeOverrides replaces, adds and disables validators by UID', () => {
+  const merged = mergeOverrides(validateValidatorList(list), [
+    { UID: 1, Location: 'NL' },
+    { UID: '2', disabled: true },
+    { UID: 3, Axon: '198.51.100.3:3000', Location: 'DE' }
+  ]);
+
+  assert.deepStrictEqual(merged, [
+    { UID: '1', Axon: '203.0.113.1:3000', Location: 'NL' },
+    { UID: '3', Axon: '198.51.100.3:3000', Location: 'DE' }
+  ]);
+});
+
+test('mergeOverrides names the UIDs of broken overrides', () => {
+  assert.throws(
+    () => mergeOverrides(validateValidatorList(list), [{ UID: 1, Axon: 'x' }, { UID: 7, Axon: '198.51.100.7:3000' }]),
+    { message: 'Invalid validator overrides:\n  UID 1: invalid Axon "x" (expected host:port)\n  UID 7: missing Location' }
+  );
+});
+
+test('loadValidators prefers a fresh cache and applies overrides', () => {
+  writeJson(getCachePath(), { fetchedAt: new Date().toISOString(), source: 'test', validators: list });
+  writeJson(getOverridesPath(), [{ UID: '2', disabled: true }]);
+
+  const result = loadValidators();
+  assert.strictEqual(result.source, 'cache');
+  assert.deepStrictEqual(result.validators.map(v => v.UID), ['1']);
+  assert.deepStrictEqual(result.warnings, []);
+});
+
+test('loadValidators refuses overrides that disable every validator', () => {
+  writeJson(getCachePath(), { fetchedAt: new Date().toISOString(), source: 'test', validators: list });
+  writeJson(getOverridesPath(), [{ UID: 1, disabled: true }, { UID: 2, disabled: true }]);
+
+  assert.throws(() => loadValidators(), {
+    message: `Validator overrides disable every validator (${getOverridesPath()}); re-enable at least one`
+  });
+});
+
+test('loadValidators warns about a stale or broken cache', () => {
+  writeJson(getCachePath(), { fetchedAt: '2020-01-01T00:00:00.000Z', source: 'test', validators: list });
+  const stale = loadValidators();
+  assert.strictEqual(stale.stale, true);
+  assert.match(stale.warnings[0], /stale/);
+
+  writeJson(getCachePath(), { fetchedAt: new Date().toISOString(), validators: [{ UID: '1' }] });
+  const broken = loadValidators();
+  assert.strictEqual(broken.source, 'bundled');
+  assert.match(broken.warnings[0], /Ignoring unreadable validator cache/);
+});
+
+test('updateValidators validates and caches the registry list', async t => {
+  const server = http.createServer((request, response) => {
+    response.writeHead(200, { 'Content-Type': 'application/json' }).end(JSON.stringify({ validators: list }));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+
+  const url = `http://127.0.0.1:${server.address().port}/validators.json`;
+  const result = await updateValidators({ url });
+  assert.strictEqual(result.source, url);
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(getCachePath(), 'utf8')).validators.map(v => v.UID), ['1', '2']);
+  assert.strictEqual(loadValidators().source, 'cache');
+});
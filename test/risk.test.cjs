@@ -0,0 +1,94 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { RISK_LEVELS, DEFAULT_RULES, normalizeEncryption, checkRules, mergeRules, atLeast, scoreToLevel, evaluateRisk } = require('../lib/risk.cjs');
+
+const settings = {
+  trustedNetworks: ['Home'],
+  publicHotspotPattern: 'free|guest|airport',
+  highRiskCountries: ['XX'],
+  riskRules: []
+};
+
+function context(network, facts = {}) {
+  return {
+    network,
+    location: { country: 'DE' },
+    locationChecked: true,
+    evilTwin: null,
+    newBssid: null,
+    captivePortal: null,
+    now: new Date(2024, 0, 1, 12),
+    ...facts
+  };
+}
+
+test('normalizeEncryption reduces tool spellings to a few families', () => {
+  assert.strictEqual(normalizeEncryption(''), 'open');
+  assert.strictEqual(normalizeEncryption('--'), 'open');
+  assert.strictEqual(normalizeEncryption('WEP'), 'wep');
+  assert.strictEqual(normalizeEncryption('WPA2 WPA3'), 'wpa3');
+  assert.strictEqual(normalizeEncryption('WPA2-PSK'), 'wpa2');
+  assert.strictEqual(normalizeEncryption('WPA1'), 'wpa');
+  assert.strictEqual(normalizeEncryption('802.1X'), 'unknown');
+});
+
+test('scoreToLevel and atLeast follow the thresholds', () => {
+  assert.strictEqual(scoreToLevel(-40), RISK_LEVELS.SAFE);
+  assert.strictEqual(scoreToLevel(0), RISK_LEVELS.SAFE);
+  assert.strictEqual(scoreToLevel(1), RISK_LEVELS.LOW);
+  assert.strictEqual(scoreToLevel(30), RISK_LEVELS.MEDIUM);
+  assert.strictEqual(scoreToLevel(60), RISK_LEVELS.HIGH);
+
+  assert.ok(atLeast(RISK_LEVELS.HIGH, RISK_LEVELS.MEDIUM));
+  assert.ok(atLeast(RISK_LEVELS.MEDIUM, RISK_LEVELS.MEDIUM));
+  assert.ok(!atLeast(RISK_LEVELS.LOW, RISK_LEVELS.MEDIUM));
+});
+
+test('evaluateRisk scores an open public hotspot as HIGH', () => {
+  const risk = evaluateRisk(context({ type: 'wifi', ssid: 'Airport Free WiFi', security: '' }), settings);
+
+  assert.strictEqual(risk.level, RISK_LEVELS.HIGH);
+  assert.deepStrictEqual(risk.matches.map(match => match.id), ['untrusted-wifi', 'open-wifi', 'public-hotspot']);
+  assert.strictEqual(risk.score, 80);
+});
+
+test('evaluateRisk trusts a known network', () => {
+  const risk = evaluateRisk(context({ type: 'wifi', ssid: 'Home', security: 'WPA2' }), settings);
+
+  assert.strictEqual(risk.level, RISK_LEVELS.SAFE);
+  assert.deepStrictEqual(risk.matches.map(match => match.id), ['trusted-network']);
+});
+
+test('evaluateRisk only uses facts that were checked', () => {
+  const wired = { type: 'ethernet' };
+
+  assert.deepStrictEqual(evaluateRisk(context(wired, { location: null, locationChecked: false }), settings).matches, []);
+  assert.deepStrictEqual(evaluateRisk(context(wired, { location: null }), settings).matches.map(match => match.id), ['unknown-location']);
+  assert.strictEqual(evaluateRisk(context(wired, { location: { country: 'XX' } }), settings).level, RISK_LEVELS.HIGH);
+  assert.strictEqual(evaluateRisk(context({ type: 'none' }), settings).level, RISK_LEVELS.MEDIUM);
+});
+
+test('user rules replace, disable and extend the defaults', () => {
+  const rules = mergeRules([
+    { id: 'open-wifi', when: { network: 'wifi', encryption: ['open'] }, score: 5 },
+    { id: 'public-hotspot', disabled: true },
+    { id: 'night', when: { hours: '22-6' }, score: 25, reason: 'Late at night' }
+  ]);
+
+  assert.strictEqual(rules.length, DEFAULT_RULES.length);
+  assert.strictEqual(rules.find(rule => rule.id === 'open-wifi').score, 5);
+  assert.ok(!rules.some(rule => rule.id === 'public-hotspot'));
+
+  const night = evaluateRisk(context({ type: 'ethernet' }, { now: new Date(2024, 0, 1, 23) }), { ...settings, riskRules: rules });
+  assert.deepStrictEqual(night.matches, [{ id: 'night', score: 25, reason: 'Late at night' }]);
+});
+
+test('checkRules explains what is wrong with a rule', () => {
+  assert.strictEqual(checkRules([{ id: 'ok', when: { network: 'wifi' }, score: 1 }, { id: 'off', disabled: true }]), null);
+  assert.strictEqual(checkRules({}), 'rules must be a list');
+  assert.strictEqual(checkRules([{ when: {}, score: 1 }]), 'every rule needs a string id');
+  assert.match(checkRules([{ id: 'x', when: { moon: 'full' }, score: 1 }]), /unknown condition "moon"/);
+  assert.match(checkRules([{ id: 'x', when: { hours: 'late' }, score: 1 }]), /hours must look like "22-6"/);
+  assert.match(checkRules([{ id: 'x', when: { ssid: '(' }, score: 1 }]), /ssid is not a valid regex/);
+  assert.match(checkRules([{ id: 'x', when: { network: 'wifi' }, score: 'high' }]), /score must be a number/);
+});
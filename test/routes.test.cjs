@@ -0,0 +1,81 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseCidr, formatCidr, containsCidr, subtractCidr, normalizeCidrs, planRoutes, applyAllowedIps } = require('../lib/routes.cjs');
+
+const subtract = (from, remove) => subtractCidr(parseCidr(from), parseCidr(remove)).map(formatCidr);
+
+test('parseCidr clears host bits and formatCidr compresses IPv6', () => {
+  assert.strictEqual(formatCidr(parseCidr('10.1.2.3/8')), '10.0.0.0/8');
+  assert.strictEqual(formatCidr(parseCidr('192.0.2.7')), '192.0.2.7/32');
+  assert.strictEqual(formatCidr(parseCidr('2001:0db8:0000:0000:0000:0000:0000:0001/128')), '2001:db8::1/128');
+  assert.strictEqual(formatCidr(parseCidr('::ffff:192.0.2.1/128')), '::ffff:c000:201/128');
+
+  assert.throws(() => parseCidr('10.0.0.0/40'), /Invalid prefix length/);
+  assert.throws(() => parseCidr('example.com'), /Not an IP address or CIDR/);
+});
+
+test('containsCidr compares within one address family', () => {
+  assert.ok(containsCidr(parseCidr('10.0.0.0/8'), parseCidr('10.20.0.0/16')));
+  assert.ok(!containsCidr(parseCidr('10.20.0.0/16'), parseCidr('10.0.0.0/8')));
+  assert.ok(!containsCidr(parseCidr('0.0.0.0/0'), parseCidr('::1/128')));
+});
+
+test('subtractCidr splits around the removed range', () => {
+  assert.deepStrictEqual(subtract('10.0.0.0/8', '10.0.0.0/9'), ['10.128.0.0/9']);
+  assert.deepStrictEqual(subtract('192.168.0.0/30', '192.168.0.1/32'), ['192.168.0.0/32', '192.168.0.2/31']);
+  assert.deepStrictEqual(subtract('10.0.0.0/8', '10.0.0.0/8'), []);
+  assert.deepStrictEqual(subtract('10.0.0.0/16', '192.168.0.0/16'), ['10.0.0.0/16']);
+});
+
+test('subtractCidr leaves everything but the removed range', () => {
+  const parts = subtractCidr(parseCidr('0.0.0.0/0'), parseCidr('10.0.0.0/8'));
+  const size = cidr => 2n ** BigInt(32 - cidr.prefix);
+
+  assert.strictEqual(parts.length, 8);
+  assert.ok(parts.every(part => !containsCidr(parseCidr('10.0.0.0/8'), part)));
+  assert.strictEqual(parts.reduce((total, part) => total + size(part), 0n), 2n ** 32n - 2n ** 24n);
+
+  assert.deepStrictEqual(subtract('::/0', '8000::/1'), ['::/1']);
+});
+
+test('normalizeCidrs sorts IPv4 first and drops covered ranges', () => {
+  const cidrs = ['::/0', '10.1.0.0/16', '10.0.0.0/8', '10.0.0.0/8', '2001:db8::/32'].map(parseCidr);
+  assert.deepStrictEqual(normalizeCidrs(cidrs).map(formatCidr), ['10.0.0.0/8', '::/0']);
+});
+
+test('planRoutes subtracts excluded ranges and bypass lists', async () => {
+  const plan = await planRoutes({ exclude: ['192.0.2.0/24'], bypass: ['lan'] });
+
+  assert.ok(!plan.allowed.includes('0.0.0.0/0'));
+  for (const kept of ['192.0.2.1', '10.1.2.3', '192.168.1.1', 'fe80::1']) {
+    assert.ok(!plan.allowed.some(cidr => containsCidr(parseCidr(cidr), parseCidr(kept))), `${kept} is still tunnelled`);
+  }
+  assert.ok(plan.allowed.some(cidr => containsCidr(parseCidr(cidr), parseCidr('8.8.8.8'))));
+  assert.deepStrictEqual(plan.excluded[0], { source: '--exclude', entry: '192.0.2.0/24', cidrs: ['192.0.2.0/24'] });
+
+  await assert.rejects(planRoutes({ bypass: ['office'] }), /Unknown bypass list: office/);
+});
+
+test('planRoutes always keeps the endpoint off the tunnel', async () => {
+  const plan = await planRoutes({ exclude: ['10.0.0.0/8'], endpoint: '203.0.113.5' });
+
+  assert.ok(!plan.allowed.some(cidr => containsCidr(parseCidr(cidr), parseCidr('203.0.113.5'))));
+  assert.ok(plan.allowed.some(cidr => containsCidr(parseCidr(cidr), parseCidr('203.0.113.6'))));
+  assert.deepStrictEqual(plan.excluded.at(-1), { source: 'endpoint', entry: '203.0.113.5', cidrs: ['203.0.113.5/32'] });
+});
+
+test('planRoutes in include mode keeps only the included ranges and DNS', async () => {
+  const plan = await planRoutes({ include: ['198.51.100.0/24'], keep: ['10.8.0.1'], endpoint: '198.51.100.9' });
+
+  assert.ok(plan.allowed.includes('10.8.0.1/32'));
+  assert.ok(!plan.allowed.some(cidr => containsCidr(parseCidr(cidr), parseCidr('198.51.100.9'))));
+  assert.ok(plan.allowed.every(cidr => containsCidr(parseCidr('198.51.100.0/24'), parseCidr(cidr)) || cidr === '10.8.0.1/32'));
+});
+
+test('applyAllowedIps replaces the AllowedIPs of every peer', () => {
+  const text = '[Interface]\nPrivateKey = abc\n\n[Peer]\nAllowedIPs = 0.0.0.0/0\nEndpoint = 203.0.113.5:51820\n';
+  assert.strictEqual(
+    applyAllowedIps(text, ['10.0.0.0/8', '::/0']),
+    '[Interface]\nPrivateKey = abc\n\n[Peer]\nEndpoint = 203.0.113.5:51820\nAllowedIPs = 10.0.0.0/8, ::/0\n'
+  );
+});
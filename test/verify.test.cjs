@@ -0,0 +1,37 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { STATUS, checkExitIp, checkExitCountry, checkDns } = require('../lib/verify.cjs');
+
+const answer = (provider, ip) => ({ provider, ip });
+
+test('checkExitIp fails when no provider answers', () => {
+  const result = checkExitIp([answer('a', null), answer('b', null)], '198.51.100.1');
+  assert.strictEqual(result.status, STATUS.FAIL);
+  assert.strictEqual(result.detail, 'No IP-echo provider answered');
+});
+
+test('checkExitIp fails when providers disagree', () => {
+  const result = checkExitIp([answer('a', '203.0.113.5'), answer('b', '203.0.113.6')]);
+  assert.strictEqual(result.status, STATUS.FAIL);
+  assert.strictEqual(result.detail, 'Providers disagree: 203.0.113.5, 203.0.113.6');
+});
+
+test('checkExitIp fails when the IP did not change', () => {
+  const result = checkExitIp([answer('a', '198.51.100.1')], '198.51.100.1');
+  assert.strictEqual(result.status, STATUS.FAIL);
+  assert.match(result.detail, /same as before connecting/);
+});
+
+test('checkExitIp passes and counts the providers that agree', () => {
+  const result = checkExitIp([answer('a', '203.0.113.5'), answer('b', null), answer('c', '203.0.113.5')], '198.51.100.1');
+  assert.deepStrictEqual(result, { name: 'Exit IP', status: STATUS.PASS, detail: '203.0.113.5 (2/3 providers agree)' });
+});
+
+test('checkExitCountry skips without an exit IP', () => {
+  assert.strictEqual(checkExitCountry(null, 'NL').status, STATUS.SKIP);
+});
+
+test('checkDns warns when the config sets no DNS server', async () => {
+  const result = await checkDns('[Interface]\nPrivateKey = x\nAddress = 10.0.0.2/32\n');
+  assert.strictEqual(result.status, STATUS.WARN);
+});
